@@ -1,4 +1,25 @@
-import { useState, useEffect, useCallback, useRef, useMemo } from "react";
+import { useState, useEffect, useRef, useMemo } from "react";
+import { gradeAnswer, gradeAttempt, acceptedAnswers, rubricPoints, formatScore } from "./grading.js";
+import { parseQuizReply, createQuestionStreamParser, createQuestionValidator } from "./quizValidation.js";
+import { createRetriever } from "./retrieval.js";
+import { MAX_FIGURES_PER_DOCUMENT } from "./figures.js";
+import { ACCEPTED_FILE_TYPES, SUPPORTED_FORMATS, findExtractor, fileIcon } from "./extractors.js";
+import { extractFile, hashFile } from "./extraction.js";
+import { fileFromUrl } from "./webPages.js";
+import { parseStripPattern, applyStripPatterns, usableChunks, repeatedLines } from "./contentFilters.js";
+import { extractTopics, applyTopicEdits, renameTopic, removeTopic, addTopic } from "./topics.js";
+import { parseObjectives, findObjectives, mergeObjectives, objectiveCoverage } from "./objectives.js";
+import { EMBEDDING_MODEL, embedTexts, embedChunks } from "./embeddings.js";
+import { planBatches, mapWithConcurrency, withRetry, createDuplicateFilter } from "./generationPlan.js";
+import { CITATION_STATUS, indexChunks, withVerifiedCitation, chunkLocation, sourceLocation, formatSource } from "./citations.js";
+import { LLM_PROVIDERS, DEFAULT_LLM_SETTINGS, completeText, streamText, parseJsonReply, resolveLLMSettings, supportsImages } from "./llm.js";
+import { questionHash } from "./questionIdentity.js";
+import { createStorage, defaultAdapter, storageEstimate } from "./storage.js";
+import { MIGRATIONS } from "./migrations.js";
+import { createBackup, readBackup, planImport, applyImport } from "./backup.js";
+import { EXPORT_FORMATS, exportFileName, flashcardCard, questionCard, toAnkiPackage, toAnkiText, toQtiPackage, toQuizletCsv, toWorksheet, uniqueQuestions } from "./exporters.js";
+import { bankEntries, checkAuthoredQuestion, updateBankQuestion } from "./questionBank.js";
+import { REVIEW_GRADES, questionReviewKey, flashcardReviewKey, newReviewState, scheduleReview, dueReviews, reviewForecast } from "./srs.js";
 
 // ─── CONSTANTS & HELPERS ──────────────────────────────────────────────────
 const QUIZ_MODES = [
@@ -6,213 +27,163 @@ const QUIZ_MODES = [
   { id: "standard", name: "Standard Quiz", count: 25, desc: "25 mixed questions — comprehensive coverage", icon: "📋" },
   { id: "hard", name: "Hard Mode", count: 25, desc: "25 application & reasoning questions", icon: "🔥" },
   { id: "drill", name: "Drill Mode", count: 15, desc: "Deep-dive into a single topic", icon: "🎯" },
+  { id: "coverage", name: "Full Coverage", count: null, desc: "One question for every section of your material", icon: "🗺️" },
 ];
-
-const SPACED_INTERVALS = [
-  { label: "1 day", days: 1 },
-  { label: "3 days", days: 3 },
-  { label: "7 days", days: 7 },
-  { label: "14 days", days: 14 },
+// Quizzes made some other way than picking one of the modes above
+const OTHER_QUIZ_MODES = [
+  { id: "retake_missed", name: "Retake Missed", icon: "🔄" },
+  { id: "custom", name: "Custom Quiz", icon: "🧩" },
 ];
+const quizModeInfo = (mode) => [...QUIZ_MODES, ...OTHER_QUIZ_MODES].find((m) => m.id === mode);
+
+const QUESTION_TYPE_LABELS = { multiple_choice: "Multiple Choice", select_all: "Multi-Select", fill_blank: "Fill in the Blank", short_answer: "Short Answer" };
+
+// Extra requests for questions lost to validation before settling for a shorter quiz
+const MAX_REPROMPTS = 2;
+// Images sent with one generation request
+const MAX_PROMPT_FIGURES = 4;
+// Files extracted at the same time
+const UPLOAD_CONCURRENCY = 2;
+const DEFAULT_UPLOAD_LIMITS = { maxFileSizeMB: 50, maxPages: 500 };
 
 const uid = () => crypto.randomUUID?.() || Math.random().toString(36).slice(2);
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
 const fmtDate = (d) => new Date(d).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" });
 const fmtTime = (s) => { const m = Math.floor(s / 60); return `${m}:${String(s % 60).padStart(2, "0")}`; };
+const fmtSize = (bytes) => (bytes < 1024 ** 2 ? `${Math.ceil(bytes / 1024)} KB` : bytes < 1024 ** 3 ? `${(bytes / 1024 ** 2).toFixed(1)} MB` : `${(bytes / 1024 ** 3).toFixed(1)} GB`);
+
+// Records are saved one by one in IndexedDB; data from older versions is migrated when storage opens
+const storage = createStorage(defaultAdapter, { migrations: MIGRATIONS, context: { legacy: window.storage } });
+
+// Stored lists come back in key order; lists are shown in the order things were added
+const byCreation = (a, b) => (a.created ?? a.date ?? 0) - (b.created ?? b.date ?? 0);
+const byId = (records) => records.map((r) => [r.id, r]);
+// Documents are stored without the full raw text to save space (chunks are kept)
+const storedDocument = ({ text, ...rest }) => rest;
+// Extraction stops with the page; those documents have to be uploaded again
+const interruptedDocument = (d) => (d.status === "queued" || d.status === "processing" ? { ...d, status: "failed", progress: undefined, error: "Interrupted by a page reload" } : d);
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ─── FIGURE ASSETS ────────────────────────────────────────────────────────
+const figureCache = new Map();
+
+async function loadFigure(id) {
+  if (!figureCache.has(id)) figureCache.set(id, await storage.get("figures", id));
+  return figureCache.get(id);
+}
+
+// Stores the figures extracted with each section; sections keep only the ids
+async function storeSectionFigures(sections) {
+  let kept = 0;
+  const stored = [];
+  for (const { figures = [], ...section } of sections) {
+    const figureIds = [];
+    for (const dataUrl of figures) {
+      if (kept++ >= MAX_FIGURES_PER_DOCUMENT) break;
+      const id = uid();
+      await storage.put("figures", id, dataUrl);
+      figureCache.set(id, dataUrl);
+      figureIds.push(id);
+    }
+    stored.push(figureIds.length > 0 ? { ...section, figureIds } : section);
+  }
+  return stored;
+}
 
-// Simple storage helper (persistent via window.storage)
-const DB = {
-  async get(key) {
-    try { const r = await window.storage.get(key); return r ? JSON.parse(r.value) : null; } catch { return null; }
-  },
-  async set(key, val) {
-    try { await window.storage.set(key, JSON.stringify(val)); } catch (e) { console.error("Storage set error:", e); }
-  },
-  async del(key) {
-    try { await window.storage.delete(key); } catch { }
-  },
-  async list(prefix) {
-    try { const r = await window.storage.list(prefix); return r?.keys || []; } catch { return []; }
+async function deleteFigures(ids = []) {
+  for (const id of ids) {
+    figureCache.delete(id);
+    await storage.delete("figures", id);
   }
-};
-
-// ─── TEXT EXTRACTION ──────────────────────────────────────────────────────
-function extractTextFromFile(file) {
-  return new Promise((resolve, reject) => {
-    const ext = file.name.split(".").pop().toLowerCase();
-    if (ext === "txt") {
-      const reader = new FileReader();
-      reader.onload = (e) => resolve(e.target.result);
-      reader.onerror = () => reject(new Error("Failed to read TXT file"));
-      reader.readAsText(file);
-    } else if (ext === "pdf") {
-      const reader = new FileReader();
-      reader.onload = async (e) => {
-        try {
-          if (!window.pdfjsLib) {
-            const s = document.createElement("script");
-            s.src = "https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js";
-            document.head.appendChild(s);
-            await new Promise((res) => { s.onload = res; s.onerror = () => reject(new Error("PDF.js failed to load")); });
-            window.pdfjsLib.GlobalWorkerOptions.workerSrc = "https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js";
-          }
-          const pdf = await window.pdfjsLib.getDocument({ data: new Uint8Array(e.target.result) }).promise;
-          let text = "";
-          for (let i = 1; i <= pdf.numPages; i++) {
-            const page = await pdf.getPage(i);
-            const content = await page.getTextContent();
-            text += content.items.map((it) => it.str).join(" ") + "\n\n";
-          }
-          resolve(text);
-        } catch (err) { reject(err); }
-      };
-      reader.readAsArrayBuffer(file);
-    } else if (ext === "docx") {
-      const reader = new FileReader();
-      reader.onload = async (e) => {
-        try {
-          if (!window.mammoth) {
-            const s = document.createElement("script");
-            s.src = "https://cdnjs.cloudflare.com/ajax/libs/mammoth/1.6.0/mammoth.browser.min.js";
-            document.head.appendChild(s);
-            await new Promise((res) => { s.onload = res; s.onerror = () => reject(new Error("Mammoth.js failed to load")); });
-          }
-          const result = await window.mammoth.extractRawText({ arrayBuffer: e.target.result });
-          resolve(result.value);
-        } catch (err) { reject(err); }
-      };
-      reader.readAsArrayBuffer(file);
-    } else if (ext === "pptx") {
-      const reader = new FileReader();
-      reader.onload = async (e) => {
-        try {
-          if (!window.JSZip) {
-            const s = document.createElement("script");
-            s.src = "https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js";
-            document.head.appendChild(s);
-            await new Promise((res) => { s.onload = res; s.onerror = () => reject(new Error("JSZip failed to load")); });
-          }
-          const zip = await window.JSZip.loadAsync(e.target.result);
-          let text = "";
-          const slideFiles = Object.keys(zip.files).filter((f) => f.match(/ppt\/slides\/slide\d+\.xml/)).sort();
-          for (const sf of slideFiles) {
-            const xml = await zip.files[sf].async("text");
-            const matches = xml.match(/<a:t[^>]*>([^<]*)<\/a:t>/g) || [];
-            const slideText = matches.map((m) => m.replace(/<[^>]+>/g, "")).join(" ");
-            if (slideText.trim()) text += slideText + "\n\n";
-          }
-          resolve(text);
-        } catch (err) { reject(err); }
-      };
-      reader.readAsArrayBuffer(file);
-    } else {
-      reject(new Error("Unsupported file type: " + ext));
-    }
-  });
 }
 
 // ─── CHUNK TEXT ────────────────────────────────────────────────────────────
-function chunkText(text, fileName, chunkSize = 500) {
-  const sentences = text.split(/(?<=[.!?])\s+/);
-  const chunks = [];
-  let current = "";
-  let idx = 0;
-  for (const sentence of sentences) {
-    if (current.length + sentence.length > chunkSize && current.length > 0) {
-      chunks.push({ id: uid(), text: current.trim(), fileName, index: idx++ });
-      current = "";
+// Chunks never cross a section boundary and carry the section's page, slide, sheet or heading path.
+// Text is packed line by line, so bullet lists without periods still split into chunks;
+// long lines fall back to sentences, and run-on text to words.
+function splitUnits(line, chunkSize) {
+  if (line.length <= chunkSize) return [line];
+  const units = [];
+  for (const sentence of line.split(/(?<=[.!?])\s+/)) {
+    if (sentence.length <= chunkSize) { units.push(sentence); continue; }
+    let rest = sentence;
+    while (rest.length > chunkSize) {
+      const cut = rest.lastIndexOf(" ", chunkSize);
+      const at = cut > chunkSize / 2 ? cut : chunkSize;
+      units.push(rest.slice(0, at));
+      rest = rest.slice(at).trimStart();
     }
-    current += sentence + " ";
+    if (rest) units.push(rest);
   }
-  if (current.trim()) chunks.push({ id: uid(), text: current.trim(), fileName, index: idx });
-  return chunks;
+  return units;
 }
 
-// ─── TOPIC EXTRACTION ─────────────────────────────────────────────────────
-function extractTopics(chunks) {
-  const stopWords = new Set(["the","a","an","and","or","but","in","on","at","to","for","of","with","by","is","it","as","was","are","be","this","that","from","not","has","have","had","will","can","do","does","did","been","being","would","could","should","may","might","shall","into","than","then","these","those","their","there","them","they","its","our","we","you","your","he","she","his","her","him","all","each","every","both","few","more","most","other","some","such","no","any","only","same","so","very","just","also","about","up","out","if","when","where","how","what","which","who","whom","why","after","before","during","between","through","under","over","above","below","because","while","since","until","although","though","whether","either","neither","nor","per","via","vs","etc","eg","ie"]);
-  const freq = {};
-  for (const chunk of chunks) {
-    const words = chunk.text.toLowerCase().replace(/[^a-z0-9\s-]/g, " ").split(/\s+/);
-    const seen = new Set();
-    // Bigrams and single important words
-    for (let i = 0; i < words.length; i++) {
-      const w = words[i];
-      if (w.length > 3 && !stopWords.has(w)) {
-        if (!seen.has(w)) { freq[w] = (freq[w] || 0) + 1; seen.add(w); }
-      }
-      if (i < words.length - 1) {
-        const bigram = w + " " + words[i + 1];
-        if (w.length > 3 && words[i + 1].length > 3 && !stopWords.has(w) && !stopWords.has(words[i + 1])) {
-          if (!seen.has(bigram)) { freq[bigram] = (freq[bigram] || 0) + 1; seen.add(bigram); }
-        }
+function chunkSections(sections, fileName, chunkSize = 500) {
+  const chunks = [];
+  let idx = 0;
+  for (const { text, ...location } of sections) {
+    let current = "";
+    const flush = () => {
+      if (current.trim()) chunks.push({ id: uid(), text: current.trim(), fileName, index: idx++, ...location });
+      current = "";
+    };
+    for (const line of text.split(/\n+/).map((l) => l.trim()).filter(Boolean)) {
+      for (const unit of splitUnits(line, chunkSize)) {
+        if (current.length + unit.length > chunkSize && current.length > 0) flush();
+        current += unit + "\n";
       }
     }
+    flush();
   }
-  return Object.entries(freq)
-    .filter(([k, v]) => v >= 2 && k.includes(" "))
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 20)
-    .map(([k]) => k.split(" ").map((w) => w[0].toUpperCase() + w.slice(1)).join(" "));
-}
-
-// ─── SEARCH CHUNKS ────────────────────────────────────────────────────────
-function searchChunks(chunks, query, topK = 5) {
-  const qWords = query.toLowerCase().split(/\s+/).filter((w) => w.length > 2);
-  const scored = chunks.map((c) => {
-    const txt = c.text.toLowerCase();
-    let score = 0;
-    for (const w of qWords) { if (txt.includes(w)) score += 1; }
-    return { ...c, score };
-  });
-  return scored.filter((c) => c.score > 0).sort((a, b) => b.score - a.score).slice(0, topK);
+  return chunks;
 }
 
 // ─── AI QUIZ GENERATION ───────────────────────────────────────────────────
-async function generateQuizFromContent(chunks, topics, mode, selectedTopic, previousQuestionTexts = [], learningObjectives = "", { signal, countOverride, focusTopics } = {}) {
+async function generateQuizFromContent(chunks, topics, mode, selectedTopic, previousQuestionTexts = [], learningObjectives = [], { signal, countOverride, focusTopics, untestedObjectives = [], llm, retriever = createRetriever(chunks), loadFigure, onPlan = () => {}, onQuestion = () => {} } = {}) {
   const modeConfig = QUIZ_MODES.find((m) => m.id === mode) || QUIZ_MODES[0];
-  const questionCount = countOverride || modeConfig.count;
+
+  // A topic's own chunks come first, then whatever search finds for its name
+  const topicChunks = async (names, limit) => {
+    const ids = new Set(topics.filter((t) => names.includes(t.name)).flatMap((t) => t.chunkIds));
+    const found = await retriever.search(names.join(" "), limit);
+    return [...chunks.filter((c) => ids.has(c.id)), ...found.filter((c) => !ids.has(c.id))].slice(0, limit);
+  };
 
   let relevantChunks = chunks;
   if (mode === "drill" && selectedTopic) {
-    relevantChunks = searchChunks(chunks, selectedTopic, 30);
+    relevantChunks = await topicChunks([selectedTopic], 30);
     if (relevantChunks.length === 0) return { error: "Not found in your uploads. Upload more material or change topics." };
   }
 
   // If user selected focus topics, filter chunks to those topics
   if (focusTopics && focusTopics.length > 0 && mode !== "drill") {
-    const topicQuery = focusTopics.join(" ");
-    const focused = searchChunks(chunks, topicQuery, 50);
+    const focused = await topicChunks(focusTopics, 50);
     if (focused.length > 0) relevantChunks = focused;
   }
 
-  // Sample chunks to cover all topics
-  const sampledChunks = [];
-  const chunkGroups = {};
-  for (const c of relevantChunks) {
-    const key = c.fileName;
-    if (!chunkGroups[key]) chunkGroups[key] = [];
-    chunkGroups[key].push(c);
-  }
-  const groupKeys = Object.keys(chunkGroups);
-  let idx = 0;
-  while (sampledChunks.length < Math.min(40, relevantChunks.length)) {
-    const group = chunkGroups[groupKeys[idx % groupKeys.length]];
-    const remaining = group.filter((c) => !sampledChunks.includes(c));
-    if (remaining.length > 0) sampledChunks.push(remaining[Math.floor(Math.random() * remaining.length)]);
-    idx++;
-    if (idx > 200) break;
-  }
-
-  const contentSample = sampledChunks.map((c, i) => `[Chunk ${i + 1} | File: ${c.fileName}]\n${c.text}`).join("\n\n---\n\n");
+  // Full coverage asks for one question per chunk; everything else is capped by the mode's count
+  const coverage = mode === "coverage" && !countOverride;
+  const questionCount = countOverride || modeConfig.count || relevantChunks.length;
+  const batches = planBatches(relevantChunks, questionCount, { coverage });
+  onPlan(batches.reduce((sum, b) => sum + b.count, 0));
 
-  const previousQuestionsNote = previousQuestionTexts.length > 0
-    ? `\n\nIMPORTANT: Do NOT repeat or rephrase any of these previously asked questions:\n${previousQuestionTexts.map((q, i) => `${i + 1}. ${q}`).join("\n")}\n\nGenerate completely NEW and DIFFERENT questions.`
+  const previousQuestionsNote = (avoid) => avoid.length > 0
+    ? `\n\nIMPORTANT: Do NOT repeat or rephrase any of these previously asked questions:\n${avoid.map((q, i) => `${i + 1}. ${q}`).join("\n")}\n\nGenerate completely NEW and DIFFERENT questions.`
     : "";
 
-  const objectivesNote = learningObjectives
-    ? `\n\nThe user wants questions focused on these learning objectives:\n${learningObjectives}\nPrioritize questions that address these objectives while still using ONLY the provided content.`
+  // Objectives are labelled O1, O2... in the prompt and each question names the ones it assesses
+  const objectiveLabel = (o) => `O${learningObjectives.indexOf(o) + 1}`;
+  const untested = learningObjectives.filter((o) => untestedObjectives.includes(o.id));
+  const objectivesNote = learningObjectives.length > 0
+    ? `\n\nThe exam's learning objectives:\n${learningObjectives.map((o) => `${objectiveLabel(o)}: ${o.text}`).join("\n")}\nPrioritize questions that address these objectives while still using ONLY the provided content.${untested.length > 0 ? ` The student has never been tested on ${untested.map(objectiveLabel).join(", ")}; favor those where the material covers them.` : ""} Set "objectives" to the labels of the objectives each question assesses, or [] if none.`
     : "";
 
   const difficultyNote = mode === "hard"
@@ -222,10 +193,20 @@ async function generateQuizFromContent(chunks, topics, mode, selectedTopic, prev
   const topicCoverageNote = focusTopics && focusTopics.length > 0
     ? `\n\nThe user wants questions FOCUSED on these specific topics: ${focusTopics.join(", ")}\nPrioritize questions from these topics. Most questions should cover these areas.`
     : topics.length > 0
-    ? `\n\nDetected topics in the material: ${topics.join(", ")}\nTry to cover ALL major topics/concepts. No concept should be left out.`
+    ? `\n\nDetected topics in the material: ${topics.map((t) => t.name).join(", ")}\nTry to cover ALL major topics/concepts. No concept should be left out.`
     : "";
 
-  const prompt = `You are an expert medical/science exam question writer. Generate exactly ${questionCount} practice questions based STRICTLY on the provided study material.
+  const coverageNote = coverage
+    ? "\n\nWrite exactly ONE question for EACH chunk of the study material, in order, and cite that chunk."
+    : "";
+
+  // Figures go along with the text when the model can see images
+  const withFigures = !!loadFigure && supportsImages(llm);
+  const figureNote = (figures) => figures.length > 0
+    ? `\n\nFIGURES: ${figures.length} figure${figures.length > 1 ? "s" : ""} from the material (${figures.map((f) => f.label).join(", ")}) follow this message, and each chunk lists the figures on it. Up to ${Math.min(figures.length, 3)} questions may require looking at a figure, e.g. "identify the labeled structure" or reading a value off a trace. Ask only about what is clearly visible, make the prompt self-contained (say what the figure shows), and set "figure" to the figure's label. Set "figure" to null for every other question.`
+    : "";
+
+  const buildPrompt = (count, avoid, batchChunks, figures = []) => `You are an expert medical/science exam question writer. Generate exactly ${count} practice questions based STRICTLY on the provided study material.
 
 ANTI-HALLUCINATION RULES:
 - Every question, answer, and explanation MUST be directly supported by the content below
@@ -241,10 +222,15 @@ QUESTION TYPE MIX:
 
 IMPORTANT FORMATTING RULE:
 - Do NOT include "Select all that apply" or any similar instruction in the "prompt" field. The UI handles this automatically. The prompt should contain ONLY the question text itself.
-${difficultyNote}${previousQuestionsNote}${objectivesNote}${topicCoverageNote}
+- For Fill in the Blank and Short Answer, list common synonyms and abbreviations of the answer in "acceptedAnswers". For numeric answers, include the unit in "correct".
+- For Short Answer, list the 2-4 key points a complete answer must mention in "rubric", each taken from the material.
+${difficultyNote}${previousQuestionsNote(avoid)}${objectivesNote}${topicCoverageNote}${coverageNote}${figureNote(figures)}
 
 STUDY MATERIAL:
-${contentSample}
+${batchChunks.map((c, i) => {
+    const labels = figures.filter((f) => c.figureIds?.includes(f.id)).map((f) => f.label);
+    return `[Chunk ${i + 1} | File: ${c.fileName}${sourceLocation(c) && ` | ${sourceLocation(c)}`}${c.ocr ? " | OCR, may contain recognition errors" : ""}${labels.length ? ` | Figures: ${labels.join(", ")}` : ""}]\n${c.text}`;
+  }).join("\n\n---\n\n")}
 
 Respond with ONLY valid JSON (no markdown, no backticks):
 {
@@ -255,38 +241,138 @@ Respond with ONLY valid JSON (no markdown, no backticks):
       "prompt": "question text",
       "options": ["A", "B", "C", "D"] or null,
       "correct": "A" or ["A","C"] or "fill text" or "short answer text",
+      "acceptedAnswers": ["other wordings the material supports, e.g. abbreviations or synonyms"] or null,
+      "rubric": ["key point a complete short answer must mention"] or null,
       "explanation": "why this is correct",
-      "citation": { "fileName": "source.pdf", "excerpt": "short quote from material" }
+      "citation": { "fileName": "source.pdf", "excerpt": "short quote from material" }${figures.length > 0 ? `,
+      "figure": "F1" or null` : ""}${learningObjectives.length > 0 ? `,
+      "objectives": ["O1"]` : ""}
     }
   ]
 }`;
 
+  // The first few figures on a batch's chunks, labelled F1, F2... and loaded for the request
+  const batchFigures = async (batchChunks) => {
+    if (!withFigures) return [];
+    const figures = [];
+    for (const chunk of batchChunks) {
+      for (const id of chunk.figureIds || []) {
+        if (figures.length >= MAX_PROMPT_FIGURES || figures.some((f) => f.id === id)) continue;
+        const dataUrl = await loadFigure(id);
+        if (dataUrl) figures.push({ id, chunk, dataUrl, label: `F${figures.length + 1}` });
+      }
+    }
+    return figures;
+  };
+
+  // The plan's batches run a few at a time, each streaming its reply and handing questions to onQuestion
+  // as soon as they are complete. Malformed questions are repaired or dropped, near-duplicates across
+  // batches are dropped, and questions whose citation can't be found in the material are set aside.
+  // A batch that comes up short asks again for just the missing ones (in coverage mode, over just the
+  // chunks nothing cites yet); failed requests are retried with backoff.
+  const fileNames = [...new Set(chunks.map((c) => c.fileName))];
+  const chunkIndex = indexChunks(chunks);
+  const questions = [];
+  const unverified = [];
+  const covered = new Set();
+  const isDuplicate = createDuplicateFilter(previousQuestionTexts);
+  let dropped = 0;
+
+  const runBatch = async (batch) => {
+    let made = 0;
+    for (let round = 0; round <= MAX_REPROMPTS && made < batch.count; round++) {
+      let added = 0;
+      try {
+        await withRetry(async () => {
+          // Recomputed on each attempt: a stream that failed halfway may already have delivered some questions
+          const batchChunks = coverage ? batch.chunks.filter((c) => !covered.has(c.id)) : batch.chunks;
+          const want = coverage ? Math.min(batch.count - made, batchChunks.length) : batch.count - made;
+          if (batchChunks.length === 0 || want <= 0) return;
+          const figures = await batchFigures(batchChunks);
+          const validator = createQuestionValidator({ fileNames, existingPrompts: [...questions, ...unverified].map((q) => q.prompt) });
+          const parser = createQuestionStreamParser();
+          let parsed = 0;
+          const take = (items) => {
+            for (const item of items) {
+              parsed++;
+              const q = validator.accept(item);
+              if (!q) continue;
+              if (isDuplicate(q.prompt)) { validator.dropped.push("duplicate question"); continue; }
+              let checked = withVerifiedCitation(q, chunks, chunkIndex);
+              if (q.figure) {
+                const { figure, ...rest } = checked;
+                const fig = figures.find((f) => f.label === figure);
+                if (!fig) { validator.dropped.push("unknown figure"); continue; }
+                // A figure question is grounded in the figure even when its excerpt isn't found in the text
+                const citation = rest.citation.status === "not_found"
+                  ? { ...rest.citation, status: "figure", chunkId: fig.chunk.id, fileName: fig.chunk.fileName, chunkIndex: fig.chunk.index, ...chunkLocation(fig.chunk) }
+                  : rest.citation;
+                checked = { ...rest, figureId: fig.id, citation: { ...citation, figureId: fig.id } };
+              }
+              if (q.objectives) {
+                const { objectives, ...rest } = checked;
+                checked = { ...rest, objectiveIds: learningObjectives.filter((o) => objectives.includes(objectiveLabel(o))).map((o) => o.id) };
+              }
+              checked = { ...checked, id: uid(), hash: questionHash(checked) };
+              if (checked.citation.status === "not_found") unverified.push(checked);
+              else if (made < batch.count && questions.length < questionCount) {
+                questions.push(checked);
+                covered.add(checked.citation.chunkId);
+                made++;
+                added++;
+                onQuestion(checked);
+              }
+            }
+          };
+          const avoid = [...previousQuestionTexts, ...questions.map((q) => q.prompt)];
+          try {
+            const text = buildPrompt(want, avoid, batchChunks, figures);
+            const prompt = figures.length === 0 ? text : [
+              { type: "text", text },
+              ...figures.flatMap((f) => [{ type: "text", text: `Figure ${f.label} (${formatSource(f.chunk)}):` }, { type: "image", dataUrl: f.dataUrl }]),
+            ];
+            const reply = await streamText(llm, prompt, { maxTokens: 8000, signal, onText: (delta) => take(parser.push(delta)) });
+            // A reply that isn't wrapped in { "questions": [...] } (a bare array, say) only parses once complete
+            if (parsed === 0) take(parseQuizReply(reply).questions);
+          } finally {
+            dropped += validator.dropped.length;
+          }
+        }, { signal });
+      } catch (err) {
+        if (err.name === "AbortError") throw err;
+        console.error("Quiz generation error:", err);
+        if (questions.length === 0) return err;
+        break;
+      }
+      if (added === 0 && round > 0) break;
+    }
+    return null;
+  };
+
+  let errors;
   try {
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      signal,
-      body: JSON.stringify({
-        model: "claude-sonnet-4-20250514",
-        max_tokens: 8000,
-        messages: [{ role: "user", content: prompt }],
-      }),
-    });
-    const data = await response.json();
-    const text = data.content?.map((b) => b.text || "").join("") || "";
-    const cleaned = text.replace(/```json|```/g, "").trim();
-    const parsed = JSON.parse(cleaned);
-    return parsed;
+    errors = await mapWithConcurrency(batches, llm?.concurrency || DEFAULT_LLM_SETTINGS.concurrency, runBatch);
   } catch (err) {
-    console.error("Quiz generation error:", err);
-    return { error: "Failed to generate quiz. Please try again." };
+    if (questions.length > 0) return { questions, dropped, aborted: true };
+    throw err;
+  }
+  if (questions.length === 0 && unverified.length === 0) {
+    const err = errors.find(Boolean);
+    if (err) return { error: "Failed to generate quiz. Please try again." + (err.message?.startsWith("Model request failed") ? ` (${err.message})` : "") };
   }
+  if (dropped > 0) console.warn(`Quiz generation: dropped ${dropped} malformed or duplicate question(s)`);
+  // Still short after re-prompting: fall back to the unverified questions, which stay flagged
+  for (const q of unverified.slice(0, Math.max(0, questionCount - questions.length))) {
+    questions.push(q);
+    onQuestion(q);
+  }
+  return { questions, dropped };
 }
 
 // ─── FLASHCARD GENERATION ─────────────────────────────────────────────────
-async function generateFlashcards(chunks, topic, count = 10) {
-  const relevant = topic ? searchChunks(chunks, topic, 20) : chunks.slice(0, 30);
-  const content = relevant.map((c) => `[${c.fileName}] ${c.text}`).join("\n\n");
+async function generateFlashcards(chunks, topic, count = 10, { llm, retriever = createRetriever(chunks) } = {}) {
+  const relevant = topic ? await retriever.search(topic, 20) : chunks.slice(0, 30);
+  const content = relevant.map((c) => `[${formatSource(c)}] ${c.text}`).join("\n\n");
 
   const prompt = `Generate ${count} flashcards for studying based STRICTLY on this material. Each card must be grounded in the content.
 
@@ -305,23 +391,63 @@ Respond with ONLY valid JSON:
 }`;
 
   try {
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        model: "claude-sonnet-4-20250514",
-        max_tokens: 4000,
-        messages: [{ role: "user", content: prompt }],
-      }),
-    });
-    const data = await response.json();
-    const text = data.content?.map((b) => b.text || "").join("") || "";
-    return JSON.parse(text.replace(/```json|```/g, "").trim());
+    const text = await completeText(llm, prompt, { maxTokens: 4000 });
+    const result = parseJsonReply(text);
+    // Verifying the excerpt also tells the card which page or slide it came from
+    const index = indexChunks(chunks);
+    return { ...result, cards: (result.cards || []).map((c) => (c.citation ? withVerifiedCitation(c, chunks, index) : c)) };
   } catch (err) {
+    console.error("Flashcard generation error:", err);
     return { error: "Failed to generate flashcards." };
   }
 }
 
+// ─── SHORT ANSWER GRADING ─────────────────────────────────────────────────
+async function gradeShortAnswers(questions, answers, { llm } = {}) {
+  const items = questions.map((q, i) => `${i + 1}. QUESTION: ${q.prompt}
+KEY POINTS:
+${rubricPoints(q).map((p) => `- ${p}`).join("\n")}
+STUDENT ANSWER: ${answers[q.id]}`).join("\n\n");
+
+  const prompt = `You are grading a student's short answers against a rubric of key points taken from their study material.
+
+For each answer, decide which key points the answer states or clearly implies. Accept different wording, abbreviations and synonyms. Do NOT credit points the answer contradicts. Ignore spelling and grammar.
+
+${items}
+
+Respond with ONLY valid JSON (no markdown, no backticks):
+{
+  "grades": [
+    {
+      "index": 1,
+      "pointsHit": ["key point text"],
+      "pointsMissed": ["key point text"],
+      "score": 0.0 to 1.0,
+      "justification": "one or two sentences explaining the score"
+    }
+  ]
+}`;
+
+  try {
+    const text = await completeText(llm, prompt, { maxTokens: 2000 });
+    const parsed = parseJsonReply(text);
+    const grades = {};
+    for (const g of parsed.grades || []) {
+      const q = questions[g.index - 1];
+      if (!q) continue;
+      const pointsHit = Array.isArray(g.pointsHit) ? g.pointsHit : [];
+      const pointsMissed = Array.isArray(g.pointsMissed) ? g.pointsMissed : [];
+      const fallback = pointsHit.length / Math.max(1, pointsHit.length + pointsMissed.length);
+      const score = typeof g.score === "number" ? clamp(g.score, 0, 1) : fallback;
+      grades[q.id] = { pointsHit, pointsMissed, score: Math.round(score * 100) / 100, justification: g.justification || "" };
+    }
+    return { grades };
+  } catch (err) {
+    console.error("Short answer grading error:", err);
+    return { error: "Short answers could not be graded automatically. Exact matches were used instead." };
+  }
+}
+
 // ─── STYLES ───────────────────────────────────────────────────────────────
 const CSS = `
 @import url('https://fonts.googleapis.com/css2?family=DM+Sans:ital,opsz,wght@0,9..40,300;0,9..40,400;0,9..40,500;0,9..40,600;0,9..40,700;1,9..40,400&family=Fraunces:ital,opsz,wght@0,9..144,400;0,9..144,600;0,9..144,700;0,9..144,800;1,9..144,400&display=swap');
@@ -729,6 +855,13 @@ body {
 .file-item .file-name { flex: 1; font-weight: 500; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
 .file-item .file-delete { cursor: pointer; color: var(--ink-muted); transition: var(--transition); border: none; background: none; font-size: 16px; padding: 4px; }
 .file-item .file-delete:hover { color: var(--danger); }
+.file-item .file-progress { display: flex; align-items: center; gap: 8px; font-size: 12px; color: var(--ink-muted); white-space: nowrap; }
+.file-item .file-progress .progress-bar { display: block; width: 80px; }
+.file-item .file-progress .progress-fill { display: block; }
+.file-item .file-origin { font-size: 12px; color: var(--ink-muted); white-space: nowrap; text-decoration: none; }
+a.file-origin:hover { color: var(--accent); }
+.file-item .file-error { font-size: 12px; color: var(--danger); max-width: 40%; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.file-item .file-warning { font-size: 12px; color: var(--warning); max-width: 40%; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
 
 .upload-zone {
   border: 2px dashed #d0d0d0;
@@ -759,6 +892,15 @@ body {
 }
 .topic-tag:hover { border-color: var(--accent); color: var(--accent); }
 .topic-tag.selected { background: var(--accent); color: white; border-color: var(--accent); }
+.topic-count { margin-left: 6px; font-size: 11px; opacity: 0.6; }
+.topic-action { margin-left: 4px; padding: 0 3px; border: none; background: none; color: inherit; font-size: 13px; cursor: pointer; opacity: 0.6; }
+.topic-action:hover { opacity: 1; }
+
+.objective-list { display: flex; flex-direction: column; gap: 12px; }
+.objective-item { display: flex; flex-direction: column; gap: 6px; padding-bottom: 12px; border-bottom: 1px solid #eee; }
+.objective-item:last-child { border-bottom: none; padding-bottom: 0; }
+.objective-text { font-size: 14px; line-height: 1.5; }
+.objective-stats { display: flex; align-items: center; gap: 8px; flex-wrap: wrap; font-size: 12px; color: var(--ink-muted); }
 
 .mode-grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); gap: 12px; margin-bottom: 20px; }
 .mode-card {
@@ -882,6 +1024,24 @@ body {
   font-size: 13px;
 }
 .review-question .citation-box .cite-label { font-weight: 700; font-size: 11px; text-transform: uppercase; letter-spacing: 0.5px; color: var(--blue); margin-bottom: 4px; }
+.source-passage {
+  margin-top: 8px;
+  padding: 12px 14px;
+  background: white;
+  border-radius: var(--radius-sm);
+  border: 1px solid #e3e8f0;
+  font-size: 13px;
+  line-height: 1.7;
+  color: var(--ink);
+  max-height: 260px;
+  overflow-y: auto;
+  white-space: pre-line;
+}
+.question-figure { display: block; max-width: 100%; max-height: 420px; margin: 0 auto 18px; border-radius: var(--radius-sm); border: 1px solid #e3e8f0; }
+.question-figure.loading { height: 160px; background: #f3f5f9; }
+.question-figure.missing { padding: 16px; font-size: 13px; color: var(--ink-muted); text-align: center; }
+.source-passage .context { color: var(--ink-muted); }
+.source-passage mark { background: #fff1a8; color: var(--ink); padding: 1px 2px; border-radius: 3px; }
 .review-question .explanation-box {
   margin-top: 10px;
   padding: 12px 16px;
@@ -892,6 +1052,21 @@ body {
   line-height: 1.6;
 }
 
+/* ─── DOCUMENT VIEWER ────────────────────────── */
+.doc-marker { font-size: 11px; font-weight: 700; text-transform: uppercase; letter-spacing: 0.5px; color: var(--blue); margin: 20px 0 6px; padding-bottom: 4px; border-bottom: 1px solid #e3e8f0; }
+.doc-marker:first-child { margin-top: 0; }
+.doc-chunk { position: relative; padding: 10px 14px 10px 44px; border-radius: var(--radius-sm); font-size: 14px; line-height: 1.7; white-space: pre-line; }
+.doc-viewer > div + div .doc-chunk { border-top: 1px dashed #e3e8f0; }
+.doc-chunk .chunk-no { position: absolute; left: 12px; top: 12px; font-size: 11px; color: var(--ink-muted); }
+.doc-chunk.active { background: var(--blue-pale); box-shadow: inset 3px 0 0 var(--blue); }
+.doc-chunk.excluded { opacity: 0.45; }
+.doc-chunk .context { color: var(--ink-muted); font-style: italic; }
+.doc-marker .btn { font-size: 11px; padding: 2px 8px; margin-left: 8px; text-transform: none; letter-spacing: 0; }
+.doc-chunk mark { background: #fff1a8; color: var(--ink); padding: 1px 2px; border-radius: 3px; }
+.file-item .file-name.link, .card-source.link { cursor: pointer; }
+.file-item .file-name.link:hover, .card-source.link:hover { color: var(--accent); text-decoration: underline; }
+.card-source { position: absolute; bottom: 16px; font-size: 11px; opacity: 0.7; }
+
 /* ─── FLASHCARDS ─────────────────────────────── */
 .flashcard {
   width: 100%;
@@ -977,6 +1152,25 @@ body {
 .tab.active { background: white; color: var(--ink); box-shadow: 0 1px 3px rgba(0,0,0,0.08); }
 
 /* ─── CONTENT WARNING ────────────────────────── */
+.backup-plan { width: 100%; border-collapse: collapse; font-size: 13px; margin-bottom: 20px; }
+.backup-plan th { text-align: right; font-weight: 600; color: var(--ink-muted); padding: 6px 8px; border-bottom: 1px solid #eee; }
+.backup-plan td { text-align: right; padding: 6px 8px; border-bottom: 1px solid #f3f3f3; }
+.backup-plan td:first-child { text-align: left; font-weight: 500; }
+.bank-toolbar { display: flex; gap: 8px; margin-bottom: 12px; flex-wrap: wrap; }
+.bank-toolbar .input { flex: 2; min-width: 200px; }
+.bank-toolbar .select { flex: 1; min-width: 160px; width: auto; }
+.bank-selection { display: flex; align-items: center; gap: 8px; margin-bottom: 16px; font-size: 13px; color: var(--ink-muted); }
+.bank-question { display: flex; gap: 12px; align-items: flex-start; margin-bottom: 8px; padding: 16px; }
+.bank-question > input { margin-top: 4px; }
+.bank-question.flagged { border-left: 3px solid var(--danger); }
+.bank-options { list-style: none; font-size: 13px; display: grid; gap: 2px; }
+.bank-options li::before { content: "○ "; color: var(--ink-muted); }
+.bank-options li.correct { color: var(--success); font-weight: 500; }
+.bank-options li.correct::before { content: "✓ "; color: var(--success); }
+.bank-actions { display: flex; gap: 2px; }
+.option-editor { display: flex; gap: 8px; align-items: center; margin-bottom: 6px; }
+.option-editor .input { flex: 1; }
+.storage-warning { display: flex; justify-content: space-between; align-items: center; gap: 12px; max-width: 1100px; margin: 12px auto 0; }
 .content-warning {
   padding: 14px 18px;
   background: var(--warning-pale);
@@ -1057,7 +1251,9 @@ export default function MedTrackQuizzer() {
   // Quiz state
   const [quizMode, setQuizMode] = useState("quick");
   const [selectedTopics, setSelectedTopics] = useState([]);
-  const [learningObjectives, setLearningObjectives] = useState("");
+  const [bankFilter, setBankFilter] = useState({ search: "", show: "all" });
+  const [bankSelection, setBankSelection] = useState([]); // first id of each selected bank entry
+  const [editingTopics, setEditingTopics] = useState(false);
   const [timerEnabled, setTimerEnabled] = useState(false);
   const [timerSeconds, setTimerSeconds] = useState(0);
   const timerRef = useRef(null);
@@ -1067,6 +1263,23 @@ export default function MedTrackQuizzer() {
   const [quizSubmitted, setQuizSubmitted] = useState(false);
   const [savedQuizProgress, setSavedQuizProgress] = useState({});
   // savedQuizProgress shape: { [quizId]: { answers, currentQ, timerSeconds, timerEnabled, savedAt } }
+  const [reviewStates, setReviewStates] = useState({});
+  // reviewStates shape: { [key]: { key, examId, kind: "question" | "flashcard", item, ease, interval, reps, lapses, due, lastReviewed } }
+  const [llmSettings, setLlmSettings] = useState(DEFAULT_LLM_SETTINGS);
+  const [llmTest, setLlmTest] = useState(null);
+  const [backupStatus, setBackupStatus] = useState(null); // { status: "running" | "ok" | "failed", message }
+  const [generatingQuiz, setGeneratingQuiz] = useState(null); // { id, target } while questions are still streaming in
+  const [semanticSearch, setSemanticSearch] = useState(false);
+  const [embeddingStatus, setEmbeddingStatus] = useState(null); // { docId, done, total } while indexing, or { error }
+  const [uploadLimits, setUploadLimits] = useState(DEFAULT_UPLOAD_LIMITS);
+  // Nothing is saved until stored data has loaded, or the initial empty state would overwrite it
+  const [loaded, setLoaded] = useState(false);
+  const [storageInfo, setStorageInfo] = useState(null); // { backend, usage, quota }
+  const [storageError, setStorageError] = useState(null);
+  // Files waiting for or being extracted, and the originals of failed uploads so they can be retried
+  const uploadQueue = useRef({ waiting: [], active: 0 });
+  const uploadFiles = useRef(new Map());
+  // llmTest shape: { status: "running" | "ok" | "failed", message }
   const [confirmAction, setConfirmAction] = useState(null);
   // confirmAction shape: { title, message, onConfirm }
   const abortControllerRef = useRef(null);
@@ -1077,59 +1290,115 @@ export default function MedTrackQuizzer() {
   const [cardFlipped, setCardFlipped] = useState(false);
   const [studyTab, setStudyTab] = useState("missed");
 
+  // Results state
+  const [openSources, setOpenSources] = useState({});
+
+  // Document viewer state: { docId, chunkId, citation, from, editing } where from is the page to go back to
+  const [viewer, setViewer] = useState(null);
+
   // Derived data
   const examDocs = useMemo(() => documents.filter((d) => d.examId === selectedExam?.id), [documents, selectedExam]);
-  const allChunks = useMemo(() => examDocs.flatMap((d) => d.chunks || []), [examDocs]);
-  const topics = useMemo(() => extractTopics(allChunks), [allChunks]);
+  const stripPatterns = useMemo(() => courses.find((c) => c.id === selectedExam?.courseId)?.stripPatterns || [], [courses, selectedExam]);
+  // Excluded chunks and stripped boilerplate never reach topics, search or generation
+  const allChunks = useMemo(() => usableChunks(examDocs.flatMap((d) => d.chunks || []), stripPatterns), [examDocs, stripPatterns]);
+  const detectedTopics = useMemo(() => extractTopics(allChunks), [allChunks]);
+  // What the student renamed, merged, deleted or added for this exam, applied over what was detected
+  const topics = useMemo(() => applyTopicEdits(detectedTopics, selectedExam?.topicEdits, allChunks), [detectedTopics, selectedExam, allChunks]);
+  const retriever = useMemo(() => {
+    if (!semanticSearch) return createRetriever(allChunks);
+    const vectors = Object.assign({}, ...examDocs.filter((d) => d.embeddingModel === EMBEDDING_MODEL).map((d) => d.vectors));
+    return createRetriever(allChunks, { vectors, embed: embedTexts });
+  }, [allChunks, examDocs, semanticSearch]);
   const examQuizzes = useMemo(() => quizzes.filter((q) => q.examId === selectedExam?.id), [quizzes, selectedExam]);
   const examAttempts = useMemo(() => attempts.filter((a) => examQuizzes.some((q) => q.id === a.quizId)), [attempts, examQuizzes]);
+  const learningObjectives = useMemo(() => selectedExam?.objectives || [], [selectedExam]);
+  const objectiveReport = useMemo(() => objectiveCoverage(learningObjectives, examQuizzes, examAttempts), [learningObjectives, examQuizzes, examAttempts]);
 
+  const questionBank = useMemo(() => bankEntries(examQuizzes, selectedExam?.questionBank, selectedExam?.removedQuestionIds), [examQuizzes, selectedExam]);
   const missedQuestions = useMemo(() => {
+    // Questions deleted from the bank aren't reviewed again
+    const removed = new Set(selectedExam?.removedQuestionIds || []);
     const missed = [];
     for (const attempt of examAttempts) {
       const quiz = quizzes.find((q) => q.id === attempt.quizId);
       if (!quiz) continue;
-      for (const q of quiz.questions || []) {
-        const userAns = attempt.answers?.[q.prompt];
-        let isCorrect = false;
-        if (q.type === "select_all") {
-          const correct = Array.isArray(q.correct) ? q.correct.sort().join(",") : q.correct;
-          const user = Array.isArray(userAns) ? userAns.sort().join(",") : userAns || "";
-          isCorrect = correct === user;
-        } else {
-          isCorrect = String(userAns || "").toLowerCase().trim() === String(q.correct).toLowerCase().trim();
-        }
-        if (!isCorrect) missed.push({ ...q, attemptDate: attempt.date, userAnswer: userAns });
-      }
+      const { results } = gradeAttempt(quiz.questions || [], attempt.answers, attempt);
+      (quiz.questions || []).forEach((q, i) => {
+        if (!results[i].correct && !removed.has(q.id)) missed.push({ ...q, attemptDate: attempt.date, userAnswer: attempt.answers?.[q.id] });
+      });
     }
     return missed;
-  }, [examAttempts, quizzes]);
+  }, [examAttempts, quizzes, selectedExam]);
+
+  const dueQuestions = useMemo(() => dueReviews(reviewStates, selectedExam?.id, "question").map((s) => s.item), [reviewStates, selectedExam]);
+  const dueFlashcards = useMemo(() => dueReviews(reviewStates, selectedExam?.id, "flashcard").map((s) => s.item), [reviewStates, selectedExam]);
 
   // ── Persist State ──
+  useEffect(() => storage.onError(setStorageError), []);
+
   useEffect(() => {
     (async () => {
-      const u = await DB.get("user");
-      if (u) { setUser(u); setPage("dashboard"); }
-      setCourses((await DB.get("courses")) || []);
-      setExams((await DB.get("exams")) || []);
-      setDocuments((await DB.get("documents")) || []);
-      setQuizzes((await DB.get("quizzes")) || []);
-      setAttempts((await DB.get("attempts")) || []);
-      setSavedQuizProgress((await DB.get("savedProgress")) || {});
+      const records = async (store) => (await storage.load(store)).map(([, value]) => value).sort(byCreation);
+      const settings = Object.fromEntries(await storage.load("settings"));
+      if (settings.user) { setUser(settings.user); setPage("dashboard"); }
+      setCourses(await records("courses"));
+      setExams(await records("exams"));
+      setDocuments((await records("documents")).map(interruptedDocument));
+      setQuizzes(await records("quizzes"));
+      // A reload while short answers were being graded leaves the exact-match score in place
+      setAttempts((await records("attempts")).map((a) => (a.gradingPending ? { ...a, gradingPending: false } : a)));
+      setSavedQuizProgress(Object.fromEntries(await storage.load("progress")));
+      setReviewStates(Object.fromEntries(await storage.load("reviews")));
+      setLlmSettings({ ...DEFAULT_LLM_SETTINGS, ...(settings.llmSettings || {}) });
+      setSemanticSearch(!!settings.semanticSearch);
+      setUploadLimits({ ...DEFAULT_UPLOAD_LIMITS, ...(settings.uploadLimits || {}) });
+      setLoaded(true);
+      if ((await storage.adapterName()) === "memory") setStorageError(new Error("This browser doesn't let the app save data, so everything is lost when you close the tab."));
     })();
   }, []);
 
-  useEffect(() => { if (user) DB.set("user", user); }, [user]);
-  useEffect(() => { DB.set("courses", courses); }, [courses]);
-  useEffect(() => { DB.set("exams", exams); }, [exams]);
+  useEffect(() => { if (loaded && user) storage.put("settings", "user", user); }, [loaded, user]);
+  useEffect(() => { if (loaded) storage.save("courses", byId(courses)); }, [loaded, courses]);
+  useEffect(() => { if (loaded) storage.save("exams", byId(exams)); }, [loaded, exams]);
+  useEffect(() => { if (loaded) storage.save("documents", byId(documents), storedDocument); }, [loaded, documents]);
+  useEffect(() => { if (loaded) storage.save("quizzes", byId(quizzes)); }, [loaded, quizzes]);
+  useEffect(() => { if (loaded) storage.save("attempts", byId(attempts)); }, [loaded, attempts]);
+  useEffect(() => { if (loaded) storage.save("progress", Object.entries(savedQuizProgress)); }, [loaded, savedQuizProgress]);
+  useEffect(() => { if (loaded) storage.save("reviews", Object.entries(reviewStates)); }, [loaded, reviewStates]);
+  useEffect(() => { if (loaded) storage.put("settings", "llmSettings", llmSettings); }, [loaded, llmSettings]);
+  useEffect(() => { if (loaded) storage.put("settings", "semanticSearch", semanticSearch); }, [loaded, semanticSearch]);
+  useEffect(() => { if (loaded) storage.put("settings", "uploadLimits", uploadLimits); }, [loaded, uploadLimits]);
+
+  // Where data is kept and how much room is left, for the settings page
   useEffect(() => {
-    // Store documents without the full raw text to save space (chunks are kept)
-    const docsForStorage = documents.map(({ text, ...rest }) => rest);
-    DB.set("documents", docsForStorage);
-  }, [documents]);
-  useEffect(() => { DB.set("quizzes", quizzes); }, [quizzes]);
-  useEffect(() => { DB.set("attempts", attempts); }, [attempts]);
-  useEffect(() => { DB.set("savedProgress", savedQuizProgress); }, [savedQuizProgress]);
+    if (page !== "settings") return;
+    (async () => setStorageInfo({ backend: await storage.adapterName(), ...(await storageEstimate()) }))();
+  }, [page, documents, quizzes]);
+
+  // ── Semantic Index ──
+  // One document at a time: embed the next ready document whose vectors are missing or from another model.
+  // Other updates to the document (its status, its stored vectors) leave its chunks alone, so they don't
+  // restart the run; edited chunks do.
+  const unindexedDoc = semanticSearch ? documents.find((d) => d.status === "ready" && d.chunks?.length > 0 && d.embeddingModel !== EMBEDDING_MODEL) : null;
+  const indexingDocId = unindexedDoc?.id;
+  const indexingChunks = unindexedDoc?.chunks;
+  const embeddingError = embeddingStatus?.error;
+  useEffect(() => {
+    if (!indexingDocId || embeddingError) return;
+    let cancelled = false;
+    setEmbeddingStatus({ docId: indexingDocId, done: 0, total: indexingChunks.length });
+    embedChunks(indexingChunks, { onProgress: (done, total) => !cancelled && setEmbeddingStatus({ docId: indexingDocId, done, total }) })
+      .then((vectors) => {
+        if (cancelled) return;
+        setDocuments((prev) => prev.map((d) => (d.id === indexingDocId ? { ...d, vectors, embeddingModel: EMBEDDING_MODEL } : d)));
+        setEmbeddingStatus(null);
+      })
+      .catch((err) => {
+        console.error("Embedding error:", err);
+        if (!cancelled) setEmbeddingStatus({ error: err.message });
+      });
+    return () => { cancelled = true; };
+  }, [indexingDocId, indexingChunks, embeddingError]);
 
   // ── Timer ──
   useEffect(() => {
@@ -1152,7 +1421,13 @@ export default function MedTrackQuizzer() {
   const logout = async () => {
     setUser(null);
     setPage("landing");
-    await DB.del("user");
+    await storage.delete("settings", "user");
+  };
+
+  // Copies of a document in other exams share its figures, so only unreferenced ones are deleted
+  const releaseFigures = (removed) => {
+    const kept = new Set(documents.filter((d) => !removed.includes(d)).flatMap((d) => d.figureIds || []));
+    deleteFigures(removed.flatMap((d) => d.figureIds || []).filter((id) => !kept.has(id)));
   };
 
   // ── Courses ──
@@ -1166,6 +1441,8 @@ export default function MedTrackQuizzer() {
     setCourses((prev) => prev.filter((c) => c.id !== id));
     setExams((prev) => prev.filter((e) => e.courseId !== id));
     setDocuments((prev) => prev.filter((d) => !exams.some((e) => e.courseId === id && e.id === d.examId)));
+    releaseFigures(documents.filter((d) => exams.some((e) => e.courseId === id && e.id === d.examId)));
+    setReviewStates((prev) => Object.fromEntries(Object.entries(prev).filter(([, r]) => !exams.some((e) => e.courseId === id && e.id === r.examId))));
   };
 
   // ── Exams ──
@@ -1178,31 +1455,121 @@ export default function MedTrackQuizzer() {
   const deleteExam = (id) => {
     setExams((prev) => prev.filter((e) => e.id !== id));
     setDocuments((prev) => prev.filter((d) => d.examId !== id));
+    releaseFigures(documents.filter((d) => d.examId === id));
+    setReviewStates((prev) => Object.fromEntries(Object.entries(prev).filter(([, r]) => r.examId !== id)));
   };
 
   // ── File Upload ──
-  const handleFileUpload = async (files) => {
+  // Extracts one queued document; job: { docId, examId, file, maxPages }
+  const processDocument = async ({ docId, examId, file, maxPages }) => {
+    const update = (changes) => setDocuments((prev) => prev.map((d) => (d.id === docId ? { ...d, ...changes } : d)));
+    update({ status: "processing", progress: undefined, error: undefined, warnings: undefined });
+    try {
+      const extracted = await extractFile(file, { maxPages, onProgress: (progress) => update({ progress }) });
+      if (extracted.text.length < 10) throw new Error("Could not extract meaningful text");
+      const sections = await storeSectionFigures(extracted.sections);
+      const chunks = chunkSections(sections, file.name);
+      const figureIds = sections.flatMap((s) => s.figureIds || []);
+      // Imported flashcards (Anki decks) join the review queue like generated ones
+      const cards = (extracted.cards || []).map((c) => ({ ...c, id: uid(), citation: { fileName: file.name } }));
+      if (cards.length > 0) {
+        setReviewStates((prev) => {
+          const next = { ...prev };
+          for (const c of cards) {
+            const key = flashcardReviewKey(examId, c);
+            next[key] = newReviewState(key, examId, "flashcard", c);
+          }
+          return next;
+        });
+      }
+      update({ status: "ready", progress: undefined, text: extracted.text, chunks, figureIds, cardCount: cards.length || undefined, warnings: extracted.warnings.length > 0 ? extracted.warnings : undefined });
+      uploadFiles.current.delete(docId);
+    } catch (err) {
+      console.error("Extraction error:", err);
+      update({ status: "failed", progress: undefined, error: err.message || "Could not read this file" });
+    }
+  };
+
+  const enqueueUpload = (job) => {
+    setDocuments((prev) => prev.map((d) => (d.id === job.docId ? { ...d, status: "queued", progress: undefined, error: undefined } : d)));
+    const queue = uploadQueue.current;
+    queue.waiting.push(job);
+    const pump = () => {
+      while (queue.active < UPLOAD_CONCURRENCY && queue.waiting.length > 0) {
+        queue.active++;
+        processDocument(queue.waiting.shift()).finally(() => { queue.active--; pump(); });
+      }
+    };
+    pump();
+  };
+
+  // origin records where material that didn't come from the file picker came from: { type: "paste" } or { type: "url", url }
+  const handleFileUpload = async (files, { origin } = {}) => {
+    const examId = selectedExam.id;
+    const skipped = [];
+    const seen = new Set();
     for (const file of files) {
-      const ext = file.name.split(".").pop().toLowerCase();
-      if (!["pdf", "pptx", "docx", "txt"].includes(ext)) continue;
+      if (!findExtractor(file)) { skipped.push(`${file.name} (unsupported file type)`); continue; }
+      if (file.size > uploadLimits.maxFileSizeMB * 1024 * 1024) { skipped.push(`${file.name} (${fmtSize(file.size)}, over the ${uploadLimits.maxFileSizeMB} MB limit)`); continue; }
+
+      // The same file is recognized by its content, whatever it's called
+      const hash = await hashFile(file);
+      const matches = documents.filter((d) => d.hash === hash);
+      const here = matches.find((d) => d.examId === examId);
+      if (seen.has(hash) || (here && here.status !== "failed")) { skipped.push(`${file.name} (already uploaded${here ? ` as ${here.fileName}` : ""})`); continue; }
+      seen.add(hash);
+      const job = { examId, file, maxPages: uploadLimits.maxPages };
+      if (here) {
+        // Uploading a failed file again retries it
+        uploadFiles.current.set(here.id, file);
+        enqueueUpload({ ...job, docId: here.id });
+        continue;
+      }
+      // Already extracted for another exam: reuse its chunks and figures instead of reading it again
+      const source = matches.find((d) => d.status === "ready" && !d.cardCount);
+      if (source) {
+        const copy = { ...source, id: uid(), examId, fileName: file.name, chunks: source.chunks.map((c) => ({ ...c, fileName: file.name })), created: Date.now() };
+        setDocuments((prev) => [...prev, copy]);
+        continue;
+      }
 
       const docId = uid();
-      const newDoc = { id: docId, examId: selectedExam.id, fileName: file.name, fileType: ext, status: "processing", chunks: [], text: "", created: Date.now() };
-      setDocuments((prev) => [...prev, newDoc]);
+      const ext = file.name.split(".").pop().toLowerCase();
+      setDocuments((prev) => [...prev, { id: docId, examId, fileName: file.name, fileType: ext, hash, origin, status: "queued", chunks: [], text: "", created: Date.now() }]);
+      uploadFiles.current.set(docId, file);
+      enqueueUpload({ ...job, docId });
+    }
+    setError(skipped.length > 0 ? `Skipped ${skipped.join(", ")}.` : "");
+  };
 
-      try {
-        const text = await extractTextFromFile(file);
-        if (text.length < 10) throw new Error("Could not extract meaningful text");
-        const chunks = chunkText(text, file.name);
-        setDocuments((prev) => prev.map((d) => d.id === docId ? { ...d, status: "ready", text, chunks } : d));
-      } catch (err) {
-        console.error("Extraction error:", err);
-        setDocuments((prev) => prev.map((d) => d.id === docId ? { ...d, status: "failed" } : d));
-      }
+  const addPastedText = (title, text) => {
+    const name = title.replace(/[\\/:*?"<>|]+/g, " ").trim() || `Pasted notes ${fmtDate(Date.now())}`;
+    handleFileUpload([new File([text], `${name}.txt`, { type: "text/plain" })], { origin: { type: "paste" } });
+    setModal(null);
+  };
+
+  const addFromUrl = async (input) => {
+    let url;
+    try {
+      url = new URL(/^https?:\/\//i.test(input) ? input : `https://${input}`).href;
+    } catch {
+      throw new Error(`"${input}" isn't a web address. Check it for typos or spaces.`);
     }
+    const file = await fileFromUrl(url);
+    await handleFileUpload([file], { origin: { type: "url", url } });
+    setModal(null);
+  };
+
+  const retryDocument = (doc) => {
+    const file = uploadFiles.current.get(doc.id);
+    if (!file) return setError(`Upload ${doc.fileName} again to retry it. Files aren't kept after the page reloads.`);
+    setError("");
+    enqueueUpload({ docId: doc.id, examId: doc.examId, file, maxPages: uploadLimits.maxPages });
   };
 
   const deleteDocument = (id) => {
+    releaseFigures(documents.filter((d) => d.id === id));
+    uploadFiles.current.delete(id);
     setDocuments((prev) => prev.filter((d) => d.id !== id));
   };
 
@@ -1216,57 +1583,65 @@ export default function MedTrackQuizzer() {
     const controller = new AbortController();
     abortControllerRef.current = controller;
 
-    const previousQuestionTexts = examQuizzes.flatMap((q) => (q.questions || []).map((qq) => qq.prompt));
+    const previousQuestionTexts = questionBank.map((e) => e.question.prompt);
 
     // For drill mode, use the first selected topic
     const drillTopic = quizMode === "drill" && selectedTopics.length > 0 ? selectedTopics[0] : "";
 
+    // The quiz opens as soon as its first question arrives; the rest are appended as they stream in.
+    // The target is the number of questions planned, which focus topics can narrow in coverage mode.
+    const quizId = uid();
+    let target = 0;
+    let started = false;
+    const onQuestion = (question) => {
+      if (!started) {
+        started = true;
+        const quiz = { id: quizId, examId: selectedExam.id, mode: quizMode, questions: [question], created: Date.now() };
+        setQuizzes((prev) => [...prev, quiz]);
+        setSelectedQuiz(quiz);
+        setGeneratingQuiz({ id: quizId, target });
+        setCurrentQ(0);
+        setAnswers({});
+        setTimerSeconds(0);
+        setQuizSubmitted(false);
+        setQuizPaused(false);
+        setLoading(false);
+        setPage("quiz");
+        return;
+      }
+      const append = (q) => (q?.id === quizId ? { ...q, questions: [...q.questions, question] } : q);
+      setQuizzes((prev) => prev.map(append));
+      setSelectedQuiz(append);
+    };
+
     try {
       const result = await generateQuizFromContent(
         allChunks, topics, quizMode, drillTopic, previousQuestionTexts, learningObjectives,
-        { signal: controller.signal, focusTopics: selectedTopics.length > 0 ? selectedTopics : undefined }
+        {
+          signal: controller.signal, focusTopics: selectedTopics.length > 0 ? selectedTopics : undefined,
+          untestedObjectives: objectiveReport.filter((r) => !r.tested).map((r) => r.objective.id),
+          llm: llmSettings, retriever, loadFigure, onQuestion,
+          onPlan: (count) => { target = count; },
+        }
       );
 
-      // If we were cancelled, just bail
-      if (controller.signal.aborted) { setLoading(false); abortControllerRef.current = null; return; }
-
-      if (result.error) { setError(result.error); setLoading(false); abortControllerRef.current = null; return; }
-
-      const generatedQuestions = result.questions || [];
-      if (generatedQuestions.length === 0) {
-        setError("No questions were generated. Please try again or upload more materials.");
-        setLoading(false);
-        abortControllerRef.current = null;
-        return;
-      }
-
-      const quiz = {
-        id: uid(),
-        examId: selectedExam.id,
-        mode: quizMode,
-        questions: generatedQuestions,
-        created: Date.now(),
-      };
-      setQuizzes((prev) => [...prev, quiz]);
-      setSelectedQuiz(quiz);
-      setCurrentQ(0);
-      setAnswers({});
-      setTimerSeconds(0);
-      setQuizSubmitted(false);
-      setQuizPaused(false);
+      if (abortControllerRef.current === controller) abortControllerRef.current = null;
+      setGeneratingQuiz((g) => (g?.id === quizId ? null : g));
       setLoading(false);
-      abortControllerRef.current = null;
-      setPage("quiz");
+      // Once the quiz is open, a failed or cancelled stream just leaves it with the questions so far
+      if (started) return;
+
+      // If we were cancelled, just bail
+      if (controller.signal.aborted) return;
+      if (result.error) return setError(result.error);
+      setError("No questions were generated. Please try again or upload more materials.");
     } catch (err) {
-      if (err.name === "AbortError") {
-        setLoading(false);
-        abortControllerRef.current = null;
-        return;
-      }
+      if (abortControllerRef.current === controller) abortControllerRef.current = null;
+      setGeneratingQuiz((g) => (g?.id === quizId ? null : g));
+      setLoading(false);
+      if (err.name === "AbortError" || started) return;
       console.error("Quiz generation error:", err);
       setError("Failed to generate quiz: " + (err.message || "Unknown error. Please try again."));
-      setLoading(false);
-      abortControllerRef.current = null;
     }
   };
 
@@ -1276,100 +1651,315 @@ export default function MedTrackQuizzer() {
       abortControllerRef.current.abort();
       abortControllerRef.current = null;
     }
+    setGeneratingQuiz(null);
     setLoading(false);
   };
 
   // ── Submit Quiz ──
-  const submitQuiz = () => {
+  const submitQuiz = async () => {
     if (!selectedQuiz) return;
     clearInterval(timerRef.current);
     setQuizSubmitted(true);
 
-    let score = 0;
-    const questions = selectedQuiz.questions || [];
-    for (const q of questions) {
-      const userAns = answers[q.prompt];
-      if (q.type === "select_all") {
-        const correct = Array.isArray(q.correct) ? q.correct.sort().join(",") : q.correct;
-        const user = Array.isArray(userAns) ? userAns.sort().join(",") : "";
-        if (correct === user) score++;
-      } else if (q.type === "fill_blank" || q.type === "short_answer") {
-        if (String(userAns || "").toLowerCase().trim() === String(q.correct).toLowerCase().trim()) score++;
-      } else {
-        if (userAns === q.correct) score++;
-      }
-    }
+    const quiz = selectedQuiz;
+    const questions = quiz.questions || [];
+    const { score } = gradeAttempt(questions, answers);
+    const toGrade = questions.filter((q) => q.type === "short_answer" && String(answers[q.id] || "").trim() && !gradeAnswer(q, answers[q.id]).correct);
 
     const attempt = {
       id: uid(),
-      quizId: selectedQuiz.id,
+      quizId: quiz.id,
       userId: user.id,
       answers: { ...answers },
       score,
       total: questions.length,
       time: timerSeconds,
       date: Date.now(),
+      gradingPending: toGrade.length > 0,
     };
     setAttempts((prev) => [...prev, attempt]);
     setSelectedAttempt(attempt);
+    setOpenSources({});
     setPage("results");
+
+    // Short answers that didn't match exactly are checked against their rubric before the score is final
+    let finalAttempt = attempt;
+    if (toGrade.length > 0) {
+      const { grades, error: gradingError } = await gradeShortAnswers(toGrade, attempt.answers, { llm: llmSettings });
+      finalAttempt = { ...attempt, rubricGrades: grades || {}, gradingPending: false, gradingError };
+      finalAttempt.score = gradeAttempt(questions, attempt.answers, finalAttempt).score;
+      setAttempts((prev) => prev.map((a) => (a.id === attempt.id ? finalAttempt : a)));
+      setSelectedAttempt((prev) => (prev?.id === attempt.id ? finalAttempt : prev));
+    }
+
+    const { results } = gradeAttempt(questions, attempt.answers, finalAttempt);
+    questions.forEach((q, i) => rescheduleQuestion(quiz.examId, q, results[i]));
+  };
+
+  // Missed questions join the review queue; questions already in it are rescheduled either way.
+  // Partial credit counts as a hard recall rather than a lapse.
+  const rescheduleQuestion = (examId, q, { score, correct }) => {
+    const key = questionReviewKey(examId, q);
+    setReviewStates((prev) => {
+      if (!prev[key] && correct) return prev;
+      return { ...prev, [key]: scheduleReview(prev[key] || newReviewState(key, examId, "question", q), correct ? "good" : score >= 0.5 ? "hard" : "again") };
+    });
+  };
+
+  // ── Override Grade ──
+  // value: 1 (count as correct), 0 (count as incorrect) or null to restore the automatic grade.
+  // The question's review is rescheduled from the new grade.
+  const overrideGrade = (questionId, value) => {
+    const questions = selectedQuiz?.questions || [];
+    const apply = (a) => {
+      const overrides = { ...(a.overrides || {}) };
+      if (value === null) delete overrides[questionId];
+      else overrides[questionId] = value;
+      const next = { ...a, overrides };
+      return { ...next, score: gradeAttempt(questions, next.answers, next).score };
+    };
+    const updated = apply(selectedAttempt);
+    setAttempts((prev) => prev.map((a) => (a.id === selectedAttempt.id ? apply(a) : a)));
+    setSelectedAttempt(updated);
+    const i = questions.findIndex((q) => q.id === questionId);
+    if (i >= 0) rescheduleQuestion(selectedQuiz.examId, questions[i], gradeAttempt(questions, updated.answers, updated).results[i]);
   };
 
   // ── Generate Flashcards ──
   const generateFlashcardsHandler = async (topic) => {
     setLoading(true);
-    const result = await generateFlashcards(allChunks, topic);
+    const result = await generateFlashcards(allChunks, topic, 10, { llm: llmSettings, retriever });
     if (result.cards) {
-      setFlashcards(result.cards);
+      const examId = selectedExam.id;
+      const cards = result.cards.map((c) => ({ ...c, id: uid() }));
+      setFlashcards(cards);
       setCurrentCard(0);
       setCardFlipped(false);
+      // New cards are due for their first review today
+      setReviewStates((prev) => {
+        const next = { ...prev };
+        for (const c of cards) {
+          const key = flashcardReviewKey(examId, c);
+          next[key] = newReviewState(key, examId, "flashcard", c);
+        }
+        return next;
+      });
     }
     setLoading(false);
   };
 
+  // ── Flashcard Review ──
+  const gradeFlashcard = (grade) => {
+    const card = flashcards[currentCard];
+    if (!card) return;
+    const examId = selectedExam.id;
+    const key = flashcardReviewKey(examId, card);
+    setReviewStates((prev) => ({ ...prev, [key]: scheduleReview(prev[key] || newReviewState(key, examId, "flashcard", card), grade) }));
+    setCardFlipped(false);
+    if (currentCard < flashcards.length - 1) setCurrentCard(currentCard + 1);
+  };
+
+  const reviewDueFlashcards = () => {
+    if (dueFlashcards.length === 0) return;
+    setFlashcards(dueFlashcards);
+    setCurrentCard(0);
+    setCardFlipped(false);
+    setStudyTab("flashcards");
+  };
+
+  // ── Export ──
+  // One quiz's questions, or the exam's question bank (and its flashcards) when quizId is null
+  const exportStudyItems = async ({ quizId, format, includeFlashcards, answerKey }) => {
+    const quiz = quizId && examQuizzes.find((q) => q.id === quizId);
+    const questions = quiz ? uniqueQuestions([quiz]) : questionBank.map((e) => e.question);
+    const title = quiz ? `${selectedExam.name} ${quizModeInfo(quiz.mode)?.name || "Quiz"} ${fmtDate(quiz.created)}` : selectedExam.name;
+    const examFlashcards = includeFlashcards && !quiz ? Object.values(reviewStates).filter((s) => s.examId === selectedExam.id && s.kind === "flashcard").map((s) => s.item) : [];
+    const cards = [...questions.map(questionCard), ...examFlashcards.map(flashcardCard)];
+    // Opened right away: browsers block windows opened after waiting on something
+    const win = format === "print" ? window.open("", "_blank") : null;
+    try {
+      if (format === "print") {
+        if (!win) throw new Error("Allow pop-ups for this site to print the worksheet.");
+        win.document.write(await toWorksheet(questions, { title, answerKey }, loadFigure));
+        win.document.close();
+        await Promise.all([...win.document.images].map((img) => img.decode().catch(() => {})));
+        win.print();
+      } else if (format === "apkg") {
+        downloadBlob(await toAnkiPackage(cards, title, loadFigure), exportFileName(title, "apkg"));
+      } else if (format === "anki-text") {
+        downloadBlob(new Blob([toAnkiText(cards, title)], { type: "text/plain" }), exportFileName(title, "txt"));
+      } else if (format === "quizlet") {
+        downloadBlob(new Blob([toQuizletCsv(cards)], { type: "text/csv" }), exportFileName(title, "csv"));
+      } else if (format === "qti") {
+        downloadBlob(await toQtiPackage(questions, title, loadFigure), exportFileName(`${title} QTI`, "zip"));
+      }
+    } catch (err) {
+      console.error("Export error:", err);
+      win?.close();
+      setError(`Export failed: ${err.message}`);
+    }
+  };
+
   // ── Retake Missed ──
+  // Questions due for review today are asked again as-is, topped up with fresh questions
+  // generated from the same content. With nothing due, all missed questions seed the generation.
   const retakeMissed = async () => {
-    if (missedQuestions.length === 0) return;
+    const reviewPool = dueQuestions.length > 0 ? dueQuestions : missedQuestions;
+    if (reviewPool.length === 0) return;
     setLoading(true);
 
     const controller = new AbortController();
     abortControllerRef.current = controller;
 
-    const prompts = missedQuestions.map((q) => q.prompt);
+    const prompts = reviewPool.map((q) => q.prompt);
 
     // Find the original quiz to match its question count
     const lastAttempt = examAttempts.sort((a, b) => b.date - a.date)[0];
     const originalQuiz = lastAttempt ? quizzes.find((q) => q.id === lastAttempt.quizId) : null;
     const originalCount = originalQuiz?.questions?.length || 25;
+    const freshCount = originalCount - dueQuestions.length;
 
     // Regenerate quiz from missed content areas
     const relatedChunks = [];
-    for (const q of missedQuestions) {
-      relatedChunks.push(...searchChunks(allChunks, q.prompt, 3));
+    for (const q of reviewPool) {
+      for (const c of await retriever.search(q.prompt, 3)) if (!relatedChunks.includes(c)) relatedChunks.push(c);
     }
 
-    if (relatedChunks.length > 0) {
+    let freshQuestions = [];
+    if (relatedChunks.length > 0 && freshCount > 0) {
       try {
-        const result = await generateQuizFromContent(relatedChunks, topics, "standard", "", prompts, "", { countOverride: originalCount, signal: controller.signal });
+        const result = await generateQuizFromContent(relatedChunks, topics, "standard", "", prompts, learningObjectives, { countOverride: freshCount, signal: controller.signal, llm: llmSettings, loadFigure });
         if (controller.signal.aborted) { setLoading(false); abortControllerRef.current = null; return; }
-        if (!result.error && result.questions && result.questions.length > 0) {
-          const quiz = { id: uid(), examId: selectedExam.id, mode: "retake_missed", questions: result.questions, created: Date.now() };
-          setQuizzes((prev) => [...prev, quiz]);
-          setSelectedQuiz(quiz);
-          setCurrentQ(0);
-          setAnswers({});
-          setTimerSeconds(0);
-          setQuizSubmitted(false);
-          setPage("quiz");
-        }
+        if (!result.error && result.questions) freshQuestions = result.questions;
       } catch (err) {
         if (err.name === "AbortError") { setLoading(false); abortControllerRef.current = null; return; }
       }
     }
+
+    const questions = [...dueQuestions, ...freshQuestions];
+    if (questions.length > 0) {
+      const quiz = { id: uid(), examId: selectedExam.id, mode: "retake_missed", questions, created: Date.now() };
+      setQuizzes((prev) => [...prev, quiz]);
+      setSelectedQuiz(quiz);
+      setCurrentQ(0);
+      setAnswers({});
+      setTimerSeconds(0);
+      setQuizSubmitted(false);
+      setPage("quiz");
+    }
     setLoading(false);
     abortControllerRef.current = null;
   };
 
+  // ── Question Bank ──
+  // Replaces every copy of a bank entry's question, regrading the attempts that answered it
+  const replaceBankQuestion = (entry, question) => {
+    const next = updateBankQuestion({ quizzes, attempts, savedProgress: savedQuizProgress, reviewStates, authored: selectedExam.questionBank || [] }, entry.ids, question);
+    setQuizzes(next.quizzes);
+    setAttempts(next.attempts);
+    setSavedQuizProgress(next.savedProgress);
+    setReviewStates(next.reviewStates);
+    if (entry.authored) updateSelectedExam({ questionBank: next.authored });
+  };
+
+  // Adds a question written by hand (entry null) or saves an edited one; returns what's wrong with it, if anything
+  const saveBankQuestion = (entry, draft) => {
+    const { question, error } = checkAuthoredQuestion(draft, entry?.question);
+    if (error) return error;
+    // A new or changed source is checked against the material like a generated one
+    const checked = question.citation?.excerpt && !question.citation.status && allChunks.length > 0 ? withVerifiedCitation(question, allChunks, indexChunks(allChunks)) : question;
+    if (entry) replaceBankQuestion(entry, checked);
+    else updateSelectedExam({ questionBank: [...(selectedExam.questionBank || []), { ...checked, id: uid(), created: Date.now() }] });
+    return null;
+  };
+
+  // The question stays in past quizzes, so their scores don't change, but leaves the bank and review queue
+  const deleteBankQuestion = (entry) => {
+    const ids = new Set(entry.ids);
+    updateSelectedExam({
+      questionBank: (selectedExam.questionBank || []).filter((q) => !ids.has(q.id)),
+      ...(entry.quizIds.length > 0 && { removedQuestionIds: [...(selectedExam.removedQuestionIds || []), ...entry.ids] }),
+    });
+    setReviewStates((prev) => Object.fromEntries(Object.entries(prev).filter(([, s]) => !(s.kind === "question" && ids.has(s.item.id)))));
+    setBankSelection((prev) => prev.filter((id) => !ids.has(id)));
+  };
+
+  const startBankQuiz = (entries) => {
+    const quiz = { id: uid(), examId: selectedExam.id, mode: "custom", questions: entries.map((e) => e.question), created: Date.now() };
+    setQuizzes((prev) => [...prev, quiz]);
+    setSelectedQuiz(quiz);
+    setCurrentQ(0);
+    setAnswers({});
+    setTimerSeconds(0);
+    setQuizSubmitted(false);
+    setQuizPaused(false);
+    setBankSelection([]);
+    setPage("quiz");
+  };
+
+  // ── Test AI Provider ──
+  const testLlmConnection = async () => {
+    setLlmTest({ status: "running", message: "Sending a test request..." });
+    try {
+      const reply = await completeText(llmSettings, 'Reply with the single word "ready".', { maxTokens: 20 });
+      setLlmTest({ status: "ok", message: `Connected. The model replied: ${reply.trim().slice(0, 80) || "(empty reply)"}` });
+    } catch (err) {
+      setLlmTest({ status: "failed", message: err.message || "Request failed." });
+    }
+  };
+
+  // ── Backup ──
+  const backupData = () => ({ courses, exams, documents: documents.map(storedDocument), quizzes, attempts, progress: savedQuizProgress, reviews: reviewStates });
+
+  const exportBackup = async () => {
+    setBackupStatus({ status: "running", message: "Packing your data..." });
+    try {
+      downloadBlob(await createBackup(backupData(), loadFigure), `med-track-quizzer-backup-${new Date().toISOString().slice(0, 10)}.zip`);
+      setBackupStatus({ status: "ok", message: `Exported ${courses.length} course${courses.length !== 1 ? "s" : ""}, ${quizzes.length} quiz${quizzes.length !== 1 ? "zes" : ""} and ${attempts.length} attempt${attempts.length !== 1 ? "s" : ""}.` });
+    } catch (err) {
+      setBackupStatus({ status: "failed", message: `Export failed: ${err.message}` });
+    }
+  };
+
+  // Reads and checks the file, then asks how to import it
+  const openBackup = async (file) => {
+    setBackupStatus({ status: "running", message: `Reading ${file.name}...` });
+    try {
+      const backup = await readBackup(file);
+      setBackupStatus(null);
+      setModal({ type: "import-backup", fileName: file.name, backup, plan: planImport(backupData(), backup.data) });
+    } catch (err) {
+      setBackupStatus({ status: "failed", message: err.message });
+    }
+  };
+
+  const importBackup = async ({ data, figures }, options) => {
+    const next = applyImport(backupData(), data, options);
+    const imported = Object.values(planImport(backupData(), data)).reduce((n, s) => n + s.total, 0);
+    if (options.mode === "replace") {
+      figureCache.clear();
+      await storage.clear(["figures"]);
+    }
+    for (const [id, dataUrl] of Object.entries(figures)) {
+      figureCache.delete(id);
+      await storage.put("figures", id, dataUrl);
+    }
+    // Backups from another browser belong to whoever is signed in here
+    const own = (r) => (r.userId === undefined || r.userId === user.id ? r : { ...r, userId: user.id });
+    setCourses(next.courses.map(own));
+    setExams(next.exams);
+    setDocuments(next.documents.map(interruptedDocument));
+    setQuizzes(next.quizzes);
+    setAttempts(next.attempts.map(own));
+    setSavedQuizProgress(next.progress);
+    setReviewStates(next.reviews);
+    if (options.mode === "replace") {
+      setSelectedCourse(null);
+      setSelectedExam(null);
+    }
+    setBackupStatus({ status: "ok", message: `Imported ${imported} item${imported !== 1 ? "s" : ""} from the backup.` });
+  };
+
   // ── Navigation helper ──
   const navigate = (pg, data) => {
     setError("");
@@ -1380,6 +1970,66 @@ export default function MedTrackQuizzer() {
     }
   };
 
+  // ── Document Viewer ──
+  const openDocument = (docId, { chunkId, citation } = {}) => {
+    setViewer({ docId, chunkId, citation, from: page });
+    navigate("document");
+  };
+
+  const setChunksExcluded = (docId, chunkIds, excluded) => {
+    const ids = new Set(chunkIds);
+    setDocuments((prev) => prev.map((d) => (d.id === docId ? { ...d, chunks: d.chunks.map((c) => (ids.has(c.id) ? { ...c, excluded: excluded || undefined } : c)) } : d)));
+  };
+
+  // The edited chunk's embedding no longer matches its text, so search falls back to keywords for it
+  const editChunkText = (docId, chunkId, text) => {
+    setDocuments((prev) => prev.map((d) => {
+      if (d.id !== docId) return d;
+      const { [chunkId]: _stale, ...vectors } = d.vectors || {};
+      return { ...d, vectors: d.vectors && vectors, chunks: d.chunks.map((c) => (c.id === chunkId ? { ...c, text, edited: true } : c)) };
+    }));
+  };
+
+  const saveStripPatterns = (courseId, patterns) => {
+    setCourses((prev) => prev.map((c) => (c.id === courseId ? { ...c, stripPatterns: patterns } : c)));
+  };
+
+  // ── Topic edits ──
+  const updateSelectedExam = (fields) => {
+    setExams((prev) => prev.map((ex) => ex.id === selectedExam.id ? { ...ex, ...fields } : ex));
+    setSelectedExam((prev) => ({ ...prev, ...fields }));
+  };
+
+  const editTopics = (update) => updateSelectedExam({ topicEdits: update(selectedExam.topicEdits || {}) });
+
+  // Merging is renaming every selected topic onto one name
+  const renameTopics = (names, to) => {
+    editTopics((edits) => names.reduce((e, from) => renameTopic(e, from, to), edits));
+    setSelectedTopics((prev) => [...new Set(prev.map((t) => (names.includes(t) ? to : t)))]);
+  };
+
+  const deleteTopic = (name) => {
+    editTopics((edits) => removeTopic(edits, name));
+    setSelectedTopics((prev) => prev.filter((t) => t !== name));
+  };
+
+  // ── Learning objectives ──
+  const saveObjectives = (text) => {
+    updateSelectedExam({ objectives: mergeObjectives(parseObjectives(text), learningObjectives, uid) });
+  };
+
+  // The document and chunk a citation points to, if the file is still uploaded
+  const citedChunk = (citation) => {
+    const doc = examDocs.find((d) => d.chunks?.some((c) => c.id === citation.chunkId)) || examDocs.find((d) => d.fileName === citation.fileName && d.status === "ready");
+    const chunk = doc?.chunks.find((c) => c.id === citation.chunkId) || doc?.chunks.find((c) => c.index === citation.chunkIndex);
+    return doc && { doc, chunk };
+  };
+
+  const openCitation = (citation) => {
+    const source = citedChunk(citation);
+    if (source) openDocument(source.doc.id, { chunkId: source.chunk?.id, citation });
+  };
+
   // ── Save & Exit Quiz ──
   const saveAndExitQuiz = () => {
     if (!selectedQuiz) return;
@@ -1410,6 +2060,7 @@ export default function MedTrackQuizzer() {
       confirmStyle: "danger",
       onConfirm: () => {
         clearInterval(timerRef.current);
+        if (generatingQuiz?.id === quizId) cancelGeneration();
         // Remove saved progress
         setSavedQuizProgress((prev) => {
           const copy = { ...prev };
@@ -1480,7 +2131,7 @@ export default function MedTrackQuizzer() {
         <div className="landing-features">
           <div className="features-grid">
             {[
-              { icon: "📄", title: "Upload Anything", desc: "PDF, PPTX, DOCX, or TXT — upload your lecture slides, notes, and study guides." },
+              { icon: "📄", title: "Upload Anything", desc: "PDF, slides, Word, Markdown, web pages, e-books, spreadsheets, images and Anki decks — upload your lecture slides, notes, diagrams and study guides." },
               { icon: "🧠", title: "AI-Grounded Quizzes", desc: "Every question is generated from YOUR materials. No hallucinations, always cited." },
               { icon: "📊", title: "Track & Improve", desc: "Review missed questions, retake targeted quizzes, and use spaced repetition." },
               { icon: "⚡", title: "Multiple Modes", desc: "Quick review, standard practice, hard mode for reasoning, or drill into specific topics." },
@@ -1574,12 +2225,19 @@ export default function MedTrackQuizzer() {
         <button className={page === "dashboard" ? "active" : ""} onClick={() => navigate("dashboard")}>Dashboard</button>
         {selectedExam && <button className={page === "exam" ? "active" : ""} onClick={() => navigate("exam")}>Exam</button>}
         {selectedExam && <button className={page === "study" ? "active" : ""} onClick={() => navigate("study")}>Study</button>}
+        {selectedExam && <button className={page === "bank" ? "active" : ""} onClick={() => navigate("bank")}>Questions</button>}
         <button className={page === "settings" ? "active" : ""} onClick={() => navigate("settings")}>Settings</button>
       </div>
       <div className="nav-user">
         <div className="nav-avatar">{user?.name?.[0]?.toUpperCase()}</div>
       </div>
     </div>
+    {storageError && (
+      <div className="content-warning storage-warning">
+        <span>⚠️ {storageError.message}</span>
+        <button className="btn btn-ghost btn-sm" onClick={() => setStorageError(null)}>Dismiss</button>
+      </div>
+    )}
     </>
   );
 
@@ -1742,7 +2400,7 @@ export default function MedTrackQuizzer() {
           {examQuizzes.filter((q) => savedQuizProgress[q.id]).map((q) => {
             const saved = savedQuizProgress[q.id];
             const total = q.questions?.length || 0;
-            const modeInfo = QUIZ_MODES.find((m) => m.id === q.mode);
+            const modeInfo = quizModeInfo(q.mode);
             const answeredCount = Object.keys(saved.answers || {}).length;
             return (
               <div key={q.id} className="saved-banner slide-up">
@@ -1784,14 +2442,33 @@ export default function MedTrackQuizzer() {
               ⚠️ Please upload your personal notes and professor-provided slides. Avoid uploading copyrighted textbook pages in bulk.
             </div>
             <UploadZone onFiles={handleFileUpload} />
+            <div style={{ display: "flex", gap: 8, marginTop: 10, marginBottom: 16 }}>
+              <button className="btn btn-secondary btn-sm" onClick={() => setModal("paste-text")}>📋 Paste Text</button>
+              <button className="btn btn-secondary btn-sm" onClick={() => setModal("add-url")}>🔗 Add from URL</button>
+            </div>
             {examDocs.length > 0 && (
               <div className="file-list">
                 {examDocs.map((d) => (
                   <div key={d.id} className="file-item">
-                    <span className="file-icon">{d.fileType === "pdf" ? "📕" : d.fileType === "pptx" ? "📊" : d.fileType === "docx" ? "📘" : "📝"}</span>
-                    <span className="file-name">{d.fileName}</span>
-                    <span className={`badge ${d.status === "ready" ? "badge-green" : d.status === "processing" ? "badge-yellow" : "badge-red"}`}>
-                      {d.status === "processing" && "⏳ "}
+                    <span className="file-icon">{fileIcon(d.fileType)}</span>
+                    {d.status === "ready"
+                      ? <span className="file-name link" title="View extracted text" onClick={() => openDocument(d.id)}>{d.fileName}</span>
+                      : <span className="file-name">{d.fileName}</span>}
+                    {d.origin?.type === "url" && <a className="file-origin" href={d.origin.url} target="_blank" rel="noreferrer" title={d.origin.url}>🔗 {new URL(d.origin.url).hostname}</a>}
+                    {d.origin?.type === "paste" && <span className="file-origin">📋 Pasted</span>}
+                    {d.status === "processing" && d.progress && (
+                      <span className="file-progress">
+                        {d.progress.label}{d.progress.total ? ` ${d.progress.done}/${d.progress.total}` : ""}
+                        {d.progress.total > 0 && <span className="progress-bar"><span className="progress-fill" style={{ width: `${(d.progress.done / d.progress.total) * 100}%` }} /></span>}
+                      </span>
+                    )}
+                    {d.status === "failed" && d.error && <span className="file-error" title={d.error}>{d.error}</span>}
+                    {d.status === "failed" && <button className="btn btn-ghost btn-sm" onClick={() => retryDocument(d)}>↻ Retry</button>}
+                    {d.status === "ready" && d.warnings && <span className="file-warning" title={d.warnings.join("\n")}>⚠️ {d.warnings.join("; ")}</span>}
+                    {d.status === "ready" && d.chunks?.some((c) => c.ocr) && <span className="badge badge-blue" title="Some of this file's text was recognized from images and may contain errors">OCR</span>}
+                    {d.cardCount > 0 && <span className="badge badge-blue" title="Imported into your flashcard reviews">🃏 {d.cardCount} cards</span>}
+                    <span className={`badge ${d.status === "ready" ? "badge-green" : d.status === "processing" ? "badge-yellow" : d.status === "queued" ? "badge-blue" : "badge-red"}`}>
+                      {(d.status === "processing" || d.status === "queued") && "⏳ "}
                       {d.status}
                     </span>
                     <button className="file-delete" onClick={() => deleteDocument(d.id)}>✕</button>
@@ -1802,11 +2479,26 @@ export default function MedTrackQuizzer() {
           </div>
 
           {/* Topics */}
-          {topics.length > 0 && (
+          {(topics.length > 0 || readyDocs.length > 0) && (
             <div className="card slide-up" style={{ marginBottom: 20, animationDelay: "0.1s" }}>
-              <div className="section-title">🏷️ Topics Detected</div>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+                <div className="section-title">🏷️ Topics</div>
+                <div style={{ display: "flex", gap: 6, marginBottom: 12 }}>
+                  {editingTopics && <>
+                    <button className="btn btn-secondary btn-sm" onClick={() => setModal({ type: "add-topic" })}>+ Add Topic</button>
+                    <button className="btn btn-secondary btn-sm" disabled={selectedTopics.length < 2} onClick={() => setModal({ type: "merge-topics", names: selectedTopics })}>Merge Selected</button>
+                    {selectedExam.topicEdits && <button className="btn btn-ghost btn-sm" onClick={() => {
+                      editTopics(() => undefined);
+                      setSelectedTopics([]);
+                    }}>Reset</button>}
+                  </>}
+                  <button className="btn btn-ghost btn-sm" onClick={() => setEditingTopics(!editingTopics)}>{editingTopics ? "✓ Done" : "✏️ Edit Topics"}</button>
+                </div>
+              </div>
               <p style={{ fontSize: 13, color: "var(--ink-muted)", marginBottom: 12, lineHeight: 1.5 }}>
-                Select one or more topics below to <strong>focus your quiz</strong> on those areas. If none are selected, the quiz will cover all topics evenly. In Drill Mode, select the single topic you want to drill into.
+                {editingTopics
+                  ? <>Rename ✎ or delete × a topic, add one your material covers, or select several and <strong>merge</strong> them. Changes are kept with this exam; Reset goes back to the detected topics.</>
+                  : <>Select one or more topics below to <strong>focus your quiz</strong> on those areas. If none are selected, the quiz will cover all topics evenly. In Drill Mode, select the single topic you want to drill into.</>}
               </p>
               {selectedTopics.length > 0 && (
                 <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 10, fontSize: 13 }}>
@@ -1814,33 +2506,77 @@ export default function MedTrackQuizzer() {
                   <button className="btn btn-ghost btn-sm" style={{ fontSize: 12, padding: "2px 8px" }} onClick={() => setSelectedTopics([])}>Clear all</button>
                 </div>
               )}
+              {topics.length === 0 && <p style={{ fontSize: 13, color: "var(--ink-muted)" }}>No topics detected yet. Add the ones you want to study by.</p>}
               <div className="topics-list">
-                {topics.map((t) => (
-                  <span key={t} className={`topic-tag ${selectedTopics.includes(t) ? "selected" : ""}`} onClick={() => {
-                    setSelectedTopics((prev) => prev.includes(t) ? prev.filter((x) => x !== t) : [...prev, t]);
+                {topics.map(({ name, chunkIds }) => (
+                  <span key={name} className={`topic-tag ${selectedTopics.includes(name) ? "selected" : ""}`} title={`Found in ${chunkIds.length} section${chunkIds.length !== 1 ? "s" : ""} of your material`} onClick={() => {
+                    setSelectedTopics((prev) => prev.includes(name) ? prev.filter((x) => x !== name) : [...prev, name]);
                   }}>
-                    {selectedTopics.includes(t) && "✓ "}{t}
+                    {selectedTopics.includes(name) && "✓ "}{name}
+                    {editingTopics && <>
+                      <span className="topic-count">{chunkIds.length}</span>
+                      <button className="topic-action" title="Rename" onClick={(e) => { e.stopPropagation(); setModal({ type: "rename-topic", name }); }}>✎</button>
+                      <button className="topic-action" title="Delete" onClick={(e) => { e.stopPropagation(); deleteTopic(name); }}>×</button>
+                    </>}
                   </span>
                 ))}
               </div>
             </div>
           )}
 
-          {/* Quiz Generation */}
-          <div className="card slide-up" style={{ marginBottom: 20, animationDelay: "0.2s" }}>
-            <div className="section-title">⚡ Generate Quiz</div>
-
-            {readyDocs.length > 0 && (
-              <div style={{ padding: "10px 14px", background: "var(--success-pale)", borderRadius: "var(--radius-sm)", marginBottom: 16, fontSize: 13, color: "var(--success)", display: "flex", alignItems: "center", gap: 8 }}>
-                ✓ Knowledge base ready — {readyDocs.length} file{readyDocs.length !== 1 ? "s" : ""} loaded with {allChunks.length} content chunks
+          {/* Learning Objectives */}
+          {(learningObjectives.length > 0 || readyDocs.length > 0) && (
+            <div className="card slide-up" style={{ marginBottom: 20, animationDelay: "0.15s" }}>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+                <div className="section-title">🎯 Learning Objectives</div>
+                <button className="btn btn-ghost btn-sm" style={{ marginBottom: 12 }} onClick={() => setModal({ type: "objectives" })}>{learningObjectives.length > 0 ? "✏️ Edit" : "+ Add Objectives"}</button>
               </div>
-            )}
-
-            <div className="mode-grid">
-              {QUIZ_MODES.map((m) => (
-                <div key={m.id} className={`mode-card ${quizMode === m.id ? "selected" : ""}`} onClick={() => setQuizMode(m.id)}>
-                  <div className="mode-icon">{m.icon}</div>
-                  <div className="mode-name">{m.name}</div>
+              {learningObjectives.length === 0 ? (
+                <p style={{ fontSize: 13, color: "var(--ink-muted)", lineHeight: 1.5 }}>
+                  Add your course's learning objectives, or find them in your syllabus or lecture slides. Questions are tagged with the objectives they test, and this card shows which ones you've mastered and which you've never been tested on.
+                </p>
+              ) : (
+                <>
+                  <p style={{ fontSize: 13, color: "var(--ink-muted)", marginBottom: 12 }}>
+                    {objectiveReport.filter((r) => r.tested).length} of {objectiveReport.length} tested. New quizzes favor the ones you haven't been tested on.
+                  </p>
+                  <div className="objective-list">
+                    {objectiveReport.map(({ objective, questions, answered, mastery, lastTested, tested }) => {
+                      const pct = tested ? Math.round(mastery * 100) : 0;
+                      return (
+                        <div key={objective.id} className="objective-item">
+                          <div className="objective-text">{objective.text}</div>
+                          <div className="objective-stats">
+                            {tested
+                              ? <span className={`badge ${pct >= 80 ? "badge-green" : pct >= 60 ? "badge-yellow" : "badge-red"}`}>{pct}% mastery</span>
+                              : <span className="badge badge-red">Never tested</span>}
+                            <span>{questions} question{questions !== 1 ? "s" : ""}{tested && ` · answered ${answered} time${answered !== 1 ? "s" : ""} · last ${fmtDate(lastTested)}`}</span>
+                          </div>
+                          {tested && <div className="progress-bar"><div className="progress-fill" style={{ width: `${pct}%` }} /></div>}
+                        </div>
+                      );
+                    })}
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+
+          {/* Quiz Generation */}
+          <div className="card slide-up" style={{ marginBottom: 20, animationDelay: "0.2s" }}>
+            <div className="section-title">⚡ Generate Quiz</div>
+
+            {readyDocs.length > 0 && (
+              <div style={{ padding: "10px 14px", background: "var(--success-pale)", borderRadius: "var(--radius-sm)", marginBottom: 16, fontSize: 13, color: "var(--success)", display: "flex", alignItems: "center", gap: 8 }}>
+                ✓ Knowledge base ready — {readyDocs.length} file{readyDocs.length !== 1 ? "s" : ""} loaded with {allChunks.length} content chunks
+              </div>
+            )}
+
+            <div className="mode-grid">
+              {QUIZ_MODES.map((m) => (
+                <div key={m.id} className={`mode-card ${quizMode === m.id ? "selected" : ""}`} onClick={() => setQuizMode(m.id)}>
+                  <div className="mode-icon">{m.icon}</div>
+                  <div className="mode-name">{m.name}</div>
                   <div className="mode-desc">{m.desc}</div>
                 </div>
               ))}
@@ -1856,7 +2592,7 @@ export default function MedTrackQuizzer() {
                 )}
                 <select className="select" value={selectedTopics[0] || ""} onChange={(e) => setSelectedTopics(e.target.value ? [e.target.value] : [])}>
                   <option value="">Choose a topic...</option>
-                  {topics.map((t) => <option key={t} value={t}>{t}</option>)}
+                  {topics.map(({ name }) => <option key={name} value={name}>{name}</option>)}
                 </select>
               </div>
             )}
@@ -1890,14 +2626,17 @@ export default function MedTrackQuizzer() {
           {/* Quiz History */}
           {examQuizzes.length > 0 && (
             <div className="card slide-up" style={{ animationDelay: "0.25s" }}>
-              <div className="section-title">📋 Previous Quizzes</div>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+                <div className="section-title">📋 Previous Quizzes</div>
+                <button className="btn btn-ghost btn-sm" style={{ marginBottom: 12 }} onClick={() => setModal({ type: "export", quizId: null })}>⬇️ Export All</button>
+              </div>
               {examQuizzes.sort((a, b) => b.created - a.created).map((q) => {
                 const att = attempts.filter((a) => a.quizId === q.id);
                 const bestScore = att.length > 0 ? Math.max(...att.map((a) => a.score)) : null;
                 const total = q.questions?.length || 0;
                 const hasSavedProgress = !!savedQuizProgress[q.id];
                 const saved = savedQuizProgress[q.id];
-                const modeInfo = QUIZ_MODES.find((m) => m.id === q.mode);
+                const modeInfo = quizModeInfo(q.mode);
                 return (
                   <div key={q.id} className="history-item" style={{ flexWrap: "wrap", gap: 8 }} onClick={() => {
                     if (hasSavedProgress) {
@@ -1905,6 +2644,7 @@ export default function MedTrackQuizzer() {
                     } else if (att.length > 0) {
                       setSelectedQuiz(q);
                       setSelectedAttempt(att[att.length - 1]);
+                      setOpenSources({});
                       setPage("results");
                     }
                   }}>
@@ -1921,13 +2661,14 @@ export default function MedTrackQuizzer() {
                       )}
                     </div>
                     <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                      <button className="btn btn-ghost btn-sm" title="Export this quiz" onClick={(e) => { e.stopPropagation(); setModal({ type: "export", quizId: q.id }); }}>⬇️</button>
                       {hasSavedProgress ? (
                         <button className="btn btn-primary btn-sm" onClick={(e) => { e.stopPropagation(); resumeSavedQuiz(q); }}>
                           ▶ Resume
                         </button>
                       ) : (
                         <div style={{ textAlign: "right" }}>
-                          {bestScore !== null && <div className={`badge ${bestScore / total >= 0.8 ? "badge-green" : bestScore / total >= 0.6 ? "badge-yellow" : "badge-red"}`}>Best: {bestScore}/{total}</div>}
+                          {bestScore !== null && <div className={`badge ${bestScore / total >= 0.8 ? "badge-green" : bestScore / total >= 0.6 ? "badge-yellow" : "badge-red"}`}>Best: {formatScore(bestScore)}/{total}</div>}
                           {att.length > 0 && <div style={{ fontSize: 12, color: "var(--ink-muted)", marginTop: 4 }}>{att.length} attempt{att.length > 1 ? "s" : ""}</div>}
                         </div>
                       )}
@@ -1938,6 +2679,114 @@ export default function MedTrackQuizzer() {
             </div>
           )}
         </div>
+
+        {/* Paste Text Modal */}
+        {modal === "paste-text" && <Modal title="Paste Text" sub="Add notes copied from your course site or anywhere else" onClose={() => setModal(null)}>
+          <PasteTextForm onSubmit={addPastedText} />
+        </Modal>}
+
+        {/* Add from URL Modal */}
+        {modal === "add-url" && <Modal title="Add from URL" sub="Add a web page's main content, or a linked PDF or document" onClose={() => setModal(null)}>
+          <UrlForm onSubmit={addFromUrl} />
+        </Modal>}
+
+        {modal?.type === "objectives" && <Modal title="Learning Objectives" sub="One objective per line. Numbered and bulleted lists are fine." onClose={() => setModal(null)}>
+          <ObjectivesForm initial={learningObjectives.map((o) => o.text).join("\n")} documents={readyDocs} onSubmit={(text) => {
+            saveObjectives(text);
+            setModal(null);
+          }} />
+        </Modal>}
+
+        {modal?.type === "add-topic" && <Modal title="Add Topic" sub="Quizzes focused on it use the sections that mention it" onClose={() => setModal(null)}>
+          <TopicForm submitLabel="Add Topic" onSubmit={(name) => {
+            editTopics((edits) => addTopic(edits, name));
+            setModal(null);
+          }} />
+        </Modal>}
+
+        {modal?.type === "rename-topic" && <Modal title="Rename Topic" sub="Renaming it to another topic's name merges the two" onClose={() => setModal(null)}>
+          <TopicForm initial={modal.name} submitLabel="Rename" onSubmit={(name) => {
+            renameTopics([modal.name], name);
+            setModal(null);
+          }} />
+        </Modal>}
+
+        {modal?.type === "export" && <Modal title={modal.quizId ? "Export Quiz" : "Export All Questions"} sub={modal.quizId ? "This quiz's questions with answers, explanations and sources" : "Every question in this exam's question bank, and your flashcards"} onClose={() => setModal(null)}>
+          <ExportForm examWide={!modal.quizId} onSubmit={(options) => {
+            exportStudyItems({ quizId: modal.quizId, ...options });
+            setModal(null);
+          }} />
+        </Modal>}
+
+        {modal?.type === "merge-topics" && <Modal title="Merge Topics" sub={`${modal.names.join(", ")} become one topic covering all their sections`} onClose={() => setModal(null)}>
+          <TopicForm initial={modal.names[0]} submitLabel="Merge" onSubmit={(name) => {
+            renameTopics(modal.names, name);
+            setModal(null);
+          }} />
+        </Modal>}
+      </div>
+    );
+  }
+
+  // ── Document Page ──
+  const viewedDoc = page === "document" && viewer && documents.find((d) => d.id === viewer.docId);
+  if (viewedDoc) {
+    const pages = new Set(viewedDoc.chunks.map((c) => sourceLocation(c)).filter(Boolean));
+    const excludedCount = viewedDoc.chunks.filter((c) => c.excluded).length;
+    return (
+      <div className="app">
+        <style>{CSS}</style>
+        <NavBar />
+        <div className="container">
+          <div className="exam-header fade-in">
+            <div className="breadcrumb">
+              <span onClick={() => navigate("dashboard")}>Dashboard</span> ›{" "}
+              <span onClick={() => navigate("course")}>{selectedCourse?.name}</span> ›{" "}
+              <span onClick={() => navigate("exam")}>{selectedExam?.name}</span> ›{" "}
+              {viewedDoc.fileName}
+            </div>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12, flexWrap: "wrap" }}>
+              <h1>{fileIcon(viewedDoc.fileType)} {viewedDoc.fileName}</h1>
+              <div style={{ display: "flex", gap: 8 }}>
+                <button className={`btn btn-sm ${viewer.editing ? "btn-primary" : "btn-secondary"}`} onClick={() => setViewer({ ...viewer, editing: !viewer.editing })}>{viewer.editing ? "✓ Done Editing" : "✏️ Edit Content"}</button>
+                {viewer.from !== "exam" && <button className="btn btn-secondary btn-sm" onClick={() => navigate(viewer.from)}>← Back</button>}
+              </div>
+            </div>
+            <div style={{ fontSize: 13, color: "var(--ink-muted)" }}>
+              {viewedDoc.chunks.length} chunk{viewedDoc.chunks.length !== 1 ? "s" : ""}
+              {pages.size > 0 && ` · ${pages.size} section${pages.size !== 1 ? "s" : ""}`}
+              {excludedCount > 0 && ` · ${excludedCount} excluded`}
+              {viewedDoc.origin?.type === "url" && <> · from <a href={viewedDoc.origin.url} target="_blank" rel="noreferrer">{viewedDoc.origin.url}</a></>}
+              {viewedDoc.origin?.type === "paste" && " · pasted text"}
+            </div>
+          </div>
+          {viewer.editing && selectedCourse && (
+            <div className="card" style={{ marginBottom: 16 }}>
+              <div className="section-title">✂️ Strip Patterns for {selectedCourse.name}</div>
+              <p style={{ fontSize: 13, color: "var(--ink-muted)", marginBottom: 12, lineHeight: 1.5 }}>
+                Text matching these patterns is removed from every document in this course before topics, search and questions see it. Use one pattern per line: plain text matches anywhere regardless of case, and <code>/regex/</code> is a regular expression, e.g. <code>/^Page \d+ of \d+$/</code>.
+              </p>
+              <StripPatternsForm
+                key={selectedCourse.id}
+                patterns={courses.find((c) => c.id === selectedCourse.id)?.stripPatterns || []}
+                suggestions={repeatedLines(viewedDoc.chunks)}
+                onSave={(patterns) => saveStripPatterns(selectedCourse.id, patterns)}
+              />
+            </div>
+          )}
+          <div className="card">
+            {viewer.editing && <p style={{ fontSize: 13, color: "var(--ink-muted)", marginBottom: 12 }}>Exclude whole pages or slides from their heading, or single chunks. Excluded and edited text only affects new quizzes and flashcards.</p>}
+            <DocumentViewer
+              chunks={viewedDoc.chunks}
+              patterns={stripPatterns}
+              activeChunkId={viewer.chunkId}
+              citation={viewer.citation}
+              editing={viewer.editing}
+              onExclude={(ids, excluded) => setChunksExcluded(viewedDoc.id, ids, excluded)}
+              onEdit={(chunkId, text) => editChunkText(viewedDoc.id, chunkId, text)}
+            />
+          </div>
+        </div>
       </div>
     );
   }
@@ -1946,7 +2795,9 @@ export default function MedTrackQuizzer() {
   if (page === "quiz" && selectedQuiz) {
     const questions = selectedQuiz.questions || [];
     const q = questions[currentQ];
-    const progress = ((currentQ + 1) / questions.length) * 100;
+    const streaming = generatingQuiz?.id === selectedQuiz.id;
+    const totalQuestions = streaming ? Math.max(generatingQuiz.target, questions.length) : questions.length;
+    const progress = ((currentQ + 1) / totalQuestions) * 100;
 
     if (quizPaused) {
       return (
@@ -1984,7 +2835,8 @@ export default function MedTrackQuizzer() {
           <div className="quiz-container">
             <div className="quiz-header fade-in">
               <div className="quiz-info">
-                Question {currentQ + 1} of {questions.length}
+                Question {currentQ + 1} of {totalQuestions}
+                {streaming && <span className="badge badge-blue" style={{ marginLeft: 8 }}>⏳ {questions.length} ready</span>}
               </div>
               <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
                 {timerEnabled && <div className="quiz-timer">⏱ {fmtTime(timerSeconds)}</div>}
@@ -2002,10 +2854,11 @@ export default function MedTrackQuizzer() {
                 <div className="question-number">
                   Question {currentQ + 1}
                   <span className="question-type-badge">
-                    {q.type === "multiple_choice" ? "Multiple Choice" : q.type === "select_all" ? "Multi-Select" : q.type === "fill_blank" ? "Fill in the Blank" : "Short Answer"}
+                    {QUESTION_TYPE_LABELS[q.type]}
                   </span>
                 </div>
                 <div className="question-prompt">{q.prompt.replace(/\s*\(?select all that apply\.?\)?\s*/gi, " ").trim()}</div>
+                {q.figureId && <FigureImage id={q.figureId} />}
                 {q.type === "select_all" && (
                   <div style={{ fontSize: 14, fontWeight: 700, color: "var(--ink)", marginBottom: 14 }}>(Select all that apply)</div>
                 )}
@@ -2015,15 +2868,15 @@ export default function MedTrackQuizzer() {
                     {q.options.map((opt, i) => {
                       const letter = String.fromCharCode(65 + i);
                       const isSelected = q.type === "select_all"
-                        ? (answers[q.prompt] || []).includes(opt)
-                        : answers[q.prompt] === opt;
+                        ? (answers[q.id] || []).includes(opt)
+                        : answers[q.id] === opt;
                       return (
                         <button key={i} className={`option-btn ${isSelected ? "selected" : ""}`} onClick={() => {
                           if (q.type === "select_all") {
-                            const prev = answers[q.prompt] || [];
-                            setAnswers({ ...answers, [q.prompt]: isSelected ? prev.filter((x) => x !== opt) : [...prev, opt] });
+                            const prev = answers[q.id] || [];
+                            setAnswers({ ...answers, [q.id]: isSelected ? prev.filter((x) => x !== opt) : [...prev, opt] });
                           } else {
-                            setAnswers({ ...answers, [q.prompt]: opt });
+                            setAnswers({ ...answers, [q.id]: opt });
                           }
                         }}>
                           <div className="option-letter">{letter}</div>
@@ -2035,7 +2888,7 @@ export default function MedTrackQuizzer() {
                 )}
 
                 {(q.type === "fill_blank" || q.type === "short_answer") && (
-                  <input className="fill-blank-input" placeholder={q.type === "fill_blank" ? "Type your answer..." : "Write your answer..."} value={answers[q.prompt] || ""} onChange={(e) => setAnswers({ ...answers, [q.prompt]: e.target.value })} />
+                  <input className="fill-blank-input" placeholder={q.type === "fill_blank" ? "Type your answer..." : "Write your answer..."} value={answers[q.id] || ""} onChange={(e) => setAnswers({ ...answers, [q.id]: e.target.value })} />
                 )}
               </div>
             )}
@@ -2049,11 +2902,16 @@ export default function MedTrackQuizzer() {
                   <button className="btn btn-primary" onClick={() => setCurrentQ(currentQ + 1)}>
                     Next →
                   </button>
+                ) : streaming ? (
+                  <>
+                    <button className="btn btn-secondary" onClick={cancelGeneration} title="Stop generating and finish with the questions so far">■ Stop & Finish</button>
+                    <button className="btn btn-primary" disabled>Waiting for next question…</button>
+                  </>
                 ) : (
                   <button className="btn btn-primary" onClick={() => {
                     // Count unanswered questions
                     const unanswered = questions.filter((qq) => {
-                      const a = answers[qq.prompt];
+                      const a = answers[qq.id];
                       if (a === undefined || a === null || a === "") return true;
                       if (Array.isArray(a) && a.length === 0) return true;
                       return false;
@@ -2090,24 +2948,14 @@ export default function MedTrackQuizzer() {
     const scoreBg = pct >= 80 ? "var(--success-pale)" : pct >= 60 ? "var(--warning-pale)" : "var(--danger-pale)";
 
     // Topic breakdown
+    const { results: gradedResults } = gradeAttempt(questions, selectedAttempt.answers, selectedAttempt);
     const topicStats = {};
-    for (const q of questions) {
+    questions.forEach((q, i) => {
       const t = q.topic || "General";
       if (!topicStats[t]) topicStats[t] = { correct: 0, total: 0 };
       topicStats[t].total++;
-      const userAns = selectedAttempt.answers?.[q.prompt];
-      let isCorrect = false;
-      if (q.type === "select_all") {
-        const c = Array.isArray(q.correct) ? q.correct.sort().join(",") : q.correct;
-        const u = Array.isArray(userAns) ? userAns.sort().join(",") : "";
-        isCorrect = c === u;
-      } else if (q.type === "fill_blank" || q.type === "short_answer") {
-        isCorrect = String(userAns || "").toLowerCase().trim() === String(q.correct).toLowerCase().trim();
-      } else {
-        isCorrect = userAns === q.correct;
-      }
-      if (isCorrect) topicStats[t].correct++;
-    }
+      topicStats[t].correct += gradedResults[i].score;
+    });
 
     return (
       <div className="app">
@@ -2118,10 +2966,17 @@ export default function MedTrackQuizzer() {
             <div className="results-hero">
               <div className="score-circle" style={{ borderColor: scoreColor, background: scoreBg, color: scoreColor }}>
                 {pct}%
-                <div style={{ fontSize: 14, fontWeight: 400, fontFamily: "var(--font-body)" }}>{score}/{total}</div>
+                <div style={{ fontSize: 14, fontWeight: 400, fontFamily: "var(--font-body)" }}>{formatScore(score)}/{total}</div>
               </div>
               <h2>{pct >= 80 ? "Great work! 🎉" : pct >= 60 ? "Good effort! 💪" : "Keep studying! 📖"}</h2>
               <p>{timerEnabled && time > 0 ? `Completed in ${fmtTime(time)}` : `${fmtDate(selectedAttempt.date)}`}</p>
+              {selectedAttempt.gradingPending && (
+                <div style={{ display: "inline-flex", alignItems: "center", gap: 8, marginTop: 10, fontSize: 13, color: "var(--blue)" }}>
+                  <div className="spinner" style={{ width: 16, height: 16, borderTopColor: "var(--blue)" }} />
+                  Grading short answers against their rubrics...
+                </div>
+              )}
+              {selectedAttempt.gradingError && <div className="content-warning" style={{ marginTop: 12, marginBottom: 0 }}>{selectedAttempt.gradingError}</div>}
               <div style={{ display: "flex", gap: 8, justifyContent: "center", marginTop: 16, flexWrap: "wrap" }}>
                 <button className="btn btn-primary" onClick={() => navigate("exam")}>
                   Generate New Quiz
@@ -2143,7 +2998,7 @@ export default function MedTrackQuizzer() {
                       {topicPct}%
                     </div>
                     <div className="stat-label">{topic}</div>
-                    <div style={{ fontSize: 12, color: "var(--ink-muted)" }}>{stats.correct}/{stats.total} correct</div>
+                    <div style={{ fontSize: 12, color: "var(--ink-muted)" }}>{formatScore(stats.correct)}/{stats.total} correct</div>
                   </div>
                 );
               })}
@@ -2152,17 +3007,10 @@ export default function MedTrackQuizzer() {
             {/* Review Questions */}
             <div className="section-title">📝 Review All Questions</div>
             {questions.map((q, i) => {
-              const userAns = selectedAttempt.answers?.[q.prompt];
-              let isCorrect = false;
-              if (q.type === "select_all") {
-                const c = Array.isArray(q.correct) ? q.correct.sort().join(",") : q.correct;
-                const u = Array.isArray(userAns) ? userAns.sort().join(",") : "";
-                isCorrect = c === u;
-              } else if (q.type === "fill_blank" || q.type === "short_answer") {
-                isCorrect = String(userAns || "").toLowerCase().trim() === String(q.correct).toLowerCase().trim();
-              } else {
-                isCorrect = userAns === q.correct;
-              }
+              const userAns = selectedAttempt.answers?.[q.id];
+              const { score: qScore, correct: isCorrect, overridden } = gradedResults[i];
+              const isPartial = !isCorrect && qScore > 0;
+              const rubricGrade = selectedAttempt.rubricGrades?.[q.id];
 
               return (
                 <div key={i} className="card review-question" style={{ marginBottom: 12 }}>
@@ -2171,13 +3019,14 @@ export default function MedTrackQuizzer() {
                       <span className="question-number" style={{ margin: 0 }}>Question {i + 1}</span>
                       {q.citation?.fileName && (
                         <div style={{ fontSize: 12, color: "var(--blue)", marginTop: 3, display: "flex", alignItems: "center", gap: 4 }}>
-                          📄 Source: <strong>{q.citation.fileName}</strong>
+                          {q.figureId ? "🖼️ Figure from" : "📄 Source:"} <strong>{formatSource(q.citation)}</strong>
                         </div>
                       )}
                     </div>
-                    <span className={`badge ${isCorrect ? "badge-green" : "badge-red"}`}>{isCorrect ? "✓ Correct" : "✗ Incorrect"}</span>
+                    <span className={`badge ${isCorrect ? "badge-green" : isPartial ? "badge-yellow" : "badge-red"}`}>{isCorrect ? "✓ Correct" : isPartial ? `◐ Partial (${Math.round(qScore * 100)}%)` : "✗ Incorrect"}{overridden && " · overridden"}</span>
                   </div>
                   <div style={{ fontWeight: 500, marginBottom: 10, fontSize: 15, lineHeight: 1.5 }}>{q.prompt.replace(/\s*\(?select all that apply\.?\)?\s*/gi, " ").trim()}</div>
+                  {q.figureId && <FigureImage id={q.figureId} />}
 
                   {(q.type === "multiple_choice" || q.type === "select_all") && q.options && (
                     <div className="options-list" style={{ marginBottom: 10 }}>
@@ -2201,6 +3050,32 @@ export default function MedTrackQuizzer() {
                     <div style={{ marginBottom: 10, fontSize: 14 }}>
                       <div><strong>Your answer:</strong> {userAns || <em style={{ color: "var(--ink-muted)" }}>No answer</em>}</div>
                       <div><strong>Correct answer:</strong> <span style={{ color: "var(--success)" }}>{q.correct}</span></div>
+                      {acceptedAnswers(q).length > 1 && (
+                        <div style={{ fontSize: 13, color: "var(--ink-muted)" }}>Also accepted: {acceptedAnswers(q).slice(1).join(", ")}</div>
+                      )}
+                    </div>
+                  )}
+
+                  {rubricGrade && (
+                    <div style={{ marginBottom: 10, padding: "10px 14px", background: "var(--bg)", borderRadius: "var(--radius-sm)", fontSize: 13 }}>
+                      <div style={{ fontWeight: 700, marginBottom: 4 }}>Rubric · {Math.round(rubricGrade.score * 100)}%</div>
+                      {rubricGrade.pointsHit.map((p, k) => <div key={`hit-${k}`} style={{ color: "var(--success)" }}>✓ {p}</div>)}
+                      {rubricGrade.pointsMissed.map((p, k) => <div key={`miss-${k}`} style={{ color: "var(--danger)" }}>✗ {p}</div>)}
+                      {rubricGrade.justification && <div style={{ color: "var(--ink-light)", marginTop: 4 }}>{rubricGrade.justification}</div>}
+                    </div>
+                  )}
+
+                  {(q.type === "fill_blank" || q.type === "short_answer") && !selectedAttempt.gradingPending && (
+                    <div style={{ display: "flex", gap: 6, alignItems: "center", marginBottom: 10, flexWrap: "wrap" }}>
+                      {overridden ? (
+                        <button className="btn btn-ghost btn-sm" onClick={() => overrideGrade(q.id, null)}>↺ Restore automatic grade</button>
+                      ) : (
+                        <>
+                          <span style={{ fontSize: 12, color: "var(--ink-muted)" }}>Disagree with the grade?</span>
+                          {!isCorrect && <button className="btn btn-secondary btn-sm" onClick={() => overrideGrade(q.id, 1)}>Mark correct</button>}
+                          {qScore > 0 && <button className="btn btn-secondary btn-sm" onClick={() => overrideGrade(q.id, 0)}>Mark incorrect</button>}
+                        </>
+                      )}
                     </div>
                   )}
 
@@ -2212,10 +3087,22 @@ export default function MedTrackQuizzer() {
                     <div className="citation-box">
                       <div className="cite-label">📎 Where this came from</div>
                       <div style={{ display: "flex", alignItems: "center", gap: 6, marginBottom: 4 }}>
-                        <span style={{ fontSize: 16 }}>{q.citation.fileName?.endsWith('.pdf') ? '📕' : q.citation.fileName?.endsWith('.pptx') ? '📊' : q.citation.fileName?.endsWith('.docx') ? '📘' : '📝'}</span>
-                        <strong>{q.citation.fileName}</strong>
+                        <span style={{ fontSize: 16 }}>{fileIcon(q.citation.fileName || "")}</span>
+                        <strong>{formatSource(q.citation)}</strong>
+                        {CITATION_STATUS[q.citation.status] && (
+                          <span className={`badge ${CITATION_STATUS[q.citation.status].badge}`} title={CITATION_STATUS[q.citation.status].title}>{CITATION_STATUS[q.citation.status].label}</span>
+                        )}
                       </div>
                       <div style={{ fontStyle: "italic", color: "var(--ink-light)" }}>"{q.citation.excerpt}"</div>
+                      {q.citation.chunkId && (
+                        <button className="btn btn-ghost btn-sm" style={{ marginTop: 6, paddingLeft: 0 }} onClick={() => setOpenSources((prev) => ({ ...prev, [i]: !prev[i] }))}>
+                          {openSources[i] ? "Hide source passage ▴" : "Show source passage ▾"}
+                        </button>
+                      )}
+                      {citedChunk(q.citation) && (
+                        <button className="btn btn-ghost btn-sm" style={{ marginTop: 6 }} onClick={() => openCitation(q.citation)}>Open in document →</button>
+                      )}
+                      {openSources[i] && <SourcePassage chunks={allChunks} citation={q.citation} />}
                     </div>
                   )}
                 </div>
@@ -2297,9 +3184,12 @@ export default function MedTrackQuizzer() {
                 <button className="btn btn-primary" onClick={() => generateFlashcardsHandler("")} disabled={loading || allChunks.length === 0}>
                   {loading ? "Generating..." : "Generate Flashcards"}
                 </button>
-                {topics.slice(0, 5).map((t) => (
-                  <button key={t} className="btn btn-secondary btn-sm" onClick={() => generateFlashcardsHandler(t)} disabled={loading}>{t}</button>
+                {topics.slice(0, 5).map(({ name }) => (
+                  <button key={name} className="btn btn-secondary btn-sm" onClick={() => generateFlashcardsHandler(name)} disabled={loading}>{name}</button>
                 ))}
+                {dueFlashcards.length > 0 && (
+                  <button className="btn btn-secondary" onClick={reviewDueFlashcards} disabled={loading}>📅 Review Due ({dueFlashcards.length})</button>
+                )}
               </div>
 
               {flashcards.length > 0 && (
@@ -2314,13 +3204,24 @@ export default function MedTrackQuizzer() {
                         <div className="card-label">Answer</div>
                         <div className="card-text">{flashcards[currentCard]?.back}</div>
                         {flashcards[currentCard]?.citation && (
-                          <div style={{ position: "absolute", bottom: 16, fontSize: 11, opacity: 0.7 }}>
-                            📎 {flashcards[currentCard].citation.fileName}
+                          <div
+                            className={citedChunk(flashcards[currentCard].citation) ? "card-source link" : "card-source"}
+                            title={citedChunk(flashcards[currentCard].citation) ? "Open in document" : undefined}
+                            onClick={(e) => { e.stopPropagation(); openCitation(flashcards[currentCard].citation); }}
+                          >
+                            📎 {formatSource(flashcards[currentCard].citation)}
                           </div>
                         )}
                       </div>
                     </div>
                   </div>
+                  {cardFlipped && (
+                    <div style={{ display: "flex", justifyContent: "center", gap: 8, marginTop: 16 }}>
+                      {REVIEW_GRADES.map((g) => (
+                        <button key={g.id} className={`btn btn-sm ${g.id === "again" ? "btn-danger" : "btn-secondary"}`} onClick={() => gradeFlashcard(g.id)}>{g.label}</button>
+                      ))}
+                    </div>
+                  )}
                   <div style={{ display: "flex", justifyContent: "center", gap: 12, marginTop: 20 }}>
                     <button className="btn btn-secondary" disabled={currentCard === 0} onClick={() => { setCurrentCard(currentCard - 1); setCardFlipped(false); }}>← Previous</button>
                     <span style={{ padding: "10px 0", color: "var(--ink-muted)", fontSize: 14 }}>{currentCard + 1} / {flashcards.length}</span>
@@ -2342,37 +3243,159 @@ export default function MedTrackQuizzer() {
           {studyTab === "spaced" && (
             <div className="slide-up">
               <div className="card" style={{ marginBottom: 16, padding: 20 }}>
-                <div className="section-title" style={{ marginBottom: 12 }}>📅 Spaced Repetition Schedule</div>
+                <div className="section-title" style={{ marginBottom: 12 }}>📅 Due Today</div>
                 <p style={{ color: "var(--ink-muted)", fontSize: 14, marginBottom: 16 }}>
-                  Missed questions are automatically scheduled for review at increasing intervals: 1 day, 3 days, 7 days, and 14 days.
+                  Missed questions and flashcards are scheduled individually. Each review pushes an item further out when you get it right and brings it back tomorrow when you miss it.
                 </p>
-                {SPACED_INTERVALS.map((interval) => {
-                  const dueDate = new Date();
-                  dueDate.setDate(dueDate.getDate() + interval.days);
-                  const dueQuestions = missedQuestions.filter((q) => {
-                    const elapsed = (Date.now() - q.attemptDate) / (1000 * 60 * 60 * 24);
-                    return elapsed >= interval.days - 0.5 && elapsed < interval.days + 0.5;
-                  });
-                  return (
-                    <div key={interval.days} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", padding: "12px 0", borderBottom: "1px solid #eee" }}>
-                      <div>
-                        <div style={{ fontWeight: 600 }}>Review in {interval.label}</div>
-                        <div style={{ fontSize: 13, color: "var(--ink-muted)" }}>{fmtDate(dueDate)}</div>
-                      </div>
-                      <div className="badge badge-blue">{dueQuestions.length} question{dueQuestions.length !== 1 ? "s" : ""}</div>
+                <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", padding: "12px 0", borderBottom: "1px solid #eee", gap: 8, flexWrap: "wrap" }}>
+                  <div>
+                    <div style={{ fontWeight: 600 }}>Questions</div>
+                    <div style={{ fontSize: 13, color: "var(--ink-muted)" }}>Re-asked in a review quiz alongside fresh questions on the same material</div>
+                  </div>
+                  <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                    <div className="badge badge-blue">{dueQuestions.length} due</div>
+                    <button className="btn btn-primary btn-sm" onClick={retakeMissed} disabled={loading || dueQuestions.length === 0}>
+                      {loading ? "Generating..." : "Start Review Session"}
+                    </button>
+                  </div>
+                </div>
+                <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", padding: "12px 0", gap: 8, flexWrap: "wrap" }}>
+                  <div>
+                    <div style={{ fontWeight: 600 }}>Flashcards</div>
+                    <div style={{ fontSize: 13, color: "var(--ink-muted)" }}>Flip each card and rate how well you remembered it</div>
+                  </div>
+                  <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                    <div className="badge badge-blue">{dueFlashcards.length} due</div>
+                    <button className="btn btn-primary btn-sm" onClick={reviewDueFlashcards} disabled={dueFlashcards.length === 0}>Review Flashcards</button>
+                  </div>
+                </div>
+              </div>
+
+              <div className="card" style={{ padding: 20 }}>
+                <div className="section-title" style={{ marginBottom: 12 }}>🗓️ Coming Up</div>
+                {reviewForecast(reviewStates, selectedExam?.id).map((day) => (
+                  <div key={day.date} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", padding: "10px 0", borderBottom: "1px solid #eee" }}>
+                    <div style={{ fontSize: 14 }}>{fmtDate(day.date)}</div>
+                    <div style={{ display: "flex", gap: 6 }}>
+                      <div className="badge badge-blue">{day.questions} question{day.questions !== 1 ? "s" : ""}</div>
+                      <div className="badge badge-green">{day.flashcards} card{day.flashcards !== 1 ? "s" : ""}</div>
                     </div>
-                  );
-                })}
+                  </div>
+                ))}
               </div>
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  }
 
-              {missedQuestions.length > 0 && (
-                <button className="btn btn-primary" onClick={retakeMissed} disabled={loading}>
-                  {loading ? "Generating..." : "Start Review Session"}
-                </button>
-              )}
+  // ── Question Bank Page ──
+  if (page === "bank" && selectedExam) {
+    const search = bankFilter.search.trim().toLowerCase();
+    const shown = questionBank.filter(({ question: q, authored }) => {
+      if (bankFilter.show === "flagged" && !q.flagged) return false;
+      if (bankFilter.show === "authored" && !authored) return false;
+      if (QUESTION_TYPE_LABELS[bankFilter.show] && q.type !== bankFilter.show) return false;
+      return !search || [q.prompt, q.topic, ...(q.options || [])].some((t) => t?.toLowerCase().includes(search));
+    });
+    const selected = questionBank.filter((e) => bankSelection.includes(e.ids[0]));
+    const flaggedCount = questionBank.filter((e) => e.question.flagged).length;
+    return (
+      <div className="app">
+        <style>{CSS}</style>
+        <NavBar />
+        <div className="container">
+          <div className="exam-header fade-in">
+            <div className="breadcrumb">
+              <span onClick={() => navigate("dashboard")}>Dashboard</span> ›{" "}
+              <span onClick={() => navigate("exam")}>{selectedExam.name}</span> ›{" "}
+              Question Bank
+            </div>
+            <h1>Question Bank</h1>
+            <p style={{ color: "var(--ink-muted)", fontSize: 14, marginTop: 4 }}>Every question from this exam's quizzes and the ones you've written. Fix answers, flag questions to check later, and put together your own quizzes.</p>
+          </div>
+
+          <div className="bank-toolbar">
+            <input className="input" placeholder="Search questions..." value={bankFilter.search} onChange={(e) => setBankFilter({ ...bankFilter, search: e.target.value })} />
+            <select className="select" value={bankFilter.show} onChange={(e) => setBankFilter({ ...bankFilter, show: e.target.value })}>
+              <option value="all">All questions ({questionBank.length})</option>
+              <option value="flagged">Flagged ({flaggedCount})</option>
+              <option value="authored">Written by you</option>
+              {Object.entries(QUESTION_TYPE_LABELS).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+            </select>
+            <button className="btn btn-secondary" onClick={() => setModal({ type: "edit-question", entry: null })}>+ New Question</button>
+          </div>
+
+          {questionBank.length > 0 && (
+            <div className="bank-selection">
+              <span>{selected.length} selected</span>
+              <button className="btn btn-ghost btn-sm" disabled={shown.length === 0} onClick={() => setBankSelection([...new Set([...bankSelection, ...shown.map((e) => e.ids[0])])])}>Select All Shown</button>
+              {selected.length > 0 && <button className="btn btn-ghost btn-sm" onClick={() => setBankSelection([])}>Clear</button>}
+              <button className="btn btn-primary btn-sm" style={{ marginLeft: "auto" }} disabled={selected.length === 0} onClick={() => startBankQuiz(selected)}>🧩 Start Quiz with {selected.length || ""} Selected</button>
             </div>
           )}
+
+          {questionBank.length === 0 ? (
+            <div className="empty-state slide-up">
+              <div className="icon">🗂️</div>
+              <h3>No questions yet</h3>
+              <p>Generate a quiz, or write questions yourself, such as your professor's practice questions.</p>
+            </div>
+          ) : shown.length === 0 ? (
+            <p style={{ color: "var(--ink-muted)", fontSize: 14, textAlign: "center", padding: 24 }}>No questions match.</p>
+          ) : shown.map((entry) => {
+            const q = entry.question;
+            const id = entry.ids[0];
+            return (
+              <div key={id} className={`card bank-question ${q.flagged ? "flagged" : ""}`}>
+                <input type="checkbox" checked={bankSelection.includes(id)} onChange={(e) => setBankSelection(e.target.checked ? [...bankSelection, id] : bankSelection.filter((s) => s !== id))} />
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginBottom: 6 }}>
+                    <span className="badge badge-blue">{QUESTION_TYPE_LABELS[q.type]}</span>
+                    <span className="topic-tag">{q.topic}</span>
+                    {q.flagged && <span className="badge badge-red">🚩 Flagged</span>}
+                    {entry.authored && <span className="badge badge-green">✍️ Yours</span>}
+                  </div>
+                  <div style={{ fontWeight: 500, marginBottom: 6 }}>{q.prompt}</div>
+                  {q.options ? (
+                    <ul className="bank-options">
+                      {q.options.map((o) => <li key={o} className={(Array.isArray(q.correct) ? q.correct.includes(o) : q.correct === o) ? "correct" : ""}>{o}</li>)}
+                    </ul>
+                  ) : (
+                    <div style={{ fontSize: 13 }}>Answer: <span style={{ color: "var(--success)" }}>{q.correct}</span></div>
+                  )}
+                  <div style={{ fontSize: 12, color: "var(--ink-muted)", marginTop: 6 }}>
+                    {entry.quizIds.length > 0 ? `In ${entry.quizIds.length} quiz${entry.quizIds.length !== 1 ? "zes" : ""}` : "Not in a quiz yet"}
+                    {q.citation?.fileName && <> · 📄 {formatSource(q.citation)}</>}
+                  </div>
+                </div>
+                <div className="bank-actions">
+                  <button className="btn btn-ghost btn-sm" title="Edit" onClick={() => setModal({ type: "edit-question", entry })}>✏️</button>
+                  <button className="btn btn-ghost btn-sm" title={q.flagged ? "Remove flag" : "Flag to check later"} onClick={() => replaceBankQuestion(entry, { ...q, flagged: !q.flagged || undefined })}>{q.flagged ? "🏳️" : "🚩"}</button>
+                  <button className="btn btn-ghost btn-sm" title="Delete" onClick={() => setConfirmAction({
+                    title: "Delete Question?",
+                    message: entry.quizIds.length > 0 ? "It's removed from the bank and your review queue. Past quizzes keep it so their scores don't change." : "The question you wrote is deleted.",
+                    confirmLabel: "Delete",
+                    confirmStyle: "danger",
+                    onConfirm: () => {
+                      deleteBankQuestion(entry);
+                      setConfirmAction(null);
+                    },
+                  })}>🗑️</button>
+                </div>
+              </div>
+            );
+          })}
         </div>
+
+        {modal?.type === "edit-question" && <Modal title={modal.entry ? "Edit Question" : "New Question"} sub={modal.entry?.quizIds.length > 0 ? "Changes apply everywhere the question was asked, and past attempts are regraded" : "Write it the way it should appear in a quiz"} onClose={() => setModal(null)}>
+          <QuestionForm initial={modal.entry?.question} fileNames={examDocs.map((d) => d.fileName)} onSubmit={(draft) => {
+            const problem = saveBankQuestion(modal.entry, draft);
+            if (!problem) setModal(null);
+            return problem;
+          }} />
+        </Modal>}
       </div>
     );
   }
@@ -2391,6 +3414,117 @@ export default function MedTrackQuizzer() {
             <div style={{ fontSize: 14, color: "var(--ink-light)", marginBottom: 16 }}>Email: {user?.email}</div>
             <button className="btn btn-secondary" onClick={logout}>Sign Out</button>
           </div>
+          <div className="card" style={{ marginBottom: 16 }}>
+            <div className="section-title">🤖 AI Provider</div>
+            <p style={{ fontSize: 14, color: "var(--ink-muted)", marginBottom: 16 }}>Choose which model generates quizzes and flashcards and grades short answers. Your API key is stored on this device only.</p>
+            <div className="form-group">
+              <label className="label">Provider</label>
+              <select className="select" value={llmSettings.provider} onChange={(e) => { setLlmSettings({ ...llmSettings, provider: e.target.value, model: "", baseUrl: "" }); setLlmTest(null); }}>
+                {LLM_PROVIDERS.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+              </select>
+            </div>
+            {llmSettings.provider !== "mock" && (
+              <>
+                <div className="form-group">
+                  <label className="label">Model</label>
+                  <input className="input" placeholder={resolveLLMSettings({ provider: llmSettings.provider }).model} value={llmSettings.model} onChange={(e) => setLlmSettings({ ...llmSettings, model: e.target.value })} />
+                </div>
+                <div className="form-group">
+                  <label className="label">API Key {llmSettings.provider === "local" && "(Optional)"}</label>
+                  <input className="input" type="password" placeholder={llmSettings.provider === "local" ? "Not needed for most local servers" : "sk-..."} value={llmSettings.apiKey} onChange={(e) => setLlmSettings({ ...llmSettings, apiKey: e.target.value })} />
+                </div>
+                <div className="form-group">
+                  <label className="label">Base URL</label>
+                  <input className="input" placeholder={resolveLLMSettings({ provider: llmSettings.provider }).baseUrl} value={llmSettings.baseUrl} onChange={(e) => setLlmSettings({ ...llmSettings, baseUrl: e.target.value })} />
+                </div>
+                <div className="form-group">
+                  <label className="label">Max Tokens per Request</label>
+                  <input className="input" type="number" min={500} step={500} value={llmSettings.maxTokens} onChange={(e) => setLlmSettings({ ...llmSettings, maxTokens: parseInt(e.target.value, 10) || DEFAULT_LLM_SETTINGS.maxTokens })} />
+                </div>
+                <div className="form-group">
+                  <label className="label">Parallel Requests</label>
+                  <input className="input" type="number" min={1} max={8} value={llmSettings.concurrency ?? DEFAULT_LLM_SETTINGS.concurrency} onChange={(e) => setLlmSettings({ ...llmSettings, concurrency: Math.min(8, Math.max(1, parseInt(e.target.value, 10) || 1)) })} />
+                  <p style={{ fontSize: 12, color: "var(--ink-muted)", marginTop: 4 }}>Large quizzes are generated in batches; this many run at once. Use 1 for local servers.</p>
+                </div>
+              </>
+            )}
+            <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+              <button className="btn btn-secondary" disabled={llmTest?.status === "running"} onClick={testLlmConnection}>Test Connection</button>
+              {llmTest && (
+                <span className={`badge ${llmTest.status === "ok" ? "badge-green" : llmTest.status === "failed" ? "badge-red" : "badge-blue"}`} style={{ whiteSpace: "normal" }}>{llmTest.message}</span>
+              )}
+            </div>
+          </div>
+          <div className="card" style={{ marginBottom: 16 }}>
+            <div className="section-title">🔎 Search</div>
+            <p style={{ fontSize: 14, color: "var(--ink-muted)", marginBottom: 16 }}>Drill mode, focus topics, flashcards and retakes find the relevant parts of your material by keyword. Semantic search also matches passages that use different wording. It downloads a small language model (about 25 MB) once and runs it on this device, so turning it on needs an internet connection; until the model is in, search uses keywords.</p>
+            <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 14, cursor: "pointer", marginBottom: 12 }}>
+              <input type="checkbox" checked={semanticSearch} onChange={(e) => { setSemanticSearch(e.target.checked); setEmbeddingStatus(null); }} />
+              Enable semantic search
+            </label>
+            {semanticSearch && (() => {
+              const ready = documents.filter((d) => d.status === "ready" && d.chunks?.length > 0);
+              const indexed = ready.filter((d) => d.embeddingModel === EMBEDDING_MODEL).length;
+              if (embeddingStatus?.error) return (
+                <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+                  <span className="badge badge-red" style={{ whiteSpace: "normal" }}>{embeddingStatus.error}. Search uses keywords until the model downloads.</span>
+                  <button className="btn btn-secondary btn-sm" onClick={() => setEmbeddingStatus(null)}>Retry</button>
+                </div>
+              );
+              const current = embeddingStatus && documents.find((d) => d.id === embeddingStatus.docId);
+              return (
+                <div style={{ fontSize: 13, color: "var(--ink-muted)" }}>
+                  {indexed} of {ready.length} document{ready.length !== 1 ? "s" : ""} indexed
+                  {current && ` · indexing ${current.fileName} (${embeddingStatus.done}/${embeddingStatus.total} chunks)`}
+                </div>
+              );
+            })()}
+          </div>
+          <div className="card" style={{ marginBottom: 16 }}>
+            <div className="section-title">📄 Uploads</div>
+            <p style={{ fontSize: 14, color: "var(--ink-muted)", marginBottom: 16 }}>Larger files are skipped. Very long PDFs and slide decks take a while to read and fill up your storage; split them into chapters or raise the limit.</p>
+            <div className="form-group">
+              <label className="label">Maximum File Size (MB)</label>
+              <input className="input" type="number" min={1} max={500} value={uploadLimits.maxFileSizeMB} onChange={(e) => setUploadLimits({ ...uploadLimits, maxFileSizeMB: clamp(parseInt(e.target.value, 10) || 1, 1, 500) })} />
+            </div>
+            <div className="form-group">
+              <label className="label">Maximum Pages or Slides per File</label>
+              <input className="input" type="number" min={1} max={5000} value={uploadLimits.maxPages} onChange={(e) => setUploadLimits({ ...uploadLimits, maxPages: clamp(parseInt(e.target.value, 10) || 1, 1, 5000) })} />
+            </div>
+          </div>
+          <div className="card" style={{ marginBottom: 16 }}>
+            <div className="section-title">💾 Storage</div>
+            <p style={{ fontSize: 14, color: "var(--ink-muted)", marginBottom: 12 }}>
+              {storageInfo?.backend === "IndexedDB" ? "Your data is saved in this browser's database."
+                : storageInfo?.backend === "window.storage" ? "Your data is saved in the app host's storage."
+                : storageInfo?.backend === "memory" ? "This browser doesn't let the app save data, so everything is lost when you close the tab."
+                : "Checking where your data is saved..."}
+              {" "}It stays on this device and isn't synced anywhere.
+            </p>
+            {storageInfo?.quota && (
+              <>
+                <div className="progress-bar" style={{ marginBottom: 6 }}><div className="progress-fill" style={{ width: `${Math.min(100, (storageInfo.usage / storageInfo.quota) * 100)}%` }} /></div>
+                <div style={{ fontSize: 13, color: "var(--ink-muted)" }}>{fmtSize(storageInfo.usage)} used of {fmtSize(storageInfo.quota)} available</div>
+              </>
+            )}
+          </div>
+          <div className="card" style={{ marginBottom: 16 }}>
+            <div className="section-title">📦 Backup</div>
+            <p style={{ fontSize: 14, color: "var(--ink-muted)", marginBottom: 16 }}>Export everything (courses, exams, document contents, quizzes, attempts and review schedule) to a file you can import in another browser or on another computer. Settings and API keys are not included.</p>
+            <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+              <button className="btn btn-primary" disabled={backupStatus?.status === "running"} onClick={exportBackup}>⬇️ Export Everything</button>
+              <label className="btn btn-secondary" style={{ cursor: "pointer" }}>
+                ⬆️ Import Backup
+                <input type="file" accept=".zip,.json,application/zip,application/json" style={{ display: "none" }} onChange={(e) => {
+                  if (e.target.files[0]) openBackup(e.target.files[0]);
+                  e.target.value = "";
+                }} />
+              </label>
+              {backupStatus && (
+                <span className={`badge ${backupStatus.status === "ok" ? "badge-green" : backupStatus.status === "failed" ? "badge-red" : "badge-blue"}`} style={{ whiteSpace: "normal" }}>{backupStatus.message}</span>
+              )}
+            </div>
+          </div>
           <div className="card">
             <div className="section-title">🗑️ Danger Zone</div>
             <p style={{ fontSize: 14, color: "var(--ink-muted)", marginBottom: 16 }}>Permanently delete all your data including courses, exams, quizzes, and uploaded materials.</p>
@@ -2407,12 +3541,9 @@ export default function MedTrackQuizzer() {
                   setQuizzes([]);
                   setAttempts([]);
                   setSavedQuizProgress({});
-                  await DB.del("courses");
-                  await DB.del("exams");
-                  await DB.del("documents");
-                  await DB.del("quizzes");
-                  await DB.del("attempts");
-                  await DB.del("savedProgress");
+                  setReviewStates({});
+                  await storage.clear(["courses", "exams", "documents", "quizzes", "attempts", "progress", "reviews"]);
+                  await deleteFigures(documents.flatMap((d) => d.figureIds || []));
                   setConfirmAction(null);
                   navigate("dashboard");
                 },
@@ -2420,6 +3551,13 @@ export default function MedTrackQuizzer() {
             }}>Delete All Data</button>
           </div>
         </div>
+
+        {modal?.type === "import-backup" && <Modal title="Import Backup" sub={`${modal.fileName}${modal.backup.exportedAt ? `, exported ${fmtDate(modal.backup.exportedAt)}` : ""}`} onClose={() => setModal(null)}>
+          <ImportBackupForm plan={modal.plan} onSubmit={async (options) => {
+            setModal(null);
+            await importBackup(modal.backup, options);
+          }} />
+        </Modal>}
       </div>
     );
   }
@@ -2453,6 +3591,77 @@ function Modal({ title, sub, onClose, children }) {
   );
 }
 
+function ExportForm({ examWide, onSubmit }) {
+  const [format, setFormat] = useState("apkg");
+  const [includeFlashcards, setIncludeFlashcards] = useState(true);
+  const [answerKey, setAnswerKey] = useState(true);
+  const cards = EXPORT_FORMATS.find((f) => f.id === format)?.cards;
+  return (
+    <>
+      <div className="form-group">
+        <label className="label">Format</label>
+        <select className="select" value={format} onChange={(e) => setFormat(e.target.value)}>
+          {EXPORT_FORMATS.map((f) => <option key={f.id} value={f.id}>{f.name}</option>)}
+        </select>
+        <p style={{ fontSize: 12, color: "var(--ink-muted)", marginTop: 6 }}>
+          {cards ? "Each question becomes a card with the answer, explanation and source on the back." : format === "qti" ? "Import it as a QTI package in your LMS. Choice and fill-in questions are scored automatically; short answers are graded by hand." : "Opens a worksheet to print or save as PDF."}
+        </p>
+      </div>
+      {cards && examWide && (
+        <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 14, cursor: "pointer", marginBottom: 12 }}>
+          <input type="checkbox" checked={includeFlashcards} onChange={(e) => setIncludeFlashcards(e.target.checked)} />
+          Include flashcards
+        </label>
+      )}
+      {format === "print" && (
+        <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 14, cursor: "pointer", marginBottom: 12 }}>
+          <input type="checkbox" checked={answerKey} onChange={(e) => setAnswerKey(e.target.checked)} />
+          Add an answer key at the end
+        </label>
+      )}
+      <button className="btn btn-primary btn-lg" style={{ width: "100%", marginTop: 8 }} onClick={() => onSubmit({ format, includeFlashcards, answerKey })}>{format === "print" ? "Open Worksheet" : "Download"}</button>
+    </>
+  );
+}
+
+const BACKUP_STORES = [["courses", "Courses"], ["exams", "Exams"], ["documents", "Documents"], ["quizzes", "Quizzes"], ["attempts", "Attempts"], ["progress", "Quizzes in progress"], ["reviews", "Review schedule"]];
+
+function ImportBackupForm({ plan, onSubmit }) {
+  const [mode, setMode] = useState("merge");
+  const [overwrite, setOverwrite] = useState(false);
+  const conflicts = Object.values(plan).reduce((n, s) => n + s.conflicts, 0);
+  return (
+    <>
+      <table className="backup-plan">
+        <thead><tr><th /><th>In backup</th><th>New</th><th>Already here</th><th>Different here</th></tr></thead>
+        <tbody>
+          {BACKUP_STORES.filter(([store]) => plan[store].total > 0).map(([store, label]) => (
+            <tr key={store}><td>{label}</td><td>{plan[store].total}</td><td>{plan[store].added}</td><td>{plan[store].same}</td><td>{plan[store].conflicts}</td></tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="form-group">
+        <label className="label">How to Import</label>
+        <select className="select" value={mode} onChange={(e) => setMode(e.target.value)}>
+          <option value="merge">Merge: add the backup to what's here</option>
+          <option value="replace">Replace: delete what's here and restore the backup</option>
+        </select>
+      </div>
+      {mode === "merge" && conflicts > 0 && (
+        <div className="form-group">
+          <label className="label">{conflicts} item{conflicts !== 1 ? "s are" : " is"} different here and in the backup</label>
+          <select className="select" value={overwrite ? "backup" : "here"} onChange={(e) => setOverwrite(e.target.value === "backup")}>
+            <option value="here">Keep the version here</option>
+            <option value="backup">Use the version from the backup</option>
+          </select>
+        </div>
+      )}
+      {mode === "replace" && <div className="content-warning">Everything you have now is deleted, including documents, quizzes and attempts that aren't in the backup.</div>}
+      <button className={`btn btn-lg ${mode === "replace" ? "btn-danger" : "btn-primary"}`} style={{ width: "100%" }} onClick={() => onSubmit({ mode, overwrite })}>{mode === "replace" ? "Replace My Data" : "Import"}</button>
+    </>
+  );
+}
+
 function CourseForm({ onSubmit, initial, submitLabel }) {
   const [name, setName] = useState(initial?.name || "");
   const [term, setTerm] = useState(initial?.term || "");
@@ -2489,6 +3698,325 @@ function ExamForm({ onSubmit, initial, submitLabel }) {
   );
 }
 
+function FigureImage({ id }) {
+  const [src, setSrc] = useState(undefined);
+  useEffect(() => {
+    let active = true;
+    loadFigure(id).then((dataUrl) => active && setSrc(dataUrl));
+    return () => { active = false; };
+  }, [id]);
+  if (src === undefined) return <div className="question-figure loading" />;
+  if (!src) return <div className="question-figure missing">The figure for this question is no longer uploaded.</div>;
+  return <img className="question-figure" src={src} alt="Figure for this question" />;
+}
+
+// A document's chunks in order, with a marker wherever the page, slide or section changes.
+// The active chunk is scrolled into view, with the cited excerpt highlighted. Chunks show their
+// text after the course's strip patterns; in editing mode they can be excluded or rewritten.
+function DocumentViewer({ chunks, patterns, activeChunkId, citation, editing, onExclude, onEdit }) {
+  const activeRef = useRef(null);
+  const [draft, setDraft] = useState(null); // { chunkId, text } while a chunk is being edited
+  useEffect(() => {
+    activeRef.current?.scrollIntoView({ block: "center" });
+  }, [activeChunkId]);
+  const shownFigures = new Set();
+  return (
+    <div className="doc-viewer">
+      {chunks.map((c, i) => {
+        const location = sourceLocation(c);
+        const marker = location && location !== sourceLocation(chunks[i - 1] || {});
+        const sectionIds = marker ? chunks.filter((o) => sourceLocation(o) === location).map((o) => o.id) : [];
+        const sectionExcluded = marker && chunks.filter((o) => sectionIds.includes(o.id)).every((o) => o.excluded);
+        const active = c.id === activeChunkId;
+        // A section's figures are on each of its chunks; show them once, before the first
+        const figures = (c.figureIds || []).filter((id) => !shownFigures.has(id));
+        figures.forEach((id) => shownFigures.add(id));
+        const text = applyStripPatterns(c.text, patterns);
+        const start = active && citation?.chunkId === c.id ? citation.offset : undefined;
+        const end = start !== undefined ? start + (citation.length ?? 0) : undefined;
+        return (
+          <div key={c.id}>
+            {marker && (
+              <div className="doc-marker">
+                {location}
+                {editing && <button className="btn btn-ghost btn-sm" onClick={() => onExclude(sectionIds, !sectionExcluded)}>{sectionExcluded ? "Include" : "Exclude"} {c.slide ? "slide" : c.page ? "page" : "section"}</button>}
+              </div>
+            )}
+            {figures.map((id) => <FigureImage key={id} id={id} />)}
+            <div ref={active ? activeRef : undefined} className={`doc-chunk ${active ? "active" : ""} ${c.excluded ? "excluded" : ""}`}>
+              <span className="chunk-no" title={`Chunk ${i + 1}`}>{i + 1}</span>
+              <span style={{ float: "right", display: "flex", gap: 6, alignItems: "center" }}>
+                {c.ocr && <span className="badge badge-blue" title="Recognized from an image and may contain errors">OCR</span>}
+                {c.edited && <span className="badge badge-yellow">Edited</span>}
+                {c.excluded && <span className="badge badge-red">Excluded</span>}
+                {editing && draft?.chunkId !== c.id && (
+                  <>
+                    <button className="btn btn-ghost btn-sm" onClick={() => setDraft({ chunkId: c.id, text: c.text })}>Edit</button>
+                    <button className="btn btn-ghost btn-sm" onClick={() => onExclude([c.id], !c.excluded)}>{c.excluded ? "Include" : "Exclude"}</button>
+                  </>
+                )}
+              </span>
+              {draft?.chunkId === c.id ? (
+                <>
+                  <textarea className="textarea" style={{ minHeight: 140, margin: "8px 0" }} value={draft.text} onChange={(e) => setDraft({ ...draft, text: e.target.value })} />
+                  <div style={{ display: "flex", gap: 8 }}>
+                    <button className="btn btn-primary btn-sm" disabled={!draft.text.trim()} onClick={() => { onEdit(c.id, draft.text.trim()); setDraft(null); }}>Save</button>
+                    <button className="btn btn-ghost btn-sm" onClick={() => setDraft(null)}>Cancel</button>
+                  </div>
+                </>
+              ) : !text.trim() ? (
+                <span className="context">Removed by strip patterns</span>
+              ) : start !== undefined ? (
+                <>{text.slice(0, start)}<mark>{text.slice(start, end)}</mark>{text.slice(end)}</>
+              ) : text}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// One pattern per line, with the document's repeated lines offered as ready-made patterns
+function StripPatternsForm({ patterns, suggestions, onSave }) {
+  const [text, setText] = useState(patterns.join("\n"));
+  const lines = text.split("\n").map((l) => l.trim()).filter(Boolean);
+  const invalid = lines.filter((l) => !parseStripPattern(l));
+  const unused = suggestions.filter((s) => !lines.includes(s)).slice(0, 8);
+  const saved = lines.join("\n") === patterns.join("\n");
+  return (
+    <>
+      <textarea className="textarea" style={{ fontFamily: "monospace", fontSize: 13 }} placeholder={"© 2026 University of Example\n/^Page \\d+ of \\d+$/"} value={text} onChange={(e) => setText(e.target.value)} />
+      {invalid.length > 0 && <div style={{ fontSize: 12, color: "var(--danger)", marginTop: 4 }}>Not a valid regular expression: {invalid.join(", ")}</div>}
+      {unused.length > 0 && (
+        <div style={{ marginTop: 10 }}>
+          <div style={{ fontSize: 12, color: "var(--ink-muted)", marginBottom: 6 }}>Repeated on most pages of this document:</div>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+            {unused.map((s) => (
+              <button key={s} className="topic-tag" title="Add as a strip pattern" onClick={() => setText([...lines, s].join("\n"))}>+ {s.length > 60 ? s.slice(0, 60) + "…" : s}</button>
+            ))}
+          </div>
+        </div>
+      )}
+      <button className="btn btn-primary btn-sm" style={{ marginTop: 12 }} disabled={saved || invalid.length > 0} onClick={() => onSave(lines)}>{saved ? "Saved" : "Save Patterns"}</button>
+    </>
+  );
+}
+
+// The cited chunk with the matched excerpt highlighted, between its neighbours from the same file
+function SourcePassage({ chunks, citation }) {
+  const chunk = chunks.find((c) => c.id === citation.chunkId)
+    || chunks.find((c) => c.fileName === citation.fileName && c.index === citation.chunkIndex);
+  if (!chunk) return <div className="source-passage context">The source file for this question is no longer uploaded.</div>;
+  const ocrNote = chunk.ocr && <div className="context" style={{ fontSize: 11, marginBottom: 4 }}>Text recognized from an image (OCR)</div>;
+  const neighbour = (offset) => chunks.find((c) => c.fileName === chunk.fileName && c.index === chunk.index + offset);
+  const before = neighbour(-1);
+  const after = neighbour(1);
+  const start = citation.offset ?? 0;
+  const end = start + (citation.length ?? 0);
+  return (
+    <div className="source-passage">
+      {ocrNote}
+      {before && <span className="context">…{before.text.slice(-300)} </span>}
+      {chunk.text.slice(0, start)}
+      <mark>{chunk.text.slice(start, end)}</mark>
+      {chunk.text.slice(end)}
+      {after && <span className="context"> {after.text.slice(0, 300)}…</span>}
+    </div>
+  );
+}
+
+function ObjectivesForm({ onSubmit, initial, documents }) {
+  const [text, setText] = useState(initial || "");
+  const [notFound, setNotFound] = useState("");
+  const importFrom = (docId) => {
+    const doc = documents.find((d) => d.id === docId);
+    if (!doc) return;
+    const found = findObjectives(doc.chunks || []).filter((o) => !text.includes(o));
+    setNotFound(found.length === 0 ? `No new objectives found in ${doc.fileName}. Paste them instead.` : "");
+    if (found.length > 0) setText((prev) => [prev.trim(), ...found].filter(Boolean).join("\n"));
+  };
+  return (
+    <>
+      {documents.length > 0 && (
+        <div className="form-group">
+          <label className="label">Find in a Document</label>
+          <select className="select" value="" onChange={(e) => importFrom(e.target.value)}>
+            <option value="">Choose your syllabus or a lecture...</option>
+            {documents.map((d) => <option key={d.id} value={d.id}>{d.fileName}</option>)}
+          </select>
+          {notFound && <p style={{ fontSize: 12, color: "var(--ink-muted)", marginTop: 6 }}>{notFound}</p>}
+        </div>
+      )}
+      <div className="form-group">
+        <label className="label">Objectives</label>
+        <textarea className="textarea" style={{ minHeight: 200 }} placeholder={"1. Describe the pathophysiology of heart failure\n2. Explain how loop diuretics work"} value={text} onChange={(e) => setText(e.target.value)} />
+      </div>
+      <button className="btn btn-primary btn-lg" style={{ width: "100%" }} onClick={() => onSubmit(text)}>Save Objectives</button>
+    </>
+  );
+}
+
+function QuestionForm({ onSubmit, initial, fileNames }) {
+  const [draft, setDraft] = useState(() => ({
+    type: initial?.type || "multiple_choice",
+    topic: initial?.topic || "",
+    prompt: initial?.prompt || "",
+    options: initial?.options ? [...initial.options] : ["", "", "", ""],
+    correct: initial?.correct ?? "",
+    acceptedAnswers: (initial?.acceptedAnswers || []).join("\n"),
+    rubric: (initial?.rubric || []).join("\n"),
+    explanation: initial?.explanation || "",
+    citation: { fileName: initial?.citation?.fileName || "", excerpt: initial?.citation?.excerpt || "" },
+  }));
+  const [problem, setProblem] = useState("");
+  const set = (fields) => setDraft((prev) => ({ ...prev, ...fields }));
+  const choice = draft.type === "multiple_choice" || draft.type === "select_all";
+  const isCorrect = (o) => o.trim() && (Array.isArray(draft.correct) ? draft.correct.includes(o.trim()) : draft.correct === o.trim());
+  const markCorrect = (o) => {
+    const text = o.trim();
+    if (draft.type === "multiple_choice") return set({ correct: text });
+    const current = Array.isArray(draft.correct) ? draft.correct : [];
+    set({ correct: current.includes(text) ? current.filter((c) => c !== text) : [...current, text] });
+  };
+  // The answer follows an option as it's retyped
+  const editOption = (i, text) => {
+    const before = draft.options[i].trim();
+    const options = draft.options.map((o, j) => (j === i ? text : o));
+    const correct = Array.isArray(draft.correct) ? draft.correct.map((c) => (c === before ? text.trim() : c)) : draft.correct === before && before ? text.trim() : draft.correct;
+    set({ options, correct });
+  };
+  const changeType = (type) => {
+    const toChoice = type === "multiple_choice" || type === "select_all";
+    let correct = draft.correct;
+    if (type === "select_all") correct = Array.isArray(correct) ? correct : [correct].filter(Boolean);
+    else if (Array.isArray(correct)) correct = toChoice ? correct[0] || "" : correct.join(", ");
+    set({ type, correct });
+  };
+  const submit = () => {
+    const lines = (text) => text.split("\n").map((l) => l.trim()).filter(Boolean);
+    setProblem(onSubmit({ ...draft, acceptedAnswers: lines(draft.acceptedAnswers), rubric: lines(draft.rubric) }) || "");
+  };
+  return (
+    <>
+      <div style={{ display: "flex", gap: 12 }}>
+        <div className="form-group" style={{ flex: 1 }}>
+          <label className="label">Type</label>
+          <select className="select" value={draft.type} onChange={(e) => changeType(e.target.value)}>
+            {Object.entries(QUESTION_TYPE_LABELS).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+          </select>
+        </div>
+        <div className="form-group" style={{ flex: 1 }}>
+          <label className="label">Topic</label>
+          <input className="input" placeholder="e.g. Loop Diuretics" value={draft.topic} onChange={(e) => set({ topic: e.target.value })} />
+        </div>
+      </div>
+      <div className="form-group">
+        <label className="label">Question</label>
+        <textarea className="textarea" style={{ minHeight: 80 }} placeholder={draft.type === "fill_blank" ? "The ___ is the pacemaker of the heart." : "Which drug..."} value={draft.prompt} onChange={(e) => set({ prompt: e.target.value })} />
+      </div>
+      {choice ? (
+        <div className="form-group">
+          <label className="label">Options <span style={{ fontWeight: 400, textTransform: "none" }}>(mark the correct {draft.type === "select_all" ? "ones" : "one"})</span></label>
+          {draft.options.map((o, i) => (
+            <div key={i} className="option-editor">
+              <input type={draft.type === "select_all" ? "checkbox" : "radio"} name="correct-option" checked={!!isCorrect(o)} disabled={!o.trim()} onChange={() => markCorrect(o)} />
+              <input className="input" placeholder={`Option ${"ABCDEFGH"[i]}`} value={o} onChange={(e) => editOption(i, e.target.value)} />
+              <button className="btn btn-ghost btn-sm" disabled={draft.options.length <= 2} onClick={() => set({ options: draft.options.filter((_, j) => j !== i) })}>×</button>
+            </div>
+          ))}
+          {draft.options.length < 8 && <button className="btn btn-ghost btn-sm" onClick={() => set({ options: [...draft.options, ""] })}>+ Add Option</button>}
+        </div>
+      ) : (
+        <>
+          <div className="form-group">
+            <label className="label">{draft.type === "fill_blank" ? "Answer" : "Model Answer"}</label>
+            <input className="input" value={draft.correct} onChange={(e) => set({ correct: e.target.value })} />
+          </div>
+          <div className="form-group">
+            <label className="label">{draft.type === "fill_blank" ? "Also Accept (one per line)" : "Key Points (one per line)"}</label>
+            <textarea className="textarea" style={{ minHeight: 70 }} placeholder={draft.type === "fill_blank" ? "SA node" : "Inhibits the Na-K-2Cl cotransporter"} value={draft.type === "fill_blank" ? draft.acceptedAnswers : draft.rubric} onChange={(e) => set(draft.type === "fill_blank" ? { acceptedAnswers: e.target.value } : { rubric: e.target.value })} />
+          </div>
+        </>
+      )}
+      <div className="form-group">
+        <label className="label">Explanation</label>
+        <textarea className="textarea" style={{ minHeight: 70 }} value={draft.explanation} onChange={(e) => set({ explanation: e.target.value })} />
+      </div>
+      <div style={{ display: "flex", gap: 12 }}>
+        <div className="form-group" style={{ flex: 1 }}>
+          <label className="label">Source</label>
+          <input className="input" list="question-sources" placeholder="File or reference" value={draft.citation.fileName} onChange={(e) => set({ citation: { ...draft.citation, fileName: e.target.value } })} />
+          <datalist id="question-sources">{fileNames.map((f) => <option key={f} value={f} />)}</datalist>
+        </div>
+        <div className="form-group" style={{ flex: 2 }}>
+          <label className="label">Quote from the Source</label>
+          <input className="input" value={draft.citation.excerpt} onChange={(e) => set({ citation: { ...draft.citation, excerpt: e.target.value } })} />
+        </div>
+      </div>
+      {problem && <div className="content-warning">{problem}</div>}
+      <button className="btn btn-primary btn-lg" style={{ width: "100%" }} onClick={submit}>{initial ? "Save Question" : "Add Question"}</button>
+    </>
+  );
+}
+
+function TopicForm({ onSubmit, initial, submitLabel }) {
+  const [name, setName] = useState(initial || "");
+  return (
+    <>
+      <div className="form-group">
+        <label className="label">Topic Name</label>
+        <input className="input" placeholder="e.g. Loop Diuretics" value={name} onChange={(e) => setName(e.target.value)} onKeyDown={(e) => e.key === "Enter" && name.trim() && onSubmit(name.trim())} autoFocus />
+      </div>
+      <button className="btn btn-primary btn-lg" style={{ width: "100%" }} disabled={!name.trim()} onClick={() => onSubmit(name.trim())}>{submitLabel}</button>
+    </>
+  );
+}
+
+function PasteTextForm({ onSubmit }) {
+  const [title, setTitle] = useState("");
+  const [text, setText] = useState("");
+  return (
+    <>
+      <div className="form-group">
+        <label className="label">Title</label>
+        <input className="input" placeholder="e.g. Week 3 lecture notes" value={title} onChange={(e) => setTitle(e.target.value)} />
+      </div>
+      <div className="form-group">
+        <label className="label">Text</label>
+        <textarea className="textarea" style={{ minHeight: 220 }} placeholder="Paste your notes here" value={text} onChange={(e) => setText(e.target.value)} />
+      </div>
+      <button className="btn btn-primary btn-lg" style={{ width: "100%" }} disabled={text.trim().length < 10} onClick={() => onSubmit(title, text)}>Add Material</button>
+    </>
+  );
+}
+
+function UrlForm({ onSubmit }) {
+  const [url, setUrl] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const submit = async () => {
+    setBusy(true);
+    setError("");
+    try {
+      await onSubmit(url.trim());
+    } catch (err) {
+      setError(err.message || "Couldn't load that page");
+      setBusy(false);
+    }
+  };
+  return (
+    <>
+      <div className="form-group">
+        <label className="label">Page or File URL</label>
+        <input className="input" placeholder="https://..." value={url} onChange={(e) => setUrl(e.target.value)} onKeyDown={(e) => e.key === "Enter" && url.trim() && !busy && submit()} />
+      </div>
+      {error && <div className="content-warning" style={{ marginBottom: 16 }}>{error}</div>}
+      <button className="btn btn-primary btn-lg" style={{ width: "100%" }} disabled={!url.trim() || busy} onClick={submit}>{busy ? "Loading…" : "Add Material"}</button>
+    </>
+  );
+}
+
 function UploadZone({ onFiles }) {
   const [drag, setDrag] = useState(false);
   const inputRef = useRef(null);
@@ -2502,8 +4030,8 @@ function UploadZone({ onFiles }) {
     >
       <div className="icon">📤</div>
       <p><strong>Drop files here</strong> or click to browse</p>
-      <div className="formats">Supported: PDF, PPTX, DOCX, TXT</div>
-      <input ref={inputRef} type="file" multiple accept=".pdf,.pptx,.docx,.txt" style={{ display: "none" }} onChange={(e) => onFiles(Array.from(e.target.files))} />
+      <div className="formats">Supported: {SUPPORTED_FORMATS}</div>
+      <input ref={inputRef} type="file" multiple accept={ACCEPTED_FILE_TYPES} style={{ display: "none" }} onChange={(e) => onFiles(Array.from(e.target.files))} />
     </div>
   );
 }
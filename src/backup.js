@@ -0,0 +1,151 @@
+// ─── BACKUP ───────────────────────────────────────────────────────────────
+// Export and import of everything a student has: courses, exams, documents
+// (chunks, not the original files), quizzes, attempts, saved progress,
+// review state and figures. A backup is a ZIP with backup.json and the
+// figures as image files; a bare backup.json (figures inline as data URLs)
+// imports too. Backups carry the storage schema version, and older ones go
+// through the same migrations as stored data before they are imported.
+// Settings stay out of backups: they hold API keys.
+
+import { MIGRATIONS } from "./migrations.js";
+import { createMemoryAdapter, createStorage } from "./storage.js";
+import { QUESTION_TYPES } from "./quizValidation.js";
+
+export const BACKUP_FORMAT = "med-track-quizzer-backup";
+const SCHEMA_VERSION = MIGRATIONS.at(-1).version;
+
+// Stores holding lists of records with ids, and those holding objects keyed by quiz id or review key
+const RECORD_STORES = ["courses", "exams", "documents", "quizzes", "attempts"];
+const KEYED_STORES = ["progress", "reviews"];
+
+const IMAGE_EXTENSIONS = { "image/jpeg": "jpg", "image/png": "png", "image/webp": "webp", "image/gif": "gif" };
+const IMAGE_TYPES = Object.fromEntries(Object.entries(IMAGE_EXTENSIONS).map(([type, ext]) => [ext, type]));
+// Figures end up in <img src>, so a backup's figures are only taken when they are plain base64 images
+const FIGURE_DATA_URL = /^data:image\/(png|jpeg|gif|webp);base64,[A-Za-z0-9+/=]+$/;
+
+const entriesOf = (data, store) => (RECORD_STORES.includes(store) ? data[store].map((r) => [r.id, r]) : Object.entries(data[store]));
+const fromEntries = (store, entries) => (RECORD_STORES.includes(store) ? entries.map(([, value]) => value) : Object.fromEntries(entries));
+
+// `data` holds the record lists and keyed objects as the app keeps them; figures are loaded by id
+export async function createBackup(data, loadFigure) {
+  const { default: JSZip } = await import("jszip");
+  const zip = new JSZip();
+  const figureIds = [...new Set(data.documents.flatMap((d) => d.figureIds || []))];
+  for (const id of figureIds) {
+    const match = (await loadFigure(id))?.match(/^data:([^;,]+);base64,(.*)$/);
+    if (match) zip.file(`figures/${id}.${IMAGE_EXTENSIONS[match[1]] || "bin"}`, match[2], { base64: true });
+  }
+  const backup = {
+    format: BACKUP_FORMAT,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    data: Object.fromEntries([...RECORD_STORES, ...KEYED_STORES].map((store) => [store, data[store]])),
+  };
+  zip.file("backup.json", JSON.stringify(backup));
+  return zip.generateAsync({ type: "blob", compression: "DEFLATE" });
+}
+
+function validateBackup(backup) {
+  if (!backup || typeof backup !== "object" || backup.format !== BACKUP_FORMAT) throw new Error("This isn't a Med Track Quizzer backup.");
+  const { schemaVersion, data } = backup;
+  if (!Number.isInteger(schemaVersion) || schemaVersion < 1) throw new Error("The backup has no valid version number.");
+  if (schemaVersion > SCHEMA_VERSION) throw new Error("The backup was made by a newer version of the app. Update the app and try again.");
+  if (!data || typeof data !== "object") throw new Error("The backup has no data.");
+  for (const store of RECORD_STORES) {
+    data[store] ||= [];
+    if (!Array.isArray(data[store]) || data[store].some((r) => !r || typeof r !== "object" || typeof r.id !== "string")) throw new Error(`The backup's ${store} are damaged.`);
+  }
+  for (const store of KEYED_STORES) {
+    data[store] ||= {};
+    if (typeof data[store] !== "object" || Array.isArray(data[store])) throw new Error(`The backup's ${store === "reviews" ? "review state" : "saved progress"} is damaged.`);
+  }
+}
+
+const isObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+const isQuestion = (q) => isObject(q) && typeof q.id === "string" && QUESTION_TYPES.includes(q.type) && typeof q.prompt === "string";
+
+// The fields the app reads from each kind of record without checking first
+const RECORD_CHECKS = {
+  documents: (d) => typeof d.examId === "string" && Array.isArray(d.chunks),
+  quizzes: (q) => typeof q.examId === "string" && Array.isArray(q.questions) && q.questions.every(isQuestion),
+  attempts: (a) => typeof a.quizId === "string" && isObject(a.answers),
+};
+
+// Made after migrating, since questions in older backups get their ids from a migration
+function checkRecords(data) {
+  for (const [store, check] of Object.entries(RECORD_CHECKS)) {
+    const damaged = data[store].filter((r) => !check(r)).length;
+    if (damaged > 0) throw new Error(`The backup's ${store} are damaged: ${damaged} of ${data[store].length} can't be read.`);
+  }
+  return data;
+}
+
+// Runs the backup's data through the migrations after its version, in a throwaway in-memory store
+async function migrateBackup(backup) {
+  if (backup.schemaVersion === SCHEMA_VERSION) return backup.data;
+  const adapter = createMemoryAdapter();
+  await adapter.put("meta", [["schemaVersion", backup.schemaVersion]]);
+  for (const store of [...RECORD_STORES, ...KEYED_STORES]) await adapter.put(store, entriesOf(backup.data, store));
+  await createStorage(async () => adapter, { migrations: MIGRATIONS }).open();
+  const data = {};
+  for (const store of [...RECORD_STORES, ...KEYED_STORES]) data[store] = fromEntries(store, await adapter.entries(store));
+  return data;
+}
+
+// Resolves to { exportedAt, schemaVersion, data, figures: { id: dataUrl } }, or rejects with what's wrong with the file
+export async function readBackup(file) {
+  let backup;
+  const figures = {};
+  const isZip = new Uint8Array(await file.slice(0, 2).arrayBuffer()).every((b, i) => b === [0x50, 0x4b][i]);
+  try {
+    if (isZip) {
+      const { default: JSZip } = await import("jszip");
+      const zip = await JSZip.loadAsync(file);
+      const json = zip.file("backup.json");
+      if (!json) throw new Error("The archive has no backup.json.");
+      backup = JSON.parse(await json.async("string"));
+      for (const entry of zip.file(/^figures\/[^/]+$/)) {
+        const [, id, ext] = entry.name.match(/^figures\/(.+)\.(\w+)$/) || [];
+        if (id && IMAGE_TYPES[ext]) figures[id] = `data:${IMAGE_TYPES[ext]};base64,${await entry.async("base64")}`;
+      }
+    } else {
+      backup = JSON.parse(await file.text());
+      if (isObject(backup?.figures)) Object.assign(figures, backup.figures);
+    }
+    for (const [id, dataUrl] of Object.entries(figures)) {
+      if (typeof dataUrl === "string" && FIGURE_DATA_URL.test(dataUrl)) continue;
+      console.warn(`Skipping backup figure ${id}: not a PNG, JPEG, GIF or WebP image`);
+      delete figures[id];
+    }
+  } catch (err) {
+    throw new Error(err instanceof SyntaxError ? "The backup file is damaged and can't be read." : err.message);
+  }
+  validateBackup(backup);
+  return { exportedAt: backup.exportedAt, schemaVersion: backup.schemaVersion, data: checkRecords(await migrateBackup(backup)), figures };
+}
+
+// Per store: how many imported records are new, identical to what's there, or in conflict with it
+export function planImport(current, incoming) {
+  return Object.fromEntries([...RECORD_STORES, ...KEYED_STORES].map((store) => {
+    const existing = new Map(entriesOf(current, store));
+    const counts = { total: 0, added: 0, same: 0, conflicts: 0 };
+    for (const [key, value] of entriesOf(incoming, store)) {
+      counts.total++;
+      if (!existing.has(key)) counts.added++;
+      else if (JSON.stringify(existing.get(key)) === JSON.stringify(value)) counts.same++;
+      else counts.conflicts++;
+    }
+    return [store, counts];
+  }));
+}
+
+// The data after importing: "replace" drops what's there, "merge" adds the imported records and, for ids
+// in both, keeps the existing record or takes the imported one as `overwrite` says
+export function applyImport(current, incoming, { mode = "merge", overwrite = false } = {}) {
+  if (mode === "replace") return incoming;
+  return Object.fromEntries([...RECORD_STORES, ...KEYED_STORES].map((store) => {
+    const merged = new Map(entriesOf(current, store));
+    for (const [key, value] of entriesOf(incoming, store)) if (overwrite || !merged.has(key)) merged.set(key, value);
+    return [store, fromEntries(store, [...merged])];
+  }));
+}
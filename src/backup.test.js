@@ -0,0 +1,97 @@
+import { describe, expect, it, vi } from "vitest";
+import JSZip from "jszip";
+import { BACKUP_FORMAT, applyImport, planImport, readBackup } from "./backup.js";
+import { MIGRATIONS } from "./migrations.js";
+
+const SCHEMA_VERSION = MIGRATIONS.at(-1).version;
+
+const question = { id: "q1", type: "fill_blank", prompt: "The loop diuretic is ____.", correct: "furosemide" };
+const sample = () => ({
+  courses: [{ id: "c1", name: "Pharm" }],
+  exams: [{ id: "e1", courseId: "c1", name: "Block 1" }],
+  documents: [{ id: "d1", examId: "e1", fileName: "renal.pdf", chunks: [] }],
+  quizzes: [{ id: "z1", examId: "e1", questions: [question] }],
+  attempts: [{ id: "t1", quizId: "z1", answers: { q1: "furosemide" } }],
+  progress: {},
+  reviews: {},
+});
+
+const backupFile = (data, extra = {}) => new File([JSON.stringify({ format: BACKUP_FORMAT, schemaVersion: SCHEMA_VERSION, data, ...extra })], "backup.json", { type: "application/json" });
+
+// A backup ZIP with the given files (name: base64 contents) under figures/
+async function backupZip(data, figureFiles) {
+  const zip = new JSZip();
+  zip.file("backup.json", JSON.stringify({ format: BACKUP_FORMAT, schemaVersion: SCHEMA_VERSION, data }));
+  for (const [name, base64] of Object.entries(figureFiles)) zip.file(`figures/${name}`, base64, { base64: true });
+  return new File([await zip.generateAsync({ type: "uint8array" })], "backup.zip", { type: "application/zip" });
+}
+
+describe("readBackup", () => {
+  it("reads a JSON backup with inline figures", async () => {
+    const { data, figures } = await readBackup(backupFile(sample(), { figures: { f1: "data:image/png;base64,AAAA" } }));
+    expect(data).toEqual(sample());
+    expect(figures).toEqual({ f1: "data:image/png;base64,AAAA" });
+  });
+
+  it("drops inline figures that aren't base64 images", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const { figures } = await readBackup(backupFile(sample(), { figures: {
+      f1: "data:image/png;base64,AAAA",
+      f2: "data:image/svg+xml;base64,PHN2Zz4=",
+      f3: "javascript:alert(1)",
+      f4: "data:image/png;base64,AAAA\" onerror=\"alert(1)",
+      f5: { src: "data:image/png;base64,AAAA" },
+    } }));
+    expect(figures).toEqual({ f1: "data:image/png;base64,AAAA" });
+    vi.restoreAllMocks();
+  });
+
+  it("reads a ZIP backup's figures, skipping files that aren't images", async () => {
+    const { data, figures } = await readBackup(await backupZip(sample(), { "f1.png": "AAAA", "f2.jpg": "BBBB", "f3.html": "PGI+", "f4.svg": "PHN2Zz4=" }));
+    expect(data).toEqual(sample());
+    expect(figures).toEqual({ f1: "data:image/png;base64,AAAA", f2: "data:image/jpeg;base64,BBBB" });
+  });
+
+  it("rejects files that aren't backups or come from a newer app", async () => {
+    await expect(readBackup(new File(["{"], "x.json"))).rejects.toThrow("damaged and can't be read");
+    await expect(readBackup(new File(["{}"], "x.json"))).rejects.toThrow("isn't a Med Track Quizzer backup");
+    await expect(readBackup(backupFile(sample(), { schemaVersion: SCHEMA_VERSION + 1 }))).rejects.toThrow("newer version");
+  });
+
+  it.each([
+    ["documents", (d) => { delete d.documents[0].chunks; }],
+    ["documents", (d) => { d.documents[0].examId = null; }],
+    ["quizzes", (d) => { d.quizzes[0].questions = null; }],
+    ["quizzes", (d) => { d.quizzes[0].questions.push({ id: "q2", type: "essay", prompt: "Discuss." }); }],
+    ["quizzes", (d) => { d.quizzes[0].questions.push({ id: "q2", type: "fill_blank" }); }],
+    ["attempts", (d) => { delete d.attempts[0].quizId; }],
+    ["attempts", (d) => { d.attempts[0].answers = ["furosemide"]; }],
+  ])("rejects %s missing what the app reads", async (store, damage) => {
+    const data = sample();
+    damage(data);
+    await expect(readBackup(backupFile(data))).rejects.toThrow(`The backup's ${store} are damaged: 1 of 1 can't be read.`);
+  });
+
+  it("checks questions after older backups give them ids", async () => {
+    const data = sample();
+    const { id, ...legacy } = question;
+    data.quizzes[0].questions = [legacy];
+    data.attempts[0].answers = { [legacy.prompt]: "furosemide" };
+    const { data: migrated } = await readBackup(backupFile(data, { schemaVersion: 1 }));
+    const newId = migrated.quizzes[0].questions[0].id;
+    expect(newId).not.toBe(id);
+    expect(migrated.attempts[0].answers).toEqual({ [newId]: "furosemide" });
+  });
+});
+
+describe("importing", () => {
+  it("counts and merges new, identical and conflicting records", () => {
+    const current = sample();
+    const incoming = sample();
+    incoming.courses = [{ id: "c1", name: "Pharmacology" }, { id: "c2", name: "Anatomy" }];
+    expect(planImport(current, incoming).courses).toEqual({ total: 2, added: 1, same: 0, conflicts: 1 });
+    expect(applyImport(current, incoming).courses.map((c) => c.name)).toEqual(["Pharm", "Anatomy"]);
+    expect(applyImport(current, incoming, { overwrite: true }).courses.map((c) => c.name)).toEqual(["Pharmacology", "Anatomy"]);
+    expect(applyImport(current, incoming, { mode: "replace" })).toBe(incoming);
+  });
+});
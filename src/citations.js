@@ -0,0 +1,119 @@
+// ─── CITATION VERIFICATION ────────────────────────────────────────────────
+// Checks that a generated citation's excerpt really appears in the uploaded
+// chunks. Matching is word-based so punctuation, case and whitespace
+// differences don't matter: an exact word-for-word run is "verified", a
+// passage sharing most of the excerpt's words is "approximate", anything
+// else is "not_found". The match location is returned so the results page
+// can show the surrounding passage.
+
+export const CITATION_STATUS = {
+  verified: { label: "✓ Verified", badge: "badge-green", title: "The excerpt appears word for word in your material" },
+  approximate: { label: "≈ Approximate", badge: "badge-yellow", title: "A closely matching passage was found in your material" },
+  not_found: { label: "⚠ Not found", badge: "badge-red", title: "The excerpt could not be found in your material" },
+  figure: { label: "🖼 Figure", badge: "badge-blue", title: "The question is about a figure from your material" },
+};
+
+const APPROXIMATE_THRESHOLD = 0.75;
+const CANDIDATES = 5;
+
+const tokenize = (text) => Array.from(String(text || "").matchAll(/[\p{L}\p{N}]+/gu), (m) => ({ t: m[0].toLowerCase(), i: m.index, len: m[0].length }));
+// Crude stem so "mitochondria" and "mitochondrial" count as the same word in fuzzy matching
+const stem = (w) => w.slice(0, 6);
+
+// Word-for-word run of the excerpt, else the window (allowing a few inserted words) sharing the most words with it
+function bestWindow(chunkTokens, excerptWords) {
+  const m = excerptWords.length;
+  for (let start = 0; start + m <= chunkTokens.length; start++) {
+    let k = 0;
+    while (k < m && chunkTokens[start + k].t === excerptWords[k]) k++;
+    if (k === m) return { score: 1, start, size: m, exact: true };
+  }
+
+  const want = new Map();
+  for (const w of excerptWords) want.set(stem(w), (want.get(stem(w)) || 0) + 1);
+  const size = Math.min(chunkTokens.length, m + Math.ceil(m / 3));
+  let best = { score: 0, start: 0, size, exact: false };
+  for (let start = 0; start + size <= chunkTokens.length; start++) {
+    const have = new Map(want);
+    let hits = 0;
+    for (let k = 0; k < size; k++) {
+      const s = stem(chunkTokens[start + k].t);
+      const left = have.get(s);
+      if (left) { hits++; have.set(s, left - 1); }
+    }
+    if (hits / m > best.score) best = { score: hits / m, start, size, exact: false };
+  }
+  // Trim unmatched words off both ends so the highlight covers just the matching passage
+  if (best.score > 0) {
+    const words = new Set(want.keys());
+    while (best.size > 1 && !words.has(stem(chunkTokens[best.start].t))) { best.start++; best.size--; }
+    while (best.size > 1 && !words.has(stem(chunkTokens[best.start + best.size - 1].t))) best.size--;
+  }
+  return best;
+}
+
+export function verifyCitation(citation, chunks, index = indexChunks(chunks)) {
+  const words = tokenize(citation?.excerpt).map((w) => w.t);
+  if (words.length === 0) return { status: "not_found" };
+  const wordSet = new Set(words);
+
+  // Cheap pre-filter: chunks containing the most excerpt words, preferring the cited file on ties
+  const candidates = index
+    .map((entry) => {
+      let shared = 0;
+      for (const w of wordSet) if (entry.words.has(w)) shared++;
+      return { entry, shared: shared + (entry.chunk.fileName === citation.fileName ? 0.5 : 0) };
+    })
+    .filter((c) => c.shared >= 1)
+    .sort((a, b) => b.shared - a.shared)
+    .slice(0, CANDIDATES);
+
+  let best = null;
+  for (const { entry } of candidates) {
+    const win = bestWindow(entry.tokens, words);
+    if (!best || win.score > best.win.score || (win.exact && !best.win.exact)) best = { entry, win };
+    if (win.exact) break;
+  }
+  if (!best || best.win.score < APPROXIMATE_THRESHOLD) return { status: "not_found" };
+
+  const { entry, win } = best;
+  const first = entry.tokens[win.start];
+  const last = entry.tokens[win.start + win.size - 1];
+  return {
+    status: win.exact ? "verified" : "approximate",
+    chunkId: entry.chunk.id,
+    fileName: entry.chunk.fileName,
+    chunkIndex: entry.chunk.index,
+    offset: first.i,
+    length: last.i + last.len - first.i,
+    ...chunkLocation(entry.chunk),
+  };
+}
+
+// The page, slide, sheet or heading path a chunk came from, whichever its file type records
+export const chunkLocation = ({ page, slide, title, sheet, headings }) => Object.fromEntries(Object.entries({ page, slide, title, sheet, headings }).filter(([, v]) => v !== undefined && v !== ""));
+
+// "slide 12 (Renal Physiology)", "page 4", "sheet Antibiotics", "Cardiology › Heart Failure", or "" when unknown
+export function sourceLocation({ page, slide, title, sheet, headings } = {}) {
+  if (slide) return title ? `slide ${slide} (${title})` : `slide ${slide}`;
+  if (page) return `page ${page}`;
+  if (sheet) return `sheet ${sheet}`;
+  if (headings?.length) return headings.join(" › ");
+  return "";
+}
+
+export const formatSource = (citation) => [citation.fileName, sourceLocation(citation)].filter(Boolean).join(", ");
+
+export function indexChunks(chunks) {
+  return chunks.map((chunk) => {
+    const tokens = tokenize(chunk.text);
+    return { chunk, tokens, words: new Set(tokens.map((t) => t.t)) };
+  });
+}
+
+// Adds status and location to a question's citation; the cited file name is corrected to the matching chunk's
+export function withVerifiedCitation(q, chunks, index) {
+  const check = verifyCitation(q.citation, chunks, index);
+  if (check.status === "not_found") return { ...q, citation: { ...q.citation, status: "not_found" } };
+  return { ...q, citation: { ...q.citation, ...check } };
+}
@@ -0,0 +1,56 @@
+// ─── CONTENT FILTERS ──────────────────────────────────────────────────────
+// What generation and retrieval get to see of a document. Chunks can be
+// excluded one by one or a page at a time, and each course keeps "strip"
+// patterns for boilerplate such as footers and copyright lines. Patterns are
+// applied when chunks are read, so editing them never loses text. A pattern
+// is plain text, matched anywhere and regardless of case, or a /regex/flags.
+
+// Lines on at least this share of a document's pages are probably headers or footers
+const REPEATED_SHARE = 0.5;
+const MIN_REPEATED_PAGES = 3;
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// A RegExp for the pattern, or null when it's an invalid regex
+export function parseStripPattern(source) {
+  const regex = source.match(/^\/(.+)\/([a-z]*)$/);
+  try {
+    if (regex) return new RegExp(regex[1], [...new Set([..."gm", ...regex[2]])].join(""));
+    return new RegExp(escapeRegExp(source.trim()).replace(/\s+/g, "\\s+"), "gi");
+  } catch {
+    return null;
+  }
+}
+
+export function applyStripPatterns(text, patterns = []) {
+  let out = text;
+  for (const source of patterns) {
+    const re = source.trim() && parseStripPattern(source);
+    if (re) out = out.replace(re, "");
+  }
+  return out === text ? text : out.split("\n").map((l) => l.trim()).filter(Boolean).join("\n");
+}
+
+// The chunks quizzes, flashcards and search may use: not excluded, with the course's strip patterns applied
+export const usableChunks = (chunks, patterns = []) => chunks
+  .filter((c) => !c.excluded)
+  .map((c) => {
+    const text = applyStripPatterns(c.text, patterns);
+    return text === c.text ? c : { ...c, text };
+  })
+  .filter((c) => c.text.trim());
+
+// Lines that repeat across most of a document's pages or slides, the usual headers, footers and copyright notices
+export function repeatedLines(chunks) {
+  const pages = new Map();
+  for (const c of chunks) {
+    const key = c.page ?? c.slide;
+    if (key === undefined) continue;
+    if (!pages.has(key)) pages.set(key, new Set());
+    for (const line of c.text.split("\n")) if (line.trim().length >= 4) pages.get(key).add(line.trim());
+  }
+  if (pages.size < MIN_REPEATED_PAGES) return [];
+  const counts = new Map();
+  for (const lines of pages.values()) for (const line of lines) counts.set(line, (counts.get(line) || 0) + 1);
+  return [...counts].filter(([, n]) => n >= Math.max(MIN_REPEATED_PAGES, pages.size * REPEATED_SHARE)).sort((a, b) => b[1] - a[1]).map(([line]) => line);
+}
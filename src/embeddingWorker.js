@@ -0,0 +1,22 @@
+// Runs the sentence embedding model off the main thread. The model is
+// downloaded from the Hugging Face hub on first use and cached by the browser;
+// the ONNX runtime that runs it is bundled with the app.
+
+import { env, pipeline } from "@huggingface/transformers";
+
+// transformers.js points the runtime at its wasm on jsDelivr. Unset, the runtime loads the copy the build
+// emitted next to it (onnxruntime-web doesn't export the file, so it can't be imported with ?url here).
+env.backends.onnx.wasm.wasmPaths = undefined;
+
+let extractor = null;
+
+self.onmessage = async ({ data: { id, model, texts } }) => {
+  try {
+    extractor ||= pipeline("feature-extraction", model);
+    const output = await (await extractor)(texts, { pooling: "mean", normalize: true });
+    self.postMessage({ id, vectors: output.tolist() });
+  } catch (err) {
+    extractor = null;
+    self.postMessage({ id, error: err.message || String(err) });
+  }
+};
@@ -0,0 +1,53 @@
+// ─── EMBEDDINGS ───────────────────────────────────────────────────────────
+// Optional semantic search. Chunk vectors are computed in a worker with a
+// small sentence-transformer and stored on each document, keyed by chunk id,
+// along with the model that produced them so a model change re-indexes.
+
+export const EMBEDDING_MODEL = "Xenova/all-MiniLM-L6-v2";
+
+const BATCH_SIZE = 16;
+
+let worker = null;
+let nextId = 0;
+const pending = new Map();
+
+function getWorker() {
+  if (worker) return worker;
+  worker = new Worker(new URL("./embeddingWorker.js", import.meta.url), { type: "module" });
+  worker.onmessage = ({ data }) => {
+    const request = pending.get(data.id);
+    if (!request) return;
+    pending.delete(data.id);
+    if (data.error) request.reject(new Error(`Embedding failed: ${data.error}`));
+    else request.resolve(data.vectors);
+  };
+  worker.onerror = (event) => {
+    for (const request of pending.values()) request.reject(new Error(`Embedding worker failed: ${event.message || "unknown error"}`));
+    pending.clear();
+    worker = null;
+  };
+  return worker;
+}
+
+export function embedTexts(texts) {
+  return new Promise((resolve, reject) => {
+    const id = nextId++;
+    pending.set(id, { resolve, reject });
+    getWorker().postMessage({ id, model: EMBEDDING_MODEL, texts });
+  });
+}
+
+// Four decimals keeps ranking intact and the stored documents a third of the size
+const compact = (v) => v.map((x) => Math.round(x * 1e4) / 1e4);
+
+// Resolves to { [chunkId]: vector } for the document's chunks
+export async function embedChunks(chunks, { onProgress = () => {} } = {}) {
+  const vectors = {};
+  for (let i = 0; i < chunks.length; i += BATCH_SIZE) {
+    const batch = chunks.slice(i, i + BATCH_SIZE);
+    const result = await embedTexts(batch.map((c) => c.text));
+    batch.forEach((c, j) => { vectors[c.id] = compact(result[j]); });
+    onProgress(Math.min(chunks.length, i + BATCH_SIZE), chunks.length);
+  }
+  return vectors;
+}
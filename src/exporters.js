@@ -0,0 +1,320 @@
+// ─── EXPORTERS ────────────────────────────────────────────────────────────
+// Quiz questions and flashcards out of the app: Anki decks (.apkg, or tab-
+// separated text for Anki's import dialog), Quizlet-style CSV, QTI 2.1
+// packages for Canvas, Blackboard and other LMSs, and a printable worksheet
+// the browser can save as PDF. Questions become study cards with the answer,
+// explanation and citation on the back; QTI and the worksheet keep the
+// question types. Figures travel along where the format can carry images.
+
+import { formatSource } from "./citations.js";
+import { acceptedAnswers, rubricPoints } from "./grading.js";
+
+export const EXPORT_FORMATS = [
+  { id: "apkg", name: "Anki deck (.apkg)", cards: true },
+  { id: "anki-text", name: "Anki text (tab-separated)", cards: true },
+  { id: "quizlet", name: "Quizlet CSV", cards: true },
+  { id: "qti", name: "QTI 2.1 package (Canvas, Blackboard)", cards: false },
+  { id: "print", name: "Printable worksheet (PDF)", cards: false },
+];
+
+const LETTERS = "ABCDEFGH";
+const TYPE_LABELS = { multiple_choice: "Multiple choice", select_all: "Select all that apply", fill_blank: "Fill in the blank", short_answer: "Short answer" };
+
+const escapeHtml = (text) => String(text ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+const html = (text) => escapeHtml(text).replace(/\n/g, "<br>");
+const fileSafe = (name) => String(name || "export").replace(/[^\w\- ]+/g, "").trim().replace(/\s+/g, "-") || "export";
+
+export const exportFileName = (title, ext) => `${fileSafe(title)}.${ext}`;
+
+const citationText = (citation) => {
+  if (!citation) return "";
+  const source = formatSource(citation);
+  return citation.excerpt ? `"${citation.excerpt}"${source ? ` — ${source}` : ""}` : source;
+};
+
+const letterOf = (q, option) => LETTERS[q.options.indexOf(option)];
+
+// The answer as the student would write it, with option letters for choice questions
+function answerText(q) {
+  if (q.type === "multiple_choice") return `${letterOf(q, q.correct)}. ${q.correct}`;
+  if (q.type === "select_all") return q.correct.map((c) => `${letterOf(q, c)}. ${c}`).join("\n");
+  if (q.type === "short_answer") return [q.correct, ...(q.rubric?.length ? ["Key points:", ...rubricPoints(q).map((p) => `• ${p}`)] : [])].join("\n");
+  const others = acceptedAnswers(q).slice(1);
+  return others.length > 0 ? `${q.correct} (also accepted: ${others.join(", ")})` : q.correct;
+}
+
+// ── Study cards ──
+// { id, front, back, source, figureId } in plain text; `id` keeps a re-exported card the same note in Anki
+
+export function questionCard(q) {
+  const options = q.options ? q.options.map((o, i) => `${LETTERS[i]}. ${o}`) : [];
+  return {
+    id: q.id,
+    front: [q.prompt, ...options, ...(q.type === "select_all" ? ["(Select all that apply)"] : [])].join("\n"),
+    back: [answerText(q), q.explanation].filter(Boolean).join("\n\n"),
+    source: citationText(q.citation),
+    figureId: q.figureId,
+  };
+}
+
+export const flashcardCard = (card) => ({ id: card.id, front: card.front, back: card.back, source: citationText(card.citation) });
+
+// Questions of an exam's quizzes repeat across retakes; the same content is exported once
+export function uniqueQuestions(quizzes) {
+  const seen = new Set();
+  return quizzes.flatMap((quiz) => quiz.questions || []).filter((q) => {
+    const key = q.hash || q.id;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// ── Anki ──
+
+// Anki's text import (2.1.54+) reads the header lines; the back carries the citation under the answer
+export function toAnkiText(cards, deckName) {
+  const field = (text) => html(text).replace(/\t/g, " ");
+  const lines = cards.map((c) => [field(c.front), field(c.back) + (c.source ? `<br><br><small>📎 ${field(c.source)}</small>` : "")].join("\t"));
+  return ["#separator:tab", "#html:true", `#deck:${deckName.replace(/\n/g, " ")}`, "#notetype:Basic", ...lines].join("\n") + "\n";
+}
+
+const ANKI_SCHEMA = `
+CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null);
+CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null);
+CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null);
+CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn on notes (usn);
+CREATE INDEX ix_cards_usn on cards (usn);
+CREATE INDEX ix_revlog_usn on revlog (usn);
+CREATE INDEX ix_cards_nid on cards (nid);
+CREATE INDEX ix_cards_sched on cards (did, queue, due);
+CREATE INDEX ix_revlog_cid on revlog (cid);
+CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+const ANKI_CSS = ".card { font-family: arial; font-size: 20px; text-align: left; color: black; background-color: white; }\n.source { font-size: 14px; color: #666; margin-top: 16px; }\nimg { max-width: 100%; }";
+
+// Anki's duplicate check: the first 8 hex digits of the SHA-1 of the sort field, as a number
+async function fieldChecksum(text) {
+  const digest = await crypto.subtle.digest("SHA-1", new TextEncoder().encode(text));
+  return parseInt([...new Uint8Array(digest).slice(0, 4)].map((b) => b.toString(16).padStart(2, "0")).join(""), 16);
+}
+
+// A legacy (collection.anki2) package every Anki version imports: one "Med Track Quizzer" note type with
+// Front, Back and Source fields, one deck, and the figures as media files
+export async function toAnkiPackage(cards, deckName, loadFigure) {
+  const [{ default: JSZip }, { default: initSqlJs }, { default: wasmUrl }] = await Promise.all([import("jszip"), import("sql.js"), import("sql.js/dist/sql-wasm.wasm?url")]);
+  const SQL = await initSqlJs({ locateFile: () => wasmUrl });
+  const zip = new JSZip();
+  const now = Date.now();
+  const secs = Math.floor(now / 1000);
+  const deckId = now;
+  const modelId = now + 1;
+
+  const media = {};
+  const images = {};
+  for (const id of new Set(cards.map((c) => c.figureId).filter(Boolean))) {
+    const match = (await loadFigure(id))?.match(/^data:image\/(\w+);base64,(.*)$/);
+    if (!match) continue;
+    const name = `med-track-quizzer-${id}.${match[1] === "jpeg" ? "jpg" : match[1]}`;
+    const index = String(Object.keys(media).length);
+    media[index] = name;
+    images[id] = name;
+    zip.file(index, match[2], { base64: true });
+  }
+
+  const field = (name, ord) => ({ name, ord, sticky: false, rtl: false, font: "Arial", size: 20, media: [] });
+  const models = {
+    [modelId]: {
+      id: modelId, name: "Med Track Quizzer", type: 0, mod: secs, usn: -1, sortf: 0, did: deckId, tags: [], vers: [],
+      flds: [field("Front", 0), field("Back", 1), field("Source", 2)],
+      tmpls: [{ name: "Card 1", ord: 0, qfmt: "{{Front}}", afmt: "{{FrontSide}}\n\n<hr id=answer>\n\n{{Back}}\n{{#Source}}<div class=source>📎 {{Source}}</div>{{/Source}}", did: null, bqfmt: "", bafmt: "" }],
+      css: ANKI_CSS,
+      latexPre: "\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n",
+      latexPost: "\\end{document}",
+      req: [[0, "any", [0]]],
+    },
+  };
+  const deck = (id, name) => ({ id, name, desc: "", mod: secs, usn: -1, collapsed: false, browserCollapsed: false, dyn: 0, conf: 1, extendNew: 10, extendRev: 50, newToday: [0, 0], revToday: [0, 0], lrnToday: [0, 0], timeToday: [0, 0] });
+  const decks = { 1: deck(1, "Default"), [deckId]: deck(deckId, deckName) };
+  const dconf = {
+    1: {
+      id: 1, name: "Default", mod: 0, usn: 0, maxTaken: 60, autoplay: true, timer: 0, replayq: true, dyn: false,
+      new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, order: 1, perDay: 20, bury: true, separate: true },
+      rev: { perDay: 200, ease4: 1.3, fuzz: 0.05, maxIvl: 36500, ivlFct: 1, minSpace: 1, bury: true },
+      lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 0 },
+    },
+  };
+  const conf = { activeDecks: [1], curDeck: 1, newSpread: 0, collapseTime: 1200, timeLim: 0, estTimes: true, dueCounts: true, curModel: String(modelId), nextPos: cards.length + 1, sortType: "noteFld", sortBackwards: false, addToCur: true };
+
+  const db = new SQL.Database();
+  try {
+    db.run(ANKI_SCHEMA);
+    db.run("INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, '{}')", [secs, now, now, JSON.stringify(conf), JSON.stringify(models), JSON.stringify(decks), JSON.stringify(dconf)]);
+    for (const [i, card] of cards.entries()) {
+      const front = html(card.front) + (images[card.figureId] ? `<br><img src="${escapeHtml(images[card.figureId])}">` : "");
+      const noteId = now + i;
+      db.run("INSERT INTO notes VALUES (?, ?, ?, ?, -1, '', ?, ?, ?, 0, '')", [noteId, card.id || String(noteId), modelId, secs, [front, html(card.back), html(card.source)].join("\x1f"), card.front, await fieldChecksum(card.front)]);
+      db.run("INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, 0, 0, ?, 0, 0, 0, 0, 0, 0, 0, 0, '')", [noteId, noteId, deckId, secs, i + 1]);
+    }
+    zip.file("collection.anki2", db.export());
+  } finally {
+    db.close();
+  }
+  zip.file("media", JSON.stringify(media));
+  return zip.generateAsync({ type: "blob", compression: "DEFLATE" });
+}
+
+// ── Quizlet ──
+
+// Quizlet imports "term,definition" rows; it has no line breaks in cards, so they become " / "
+export function toQuizletCsv(cards) {
+  const cell = (text) => `"${String(text ?? "").replace(/\s*\n+\s*/g, " / ").replace(/"/g, '""')}"`;
+  return cards.map((c) => [cell(c.front), cell(c.back + (c.source ? `\n📎 ${c.source}` : ""))].join(",")).join("\r\n") + "\r\n";
+}
+
+// ── QTI 2.1 ──
+
+const QTI_NS = 'xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"';
+const xml = (text) => escapeHtml(text).replace(/'/g, "&apos;");
+const paragraphs = (text) => String(text).split(/\n+/).map((line) => `<p>${xml(line)}</p>`).join("\n    ");
+
+// Choice and fill-in questions score themselves; short answers are graded by hand with the key points
+// shown to the grader. Every item shows the explanation and source as feedback.
+function qtiItem(q, identifier, image) {
+  const choice = q.type === "multiple_choice" || q.type === "select_all";
+  const feedback = [q.explanation, citationText(q.citation) && `Source: ${citationText(q.citation)}`].filter(Boolean).join("\n");
+  const figure = image ? `\n    <p><img src="${xml(image)}" alt="Figure"/></p>` : "";
+  let declaration, body, scoring;
+  if (choice) {
+    const correct = (q.type === "select_all" ? q.correct : [q.correct]).map((c) => `<value>${letterOf(q, c)}</value>`).join("");
+    declaration = `<responseDeclaration identifier="RESPONSE" cardinality="${q.type === "select_all" ? "multiple" : "single"}" baseType="identifier"><correctResponse>${correct}</correctResponse></responseDeclaration>`;
+    const options = q.options.map((o, i) => `<simpleChoice identifier="${LETTERS[i]}">${xml(o)}</simpleChoice>`).join("\n      ");
+    body = `${paragraphs(q.prompt)}${figure}
+    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${q.type === "select_all" ? 0 : 1}">
+      ${options}
+    </choiceInteraction>`;
+    scoring = `<responseCondition><responseIf><match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match><setOutcomeValue identifier="SCORE"><baseValue baseType="float">1</baseValue></setOutcomeValue></responseIf></responseCondition>`;
+  } else if (q.type === "fill_blank") {
+    const entries = acceptedAnswers(q).map((a) => `<mapEntry mapKey="${xml(a)}" mappedValue="1" caseSensitive="false"/>`).join("");
+    declaration = `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"><correctResponse><value>${xml(q.correct)}</value></correctResponse><mapping defaultValue="0" upperBound="1">${entries}</mapping></responseDeclaration>`;
+    const input = `<textEntryInteraction responseIdentifier="RESPONSE" expectedLength="${Math.max(10, q.correct.length + 5)}"/>`;
+    // The blank goes where the prompt has one, otherwise on a line of its own
+    body = /_{3,}/.test(q.prompt)
+      ? `<p>${xml(q.prompt).replace(/\n+/g, "<br/>").replace(/_{3,}/, input)}</p>${figure}`
+      : `${paragraphs(q.prompt)}${figure}\n    <p>${input}</p>`;
+    scoring = `<setOutcomeValue identifier="SCORE"><mapResponse identifier="RESPONSE"/></setOutcomeValue>`;
+  } else {
+    declaration = `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"/>`;
+    body = `${paragraphs(q.prompt)}${figure}
+    <extendedTextInteraction responseIdentifier="RESPONSE" expectedLines="5"/>
+    <rubricBlock view="scorer">
+      <p>Model answer: ${xml(q.correct)}</p>
+      <ul>${rubricPoints(q).map((p) => `<li>${xml(p)}</li>`).join("")}</ul>
+    </rubricBlock>`;
+    scoring = "";
+  }
+  const rules = [scoring, feedback && `<setOutcomeValue identifier="FEEDBACK"><baseValue baseType="identifier">EXPLANATION</baseValue></setOutcomeValue>`].filter(Boolean);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem ${QTI_NS} identifier="${identifier}" title="${xml(q.topic || TYPE_LABELS[q.type])}" adaptive="false" timeDependent="false">
+  ${declaration}
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"><defaultValue><value>0</value></defaultValue></outcomeDeclaration>
+  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>
+  <itemBody>
+    ${body}
+  </itemBody>${rules.length > 0 ? `
+  <responseProcessing>
+    ${rules.join("\n    ")}
+  </responseProcessing>` : ""}${feedback ? `
+  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="EXPLANATION" showHide="show">${xml(feedback).replace(/\n/g, "<br/>")}</modalFeedback>` : ""}
+</assessmentItem>
+`;
+}
+
+// A content package with one item file per question, an assessment test listing them and the figures
+export async function toQtiPackage(questions, title, loadFigure) {
+  const { default: JSZip } = await import("jszip");
+  const zip = new JSZip();
+  const images = {};
+  for (const id of new Set(questions.map((q) => q.figureId).filter(Boolean))) {
+    const match = (await loadFigure(id))?.match(/^data:image\/(\w+);base64,(.*)$/);
+    if (!match) continue;
+    images[id] = `images/${id}.${match[1] === "jpeg" ? "jpg" : match[1]}`;
+    zip.file(images[id], match[2], { base64: true });
+  }
+  const items = questions.map((q, i) => ({ id: `item${i + 1}`, href: `items/item${i + 1}.xml`, image: images[q.figureId] }));
+  questions.forEach((q, i) => zip.file(items[i].href, qtiItem(q, items[i].id, items[i].image && `../${items[i].image}`)));
+  zip.file("assessment.xml", `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentTest ${QTI_NS} identifier="assessment" title="${xml(title)}">
+  <testPart identifier="part1" navigationMode="nonlinear" submissionMode="simultaneous">
+    <assessmentSection identifier="section1" title="${xml(title)}" visible="true">
+      ${items.map((item) => `<assessmentItemRef identifier="${item.id}" href="${item.href}"/>`).join("\n      ")}
+    </assessmentSection>
+  </testPart>
+</assessmentTest>
+`);
+  const resources = items.map((item) => `<resource identifier="${item.id}" type="imsqti_item_xmlv2p1" href="${item.href}">
+      <file href="${item.href}"/>${item.image ? `\n      <file href="${item.image}"/>` : ""}
+    </resource>`);
+  zip.file("imsmanifest.xml", `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" identifier="manifest" xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/qtiv2p1_imscpv1p2_v1p0.xsd">
+  <metadata><schema>QTIv2.1 Package</schema><schemaversion>1.0.0</schemaversion></metadata>
+  <organizations/>
+  <resources>
+    <resource identifier="assessment" type="imsqti_test_xmlv2p1" href="assessment.xml">
+      <file href="assessment.xml"/>
+      ${items.map((item) => `<dependency identifierref="${item.id}"/>`).join("\n      ")}
+    </resource>
+    ${resources.join("\n    ")}
+  </resources>
+</manifest>
+`);
+  return zip.generateAsync({ type: "blob", compression: "DEFLATE" });
+}
+
+// ── Worksheet ──
+
+const WORKSHEET_CSS = `
+body { font-family: Georgia, serif; color: #111; max-width: 780px; margin: 32px auto; padding: 0 24px; line-height: 1.5; }
+h1 { font-size: 24px; margin-bottom: 4px; }
+.meta { color: #555; font-size: 13px; margin-bottom: 24px; }
+.question { break-inside: avoid; margin-bottom: 22px; }
+.prompt { font-weight: 600; }
+.type { font-size: 12px; color: #666; font-weight: normal; }
+.options { list-style: none; padding-left: 20px; margin: 6px 0; }
+.options li::before { content: "◯ "; }
+.select-all li::before { content: "☐ "; }
+.lines { border-bottom: 1px solid #999; height: 28px; }
+img { max-width: 100%; max-height: 320px; display: block; margin: 8px 0; }
+.key { break-before: page; }
+.key .answer { margin: 4px 0 0 20px; }
+.key .why, .key .source { margin-left: 20px; font-size: 13px; color: #444; }
+.toolbar { margin-bottom: 24px; }
+@media print { .toolbar { display: none; } body { margin: 0; } }
+`;
+
+// A standalone HTML page; the app opens it in a new window to print or save as PDF
+export async function toWorksheet(questions, { title, answerKey = false }, loadFigure) {
+  const images = {};
+  for (const id of new Set(questions.map((q) => q.figureId).filter(Boolean))) images[id] = await loadFigure(id);
+  const question = (q, i) => {
+    const figure = images[q.figureId] ? `<img src="${escapeHtml(images[q.figureId])}" alt="Figure">` : "";
+    const answer = q.options
+      ? `<ul class="options${q.type === "select_all" ? " select-all" : ""}">${q.options.map((o, j) => `<li>${LETTERS[j]}. ${html(o)}</li>`).join("")}</ul>`
+      : `<div class="lines"></div>`.repeat(q.type === "short_answer" ? 4 : 1);
+    return `<div class="question"><div class="prompt">${i + 1}. ${html(q.prompt)} <span class="type">(${TYPE_LABELS[q.type]})</span></div>${figure}${answer}</div>`;
+  };
+  const keyEntry = (q, i) => `<div class="question"><div class="prompt">${i + 1}.</div><div class="answer">${html(answerText(q))}</div>${q.explanation ? `<div class="why">${html(q.explanation)}</div>` : ""}${q.citation ? `<div class="source">📎 ${html(citationText(q.citation))}</div>` : ""}</div>`;
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><title>${escapeHtml(title)}</title><style>${WORKSHEET_CSS}</style></head>
+<body>
+<div class="toolbar"><button onclick="print()">Print or save as PDF</button></div>
+<h1>${escapeHtml(title)}</h1>
+<div class="meta">${questions.length} question${questions.length !== 1 ? "s" : ""} · Name: ____________________ · Date: ____________</div>
+${questions.map(question).join("\n")}
+${answerKey ? `<div class="key"><h1>Answer Key</h1>\n${questions.map(keyEntry).join("\n")}</div>` : ""}
+</body></html>
+`;
+}
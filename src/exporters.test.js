@@ -0,0 +1,103 @@
+import JSZip from "jszip";
+import initSqlJs from "sql.js";
+import { describe, expect, it, vi } from "vitest";
+import { questionCard, toAnkiPackage, toQtiPackage, toQuizletCsv, toWorksheet } from "./exporters.js";
+
+// The app gets the wasm's URL from Vite; under Node, sql.js reads it from disk
+vi.mock("sql.js/dist/sql-wasm.wasm?url", async () => {
+  const { createRequire } = await import("node:module");
+  return { default: createRequire(import.meta.url).resolve("sql.js/dist/sql-wasm.wasm") };
+});
+
+const FIGURE = "data:image/png;base64,iVBORw0KGgo=";
+const loadFigure = async (id) => (id === "fig1" ? FIGURE : null);
+
+const questions = [
+  { id: "q1", type: "multiple_choice", prompt: "First-line drug for <HTN> & diabetes?", options: ["Lisinopril", "Metoprolol", "Amlodipine"], correct: "Lisinopril", explanation: "ACE inhibitors protect the kidneys.", figureId: "fig1" },
+  { id: "q2", type: "select_all", prompt: "Which are loop diuretics?", options: ["Furosemide", "HCTZ", "Bumetanide", "Spironolactone"], correct: ["Furosemide", "Bumetanide"] },
+  { id: "q3", type: "fill_blank", prompt: "The loop diuretic acts on the ____ limb.", correct: "thick ascending", acceptedAnswers: ["TAL"] },
+  { id: "q4", type: "short_answer", prompt: "Why does furosemide cause hypokalemia?", correct: "More sodium reaches the collecting duct", rubric: ["distal sodium delivery", "aldosterone"] },
+];
+
+async function unzip(blob) {
+  return JSZip.loadAsync(new Uint8Array(await blob.arrayBuffer()));
+}
+
+describe("toQuizletCsv", () => {
+  it("quotes every cell, doubles quotes and flattens line breaks", () => {
+    const csv = toQuizletCsv([
+      { front: "Na+, K+ and Cl-", back: 'The "loop" transporter\nNKCC2', source: "renal.pdf, p. 3" },
+      { front: "Plain", back: "Answer" },
+    ]);
+    expect(csv).toBe('"Na+, K+ and Cl-","The ""loop"" transporter / NKCC2 / 📎 renal.pdf, p. 3"\r\n"Plain","Answer"\r\n');
+  });
+});
+
+describe("toQtiPackage", () => {
+  it("writes an item per question with its choices, correct response and escaping", async () => {
+    const zip = await unzip(await toQtiPackage(questions, "Renal <Block 1>", loadFigure));
+    const item = (n) => zip.file(`items/item${n}.xml`).async("string");
+
+    const mc = await item(1);
+    expect(mc).toContain('cardinality="single" baseType="identifier"><correctResponse><value>A</value></correctResponse>');
+    expect(mc).toContain('<simpleChoice identifier="A">Lisinopril</simpleChoice>');
+    expect(mc).toContain('<simpleChoice identifier="C">Amlodipine</simpleChoice>');
+    expect(mc).toContain("<p>First-line drug for &lt;HTN&gt; &amp; diabetes?</p>");
+    expect(mc).toContain('<img src="../images/fig1.png" alt="Figure"/>');
+    expect(mc).toContain("ACE inhibitors protect the kidneys.</modalFeedback>");
+    expect(zip.file("images/fig1.png")).not.toBeNull();
+
+    const selectAll = await item(2);
+    expect(selectAll).toContain('cardinality="multiple" baseType="identifier"><correctResponse><value>A</value><value>C</value></correctResponse>');
+    expect(selectAll).toContain('maxChoices="0"');
+
+    const fill = await item(3);
+    expect(fill).toContain("<correctResponse><value>thick ascending</value></correctResponse>");
+    expect(fill).toContain('<mapEntry mapKey="TAL" mappedValue="1" caseSensitive="false"/>');
+    expect(fill).toContain('<p>The loop diuretic acts on the <textEntryInteraction responseIdentifier="RESPONSE" expectedLength="20"/> limb.</p>');
+
+    const short = await item(4);
+    expect(short).toContain('<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"/>');
+    expect(short).toContain("<li>distal sodium delivery</li><li>aldosterone</li>");
+    expect(short).not.toContain("<responseProcessing>");
+
+    const assessment = await zip.file("assessment.xml").async("string");
+    expect(assessment).toContain('title="Renal &lt;Block 1&gt;"');
+    expect(assessment.match(/<assessmentItemRef /g)).toHaveLength(4);
+  });
+});
+
+describe("toAnkiPackage", () => {
+  it("builds a collection with a note and a card per study card", async () => {
+    const cards = questions.slice(0, 2).map(questionCard);
+    const zip = await unzip(await toAnkiPackage(cards, "Renal", loadFigure));
+    expect(JSON.parse(await zip.file("media").async("string"))).toEqual({ 0: "med-track-quizzer-fig1.png" });
+
+    const SQL = await initSqlJs();
+    const db = new SQL.Database(await zip.file("collection.anki2").async("uint8array"));
+    try {
+      const notes = db.exec("SELECT id, guid, flds, sfld FROM notes ORDER BY id")[0].values;
+      expect(notes.map(([, guid]) => guid)).toEqual(["q1", "q2"]);
+      const [front, back] = notes[0][2].split("\x1f");
+      expect(front).toContain("First-line drug for &lt;HTN&gt; &amp; diabetes?<br>A. Lisinopril");
+      expect(front).toContain('<img src="med-track-quizzer-fig1.png">');
+      expect(back).toContain("A. Lisinopril");
+      expect(notes[1][3]).toBe(cards[1].front);
+
+      const deckId = db.exec("SELECT did FROM cards")[0].values[0][0];
+      const decks = JSON.parse(db.exec("SELECT decks FROM col")[0].values[0][0]);
+      expect(decks[deckId].name).toBe("Renal");
+      const noteIds = db.exec("SELECT nid FROM cards ORDER BY due")[0].values.map(([nid]) => nid);
+      expect(noteIds).toEqual(notes.map(([id]) => id));
+    } finally {
+      db.close();
+    }
+  });
+});
+
+describe("toWorksheet", () => {
+  it("escapes figure sources", async () => {
+    const page = await toWorksheet([{ ...questions[0], figureId: "bad" }], { title: "Renal" }, async () => 'x" onerror="alert(1)');
+    expect(page).toContain('<img src="x&quot; onerror=&quot;alert(1)" alt="Figure">');
+  });
+});
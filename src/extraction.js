@@ -0,0 +1,186 @@
+// ─── TEXT EXTRACTION ──────────────────────────────────────────────────────
+// Files are parsed in a worker by the extractor registered for their format
+// (extractors.js), so a 300-page PDF doesn't freeze the page. What needs the
+// DOM is finished here: HTML is split at its headings, and scanned PDF pages
+// and images are read with OCR, images also becoming figures. Resolves to
+// { text, sections, cards? }.
+
+import { fileExtension, findExtractor } from "./extractors.js";
+import { MIN_TEXT_LAYER, recognizeImage } from "./ocr.js";
+import { isLargeImage, toFigureDataUrl } from "./figures.js";
+import { sourceLocation } from "./citations.js";
+
+let worker = null;
+let nextId = 0;
+const pending = new Map();
+
+function getWorker() {
+  if (worker) return worker;
+  worker = new Worker(new URL("./extractionWorker.js", import.meta.url), { type: "module" });
+  worker.onmessage = ({ data }) => {
+    const request = pending.get(data.id);
+    if (!request) return;
+    if (data.progress) return request.onProgress(data.progress);
+    pending.delete(data.id);
+    if (data.error) request.reject(new Error(data.error));
+    else request.resolve(data.result);
+  };
+  worker.onerror = (event) => {
+    for (const request of pending.values()) request.reject(new Error(`Extraction worker failed: ${event.message || "unknown error"}`));
+    pending.clear();
+    worker = null;
+  };
+  return worker;
+}
+
+function parseInWorker(extractor, file, { onProgress, maxPages }) {
+  return new Promise((resolve, reject) => {
+    const id = nextId++;
+    pending.set(id, { resolve, reject, onProgress });
+    getWorker().postMessage({ id, extractor: extractor.id, file, maxPages });
+  });
+}
+
+// ── HTML (DOCX via mammoth, web pages and EPUB chapters) ──
+const BLOCK_SELECTOR = "address,article,aside,blockquote,dd,div,dl,dt,figcaption,figure,footer,h1,h2,h3,h4,h5,h6,header,li,main,ol,p,pre,section,table,tbody,thead,tr,td,th,ul";
+
+// Splits a page at each heading, remembering the heading path and the image sources under it.
+// Any element without block-level children is one line of text; table rows become "cell | cell".
+function htmlSections(html) {
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  doc.querySelectorAll("script, style, noscript, template, nav").forEach((el) => el.remove());
+  const sections = [];
+  const path = [];
+  let current = { text: "", headings: [], images: [] };
+  const addLine = (line) => { if (line) current.text += line + "\n"; };
+  const addImages = (el) => current.images.push(...[...el.querySelectorAll("img")].map((img) => img.getAttribute("src")).filter(Boolean));
+  const clean = (s) => s.replace(/\s+/g, " ").trim();
+  const visit = (el) => {
+    for (const child of el.children) {
+      const tag = child.tagName;
+      const level = tag.match(/^H([1-6])$/)?.[1];
+      if (tag === "IMG") {
+        if (child.getAttribute("src")) current.images.push(child.getAttribute("src"));
+      } else if (level) {
+        const heading = clean(child.textContent);
+        if (heading) {
+          if (current.text.trim() || current.images.length > 0) sections.push(current);
+          path.length = Number(level) - 1;
+          path[Number(level) - 1] = heading;
+          current = { text: heading + "\n", headings: path.filter(Boolean), images: [] };
+        }
+        addImages(child);
+      } else if (tag === "TR") {
+        addLine([...child.children].map((cell) => clean(cell.textContent)).filter(Boolean).join(" | "));
+        addImages(child);
+      } else if (tag === "PRE") {
+        addLine(child.textContent.trim());
+      } else if (!child.querySelector(BLOCK_SELECTOR)) {
+        addLine(clean(child.textContent));
+        addImages(child);
+      } else {
+        // Text sitting directly in a container, like a list item's label before its sub-list
+        addLine(clean([...child.childNodes].filter((n) => n.nodeType === Node.TEXT_NODE).map((n) => n.textContent).join(" ")));
+        visit(child);
+      }
+    }
+  };
+  visit(doc.body);
+  if (current.text.trim() || current.images.length > 0) sections.push(current);
+  return sections;
+}
+
+// Image sources resolve to the archive files sent along with the page, or must be inline data URLs
+const expandHtml = (sections) => sections.flatMap(({ html, assets = {}, ...section }) => (html === undefined ? [section]
+  : htmlSections(html).map((s) => ({ ...section, ...s, images: s.images.map((src) => assets[src] || (src.startsWith("data:") ? src : null)).filter(Boolean) }))));
+
+// OCR that never fails the file: an image it can't read yields no text and is listed in the warnings
+function tolerantOcr() {
+  const skipped = [];
+  let reason = "";
+  const read = async (image, where) => {
+    try {
+      return await recognizeImage(image);
+    } catch (err) {
+      console.warn(`OCR failed on ${where}:`, err);
+      skipped.push(where);
+      reason ||= err.message || String(err);
+      return "";
+    }
+  };
+  const warnings = () => (skipped.length > 0 ? [`OCR couldn't read ${skipped.join(", ")} (${reason}), so their text is missing`] : []);
+  return { read, warnings };
+}
+
+// Scanned PDF pages come back from the worker as images, to be read with OCR
+async function readScannedPages(sections, ocr, onProgress) {
+  const total = sections.filter((s) => s.scan).length;
+  if (total === 0) return sections;
+  const out = [];
+  let done = 0;
+  for (const { scan, ...section } of sections) {
+    if (!scan) { out.push(section); continue; }
+    onProgress({ label: `OCR: page ${section.page}`, done: done++, total });
+    const text = await ocr.read(scan, `page ${section.page}`);
+    if (text.length > section.text.length) out.push({ ...section, text, ocr: true });
+    else if (section.text) out.push(section);
+  }
+  return out;
+}
+
+// An uploaded picture is always kept as a figure, with whatever labels OCR can read as its text
+async function pictureSection({ picture, ...section }, ocr, onProgress) {
+  onProgress({ label: "OCR: reading labels" });
+  const text = await ocr.read(picture, picture.name);
+  const figures = [await toFigureDataUrl(picture)];
+  return text ? { ...section, text, ocr: true, figures } : { ...section, text: `[Figure: ${picture.name}]`, figures };
+}
+
+// A section's sizeable images are kept as its figures. When the section has little text of its own,
+// the images are also read with OCR into a section of their own right after it, flagged `ocr`.
+async function withImageSections(sections, ocr, onProgress) {
+  const out = [];
+  for (const [i, { images, ...section }] of sections.entries()) {
+    if (!images) { out.push(section); continue; }
+    const large = images.filter(isLargeImage);
+    const figures = [];
+    for (const img of large) figures.push(await toFigureDataUrl(img));
+    const texts = [];
+    if (section.text.trim().length < MIN_TEXT_LAYER) {
+      for (const [j, img] of large.entries()) {
+        const where = `${sourceLocation(section) || `section ${i + 1}`}${large.length > 1 ? `, image ${j + 1} of ${large.length}` : ""}`;
+        onProgress({ label: `OCR: ${where}`, done: i, total: sections.length });
+        const text = await ocr.read(img, where);
+        if (text) texts.push(text);
+      }
+    }
+    // The figures go with the text that describes them best: the OCR'd labels, else the section's own text
+    if (texts.length > 0) {
+      if (section.text.trim()) out.push(section);
+      out.push({ ...section, text: texts.join("\n\n"), ocr: true, figures });
+    } else if (section.text.trim()) {
+      out.push({ ...section, figures });
+    } else if (figures.length > 0) {
+      out.push({ ...section, text: `[Figure${sourceLocation(section) && ` on ${sourceLocation(section)}`}]`, figures });
+    }
+  }
+  return out;
+}
+
+// Hex SHA-256 of the file's bytes, to recognize the same file uploaded again
+export async function hashFile(file) {
+  const digest = await crypto.subtle.digest("SHA-256", await file.arrayBuffer());
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export async function extractFile(file, { onProgress = () => {}, maxPages } = {}) {
+  const extractor = findExtractor(file);
+  if (!extractor) throw new Error("Unsupported file type: " + (fileExtension(file.name) || file.type || file.name));
+  const { sections: parsed, cards } = await parseInWorker(extractor, file, { onProgress, maxPages });
+  const ocr = tolerantOcr();
+  const scanned = await readScannedPages(expandHtml(parsed), ocr, onProgress);
+  const sections = [];
+  for (const section of scanned) sections.push(section.picture ? await pictureSection(section, ocr, onProgress) : section);
+  const finished = await withImageSections(sections, ocr, onProgress);
+  return { text: finished.map((s) => s.text).join("\n\n"), sections: finished, cards, warnings: ocr.warnings() };
+}
@@ -0,0 +1,14 @@
+// Parses uploaded files off the main thread with the extractor registered for
+// their format. Progress messages are sent while it works.
+
+import { EXTRACTORS } from "./extractors.js";
+
+self.onmessage = async ({ data: { id, extractor, file, maxPages } }) => {
+  try {
+    const onProgress = (progress) => self.postMessage({ id, progress });
+    const result = await EXTRACTORS.find((x) => x.id === extractor).parse(file, { onProgress, maxPages });
+    self.postMessage({ id, result });
+  } catch (err) {
+    self.postMessage({ id, error: err.message || String(err) });
+  }
+};
@@ -0,0 +1,354 @@
+// ─── EXTRACTORS ───────────────────────────────────────────────────────────
+// One handler per file format. Each declares the extensions and MIME types it
+// accepts and parses a File into { sections, cards? }, reporting
+// { label, done?, total? } progress and refusing files over `maxPages`. Parsing runs in the
+// extraction worker, so handlers stay off the DOM; extraction.js finishes
+// the sections on the page. A section is a run of text that chunks must not
+// cross, tagged with where it came from: { text, page } for PDFs,
+// { text, slide, title } for slides, { text, sheet } for spreadsheets,
+// { text, headings } for documents with headings, where headings is the path
+// of headings above it. Handlers may instead return { html, assets } to be
+// split at its headings, attach `images` to keep or read, attach rendered
+// `figures` or a `scan` to read with OCR, or hand over a whole `picture`. `cards` are ready-made
+// flashcards, e.g. from an Anki deck.
+
+import { MIN_TEXT_LAYER, scanPdfPage } from "./ocr.js";
+import { MAX_FIGURES_PER_DOCUMENT, MIN_PDF_FIGURE_PIXELS, NoFilterFactory, OffscreenCanvasFactory, pdfPageFigure } from "./figures.js";
+
+// The parsers are bundled, and each is only downloaded the first time a file needs it
+async function loadPdfjs() {
+  const [pdfjs, { default: workerSrc }] = await Promise.all([import("pdfjs-dist"), import("pdfjs-dist/build/pdf.worker.min.mjs?url")]);
+  pdfjs.GlobalWorkerOptions.workerSrc = workerSrc;
+  return pdfjs;
+}
+
+async function loadZip(file) {
+  const { default: JSZip } = await import("jszip");
+  return JSZip.loadAsync(await file.arrayBuffer());
+}
+
+const decodeEntities = (s) => s
+  .replace(/&nbsp;/g, " ").replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&apos;|&#39;/g, "'")
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+  .replace(/&amp;/g, "&");
+const xmlText = (s) => decodeEntities(s.replace(/<[^>]+>/g, ""));
+
+// ── Markdown ──
+const stripInlineMarkdown = (line) => line
+  .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+  .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+  .replace(/`([^`]+)`/g, "$1")
+  .replace(/(\*\*|__)(.+?)\1/g, "$2")
+  .replace(/(^|\W)[*_]([^*_]+)[*_](?=\W|$)/g, "$1$2")
+  .replace(/~~(.+?)~~/g, "$1")
+  .replace(/<[^>]+>/g, "");
+
+export function markdownSections(md) {
+  const sections = [];
+  const path = [];
+  let current = { text: "", headings: [] };
+  let inFence = false;
+  // YAML front matter
+  const body = md.replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n/, "");
+  for (const raw of body.split(/\r?\n/)) {
+    if (/^\s*(```|~~~)/.test(raw)) { inFence = !inFence; continue; }
+    if (inFence) { current.text += raw + "\n"; continue; }
+    const heading = raw.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      if (current.text.trim()) sections.push(current);
+      const level = heading[1].length;
+      path.length = level - 1;
+      path[level - 1] = stripInlineMarkdown(heading[2]);
+      current = { text: path[level - 1] + "\n", headings: path.filter(Boolean) };
+      continue;
+    }
+    // Table separator rows and horizontal rules carry no text
+    if (/^\s*\|?\s*:?-{3,}/.test(raw) || /^\s*([-*_])(\s*\1){2,}\s*$/.test(raw)) continue;
+    const line = stripInlineMarkdown(raw.replace(/^\s*>\s?/, "").replace(/^\s*\|(.*)\|\s*$/, "$1").replace(/\s*\|\s*/g, " | ")).trim();
+    if (line) current.text += line + "\n";
+  }
+  if (current.text.trim()) sections.push(current);
+  return sections;
+}
+
+// ── RTF ──
+// Destinations whose contents are formatting data, not document text
+const RTF_SKIP = new Set(["fonttbl", "colortbl", "stylesheet", "info", "pict", "object", "header", "headerl", "headerr", "headerf", "footer", "footerl", "footerr", "footerf", "themedata", "colorschememapping", "latentstyles", "datastore", "xmlnstbl", "listtable", "listoverridetable", "rsidtbl", "generator", "filetbl", "revtbl", "fldinst"]);
+
+export function rtfToText(rtf) {
+  const cp1252 = new TextDecoder("windows-1252");
+  const stack = [];
+  let skip = false, ucSkip = 1, out = "", i = 0;
+  while (i < rtf.length) {
+    const ch = rtf[i];
+    if (ch === "{") { stack.push({ skip, ucSkip }); i++; continue; }
+    if (ch === "}") { ({ skip, ucSkip } = stack.pop() || { skip: false, ucSkip: 1 }); i++; continue; }
+    if (ch === "\r" || ch === "\n") { i++; continue; }
+    if (ch !== "\\") { if (!skip) out += ch; i++; continue; }
+
+    const next = rtf[i + 1];
+    if (next === "\\" || next === "{" || next === "}") { if (!skip) out += next; i += 2; continue; }
+    if (next === "'") {
+      if (!skip) out += cp1252.decode(new Uint8Array([parseInt(rtf.substr(i + 2, 2), 16)]));
+      i += 4;
+      continue;
+    }
+    if (next === "*") { skip = true; i += 2; continue; }
+    if (next === "~") { if (!skip) out += " "; i += 2; continue; }
+    const m = rtf.slice(i, i + 40).match(/^\\([a-zA-Z]+)(-?\d+)? ?/);
+    if (!m) { i += 2; continue; }
+    const [all, word, arg] = m;
+    i += all.length;
+    if (RTF_SKIP.has(word)) skip = true;
+    else if (word === "uc") ucSkip = Number(arg);
+    else if (!skip && (word === "par" || word === "line" || word === "row" || word === "page")) out += "\n";
+    else if (!skip && (word === "tab" || word === "cell")) out += " | ";
+    else if (word === "u") {
+      if (!skip) out += String.fromCharCode(Number(arg) < 0 ? Number(arg) + 65536 : Number(arg));
+      // Skip the plain-text fallback that follows a Unicode character
+      for (let k = 0; k < ucSkip && i < rtf.length; k++) i += rtf[i] === "\\" && rtf[i + 1] === "'" ? 4 : 1;
+    }
+  }
+  return out.replace(/[ \t]+\n/g, "\n").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+// ── Spreadsheets ──
+// Rows under a header row read best as "Header: value; Header: value"
+function rowsToText(rows) {
+  const filled = rows.map((r) => r.map((c) => String(c ?? "").trim())).filter((r) => r.some(Boolean));
+  if (filled.length < 2) return filled.map((r) => r.filter(Boolean).join(" | ")).join("\n");
+  const [header, ...body] = filled;
+  return body.map((r) => r.map((v, i) => (v ? (header[i] ? `${header[i]}: ${v}` : v) : "")).filter(Boolean).join("; ")).join("\n");
+}
+
+export function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [",", ";", "\t"].sort((a, b) => firstLine.split(b).length - firstLine.split(a).length)[0];
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === "") quoted = true;
+    else if (ch === delimiter) { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else field += ch;
+  }
+  if (field || row.length > 0) { row.push(field); rows.push(row); }
+  return rows;
+}
+
+const columnIndex = (ref) => [...ref.replace(/\d+$/, "")].reduce((n, c) => n * 26 + c.charCodeAt(0) - 64, 0) - 1;
+
+async function xlsxSheets(zip) {
+  const shared = ((await zip.file("xl/sharedStrings.xml")?.async("text")) || "").match(/<si>[\s\S]*?<\/si>/g)?.map((si) => (si.match(/<t[^>]*>[^<]*<\/t>/g) || []).map(xmlText).join("")) || [];
+  const workbook = (await zip.file("xl/workbook.xml")?.async("text")) || "";
+  const rels = (await zip.file("xl/_rels/workbook.xml.rels")?.async("text")) || "";
+  const sheets = [];
+  for (const [tag] of workbook.matchAll(/<sheet\b[^>]*>/g)) {
+    const name = xmlText(tag.match(/name="([^"]*)"/)?.[1] || "");
+    const rid = tag.match(/r:id="([^"]*)"/)?.[1];
+    const target = rels.match(new RegExp(`<Relationship[^>]*Id="${rid}"[^>]*>`))?.[0].match(/Target="([^"]*)"/)?.[1];
+    const xml = target && await zip.file("xl/" + target.replace(/^\/?xl\//, ""))?.async("text");
+    if (!xml) continue;
+    const rows = (xml.match(/<row\b[\s\S]*?<\/row>/g) || []).map((rowXml) => {
+      const row = [];
+      for (const [cell, attrs, inner] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+        if (!cell || inner === undefined) continue;
+        const ref = attrs.match(/r="([A-Z]+\d+)"/)?.[1];
+        const type = attrs.match(/t="([^"]*)"/)?.[1];
+        const v = inner.match(/<v>([^<]*)<\/v>/)?.[1];
+        const value = type === "s" ? shared[Number(v)] : type === "inlineStr" ? (inner.match(/<t[^>]*>[^<]*<\/t>/g) || []).map(xmlText).join("") : type === "b" ? (v === "1" ? "TRUE" : "FALSE") : v !== undefined ? xmlText(v) : "";
+        row[ref ? columnIndex(ref) : row.length] = value;
+      }
+      return row;
+    });
+    sheets.push({ name, rows });
+  }
+  return sheets;
+}
+
+// ── Anki decks ──
+// Notes keep their fields separated by \x1f; the first is the front, the rest the back.
+// Cloze notes ask with the deletions hidden and answer with them filled in.
+function ankiCard(fields) {
+  const toText = (html) => xmlText(html.replace(/<br\s*\/?>|<\/div>|<\/p>|<\/li>/gi, "\n")).replace(/\[sound:[^\]]*\]/g, "").replace(/[ \t]+/g, " ").replace(/\n{2,}/g, "\n").trim();
+  const [first = "", ...rest] = fields;
+  if (/\{\{c\d+::/.test(first)) {
+    return {
+      front: toText(first.replace(/\{\{c\d+::(.*?)(?:::(.*?))?\}\}/g, (_, answer, hint) => `[${hint || "…"}]`)),
+      back: toText(first.replace(/\{\{c\d+::(.*?)(?:::(.*?))?\}\}/g, "$1") + (rest[0] ? "\n" + rest[0] : "")),
+    };
+  }
+  return { front: toText(first), back: toText(rest.filter(Boolean).join("\n")) };
+}
+
+// ── Handlers ──
+async function parsePdf(file, { onProgress, maxPages }) {
+  const pdfjs = await loadPdfjs();
+  // Without a document to add fonts to, glyphs are drawn as paths
+  const pdf = await pdfjs.getDocument({ data: new Uint8Array(await file.arrayBuffer()), disableFontFace: true, CanvasFactory: OffscreenCanvasFactory, FilterFactory: NoFilterFactory }).promise;
+  try {
+    if (maxPages && pdf.numPages > maxPages) throw new Error(`${pdf.numPages} pages is over the ${maxPages}-page limit`);
+    const sections = [];
+    let figureCount = 0;
+    for (let i = 1; i <= pdf.numPages; i++) {
+      onProgress({ label: "Reading pages", done: i - 1, total: pdf.numPages });
+      const page = await pdf.getPage(i);
+      const content = await page.getTextContent();
+      // Keep the page's line breaks so bullet points stay separate lines
+      const text = content.items.map((it) => it.str + (it.hasEOL ? "\n" : " ")).join("").trim();
+      if (text.length >= MIN_TEXT_LAYER) {
+        // A page with a real picture on it is kept whole as a figure
+        const { fnArray, argsArray } = await page.getOperatorList();
+        const { OPS } = pdfjs;
+        const hasFigure = fnArray.some((fn, k) => (fn === OPS.paintImageXObject || fn === OPS.paintJpegXObject) && argsArray[k][1] * argsArray[k][2] >= MIN_PDF_FIGURE_PIXELS);
+        sections.push(hasFigure && figureCount++ < MAX_FIGURES_PER_DOCUMENT ? { text, page: i, figures: [await pdfPageFigure(page)] } : { text, page: i });
+      } else {
+        // Scanned page: no usable text layer, so the rendered page is read with OCR instead
+        sections.push({ text, page: i, scan: await scanPdfPage(page) });
+      }
+    }
+    return { sections };
+  } finally {
+    pdf.destroy();
+  }
+}
+
+async function parseDocx(file) {
+  const { default: mammoth } = await import("mammoth");
+  const result = await mammoth.convertToHtml({ arrayBuffer: await file.arrayBuffer() });
+  return { sections: [{ html: result.value }] };
+}
+
+function pptxSlideSection(xml, slide) {
+  let title = "";
+  const lines = [];
+  // Text boxes and tables; the title placeholder is the slide title
+  for (const shape of xml.match(/<p:sp>[\s\S]*?<\/p:sp>|<p:graphicFrame>[\s\S]*?<\/p:graphicFrame>/g) || []) {
+    const paragraphs = (shape.match(/<a:p>[\s\S]*?<\/a:p>/g) || [])
+      .map((p) => (p.match(/<a:t[^>]*>[^<]*<\/a:t>/g) || []).map(xmlText).join("").trim())
+      .filter(Boolean);
+    if (!title && /<p:ph[^>]*type="(?:title|ctrTitle)"/.test(shape)) title = paragraphs.join(" ");
+    else lines.push(...paragraphs);
+  }
+  return { text: [title, ...lines].filter(Boolean).join("\n"), slide, title };
+}
+
+// Images a slide's shapes reference, resolved through the slide's relationships file
+async function pptxSlideImages(zip, slidePath, xml) {
+  const rels = await zip.file(slidePath.replace(/slides\/(slide\d+\.xml)$/, "slides/_rels/$1.rels"))?.async("text");
+  if (!rels) return [];
+  const images = [];
+  for (const [, rid] of xml.matchAll(/<a:blip[^>]*r:embed="([^"]+)"/g)) {
+    const target = rels.match(new RegExp(`Id="${rid}"[^>]*Target="([^"]+)"`))?.[1] || rels.match(new RegExp(`Target="([^"]+)"[^>]*Id="${rid}"`))?.[1];
+    const entry = target && zip.file("ppt/" + target.replace(/^\.\.\//, ""));
+    if (entry) images.push(await entry.async("blob"));
+  }
+  return images;
+}
+
+async function parsePptx(file, { onProgress, maxPages }) {
+  const zip = await loadZip(file);
+  const slideNumber = (f) => parseInt(f.match(/slide(\d+)\.xml$/)[1], 10);
+  const slideFiles = Object.keys(zip.files).filter((f) => f.match(/^ppt\/slides\/slide\d+\.xml$/)).sort((a, b) => slideNumber(a) - slideNumber(b));
+  if (maxPages && slideFiles.length > maxPages) throw new Error(`${slideFiles.length} slides is over the ${maxPages}-slide limit`);
+  const sections = [];
+  for (const [i, sf] of slideFiles.entries()) {
+    onProgress({ label: "Reading slides", done: i, total: slideFiles.length });
+    const xml = await zip.files[sf].async("text");
+    sections.push({ ...pptxSlideSection(xml, slideNumber(sf)), images: await pptxSlideImages(zip, sf, xml) });
+  }
+  return { sections };
+}
+
+async function parseEpub(file, { onProgress }) {
+  const zip = await loadZip(file);
+  const container = (await zip.file("META-INF/container.xml")?.async("text")) || "";
+  const opfPath = container.match(/full-path="([^"]+)"/)?.[1];
+  const opf = opfPath && await zip.file(opfPath)?.async("text");
+  if (!opf) throw new Error("Not a valid EPUB: package file missing");
+  const base = opfPath.replace(/[^/]*$/, "");
+  const resolve = (dir, href) => {
+    const parts = (dir + decodeURIComponent(href.split("#")[0])).split("/");
+    const out = [];
+    for (const p of parts) { if (p === "..") out.pop(); else if (p !== ".") out.push(p); }
+    return out.join("/");
+  };
+  const manifest = new Map([...opf.matchAll(/<item\b[^>]*>/g)].map(([tag]) => [tag.match(/\bid="([^"]+)"/)?.[1], tag.match(/\bhref="([^"]+)"/)?.[1]]));
+  const spine = [...opf.matchAll(/<itemref\b[^>]*idref="([^"]+)"/g)].map(([, id]) => manifest.get(id)).filter(Boolean);
+  const sections = [];
+  for (const [i, href] of spine.entries()) {
+    onProgress({ label: "Reading chapters", done: i, total: spine.length });
+    const path = resolve(base, href);
+    const html = await zip.file(path)?.async("text");
+    if (!html) continue;
+    // The chapter's pictures live elsewhere in the archive, so they travel with it keyed by their src
+    const dir = path.replace(/[^/]*$/, "");
+    const assets = {};
+    for (const [, src] of html.matchAll(/<img\b[^>]*?\bsrc\s*=\s*["']([^"']+)["']/gi)) {
+      const entry = !src.startsWith("data:") && zip.file(resolve(dir, src));
+      if (entry) assets[src] = await entry.async("blob");
+    }
+    sections.push({ html, assets });
+  }
+  return { sections };
+}
+
+async function parseSpreadsheet(file) {
+  if (/\.csv$/i.test(file.name) || file.type === "text/csv") {
+    return { sections: [{ text: rowsToText(parseCsv(await file.text())) }] };
+  }
+  const sheets = await xlsxSheets(await loadZip(file));
+  return { sections: sheets.map(({ name, rows }) => ({ text: rowsToText(rows), sheet: name })).filter((s) => s.text.trim()) };
+}
+
+async function parseAnki(file, { onProgress }) {
+  const zip = await loadZip(file);
+  const entry = zip.file("collection.anki21") || zip.file("collection.anki2");
+  if (!entry) throw new Error("This deck uses Anki's newer compressed format. Export it again with \"Support older Anki versions\" checked.");
+  onProgress({ label: "Reading deck" });
+  const [{ default: initSqlJs }, { default: wasmUrl }] = await Promise.all([import("sql.js"), import("sql.js/dist/sql-wasm.wasm?url")]);
+  const SQL = await initSqlJs({ locateFile: () => wasmUrl });
+  const db = new SQL.Database(await entry.async("uint8array"));
+  try {
+    const rows = db.exec("SELECT flds FROM notes")[0]?.values || [];
+    const cards = rows.map(([flds]) => ankiCard(String(flds).split("\x1f"))).filter((c) => c.front && c.back);
+    // The cards double as study material for quizzes, one card per line
+    return { sections: [{ text: cards.map((c) => `${c.front} — ${c.back}`.replace(/\s*\n\s*/g, " ")).join("\n") }], cards };
+  } finally {
+    db.close();
+  }
+}
+
+export const EXTRACTORS = [
+  { id: "pdf", name: "PDF", icon: "📕", extensions: ["pdf"], mimeTypes: ["application/pdf"], parse: parsePdf },
+  { id: "pptx", name: "PPTX", icon: "📊", extensions: ["pptx"], mimeTypes: ["application/vnd.openxmlformats-officedocument.presentationml.presentation"], parse: parsePptx },
+  { id: "docx", name: "DOCX", icon: "📘", extensions: ["docx"], mimeTypes: ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"], parse: parseDocx },
+  { id: "txt", name: "TXT", icon: "📝", extensions: ["txt"], mimeTypes: ["text/plain"], parse: async (file) => ({ sections: [{ text: await file.text() }] }) },
+  { id: "markdown", name: "Markdown", icon: "📝", extensions: ["md", "markdown"], mimeTypes: ["text/markdown", "text/x-markdown"], parse: async (file) => ({ sections: markdownSections(await file.text()) }) },
+  { id: "html", name: "HTML", icon: "🌐", extensions: ["html", "htm"], mimeTypes: ["text/html"], parse: async (file) => ({ sections: [{ html: await file.text() }] }) },
+  { id: "epub", name: "EPUB", icon: "📖", extensions: ["epub"], mimeTypes: ["application/epub+zip"], parse: parseEpub },
+  { id: "rtf", name: "RTF", icon: "📄", extensions: ["rtf"], mimeTypes: ["application/rtf", "text/rtf"], parse: async (file) => ({ sections: [{ text: rtfToText(await file.text()) }] }) },
+  { id: "spreadsheet", name: "XLSX/CSV", icon: "📈", extensions: ["xlsx", "csv"], mimeTypes: ["application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", "text/csv"], parse: parseSpreadsheet },
+  { id: "anki", name: "Anki deck", icon: "🃏", extensions: ["apkg"], mimeTypes: [], parse: parseAnki },
+  { id: "image", name: "PNG/JPG", icon: "🖼️", extensions: ["png", "jpg", "jpeg", "gif", "webp"], mimeTypes: ["image/png", "image/jpeg", "image/gif", "image/webp"], parse: async (file) => ({ sections: [{ text: "", picture: file }] }) },
+];
+
+export const fileExtension = (name) => (name.includes(".") ? name.split(".").pop().toLowerCase() : "");
+
+// By extension first: browsers often report "" or a generic type for these formats
+export const findExtractor = (file) => EXTRACTORS.find((x) => x.extensions.includes(fileExtension(file.name)))
+  || EXTRACTORS.find((x) => file.type && x.mimeTypes.includes(file.type));
+
+export const ACCEPTED_FILE_TYPES = EXTRACTORS.flatMap((x) => [...x.extensions.map((e) => "." + e), ...x.mimeTypes]).join(",");
+export const SUPPORTED_FORMATS = EXTRACTORS.map((x) => x.name).join(", ");
+
+// Icon for a stored document's fileType (its extension) or a cited file name
+export const fileIcon = (nameOrExt) => EXTRACTORS.find((x) => x.extensions.includes(fileExtension("." + nameOrExt)))?.icon || "📝";
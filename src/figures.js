@@ -0,0 +1,85 @@
+// ─── FIGURES ──────────────────────────────────────────────────────────────
+// Diagrams from uploads (standalone images, slide pictures, PDF pages with
+// figures on them) are kept as downscaled JPEG data URLs. They are stored
+// apart from the documents, one storage record per figure, and chunks refer to
+// them by id so questions can show the figure they were written about.
+
+const MAX_FIGURE_SIZE = 1024;
+const JPEG_QUALITY = 0.8;
+
+export const MAX_FIGURES_PER_DOCUMENT = 40;
+// Icons, bullets and logos aren't worth keeping or recognizing
+export const MIN_IMAGE_BYTES = 8 * 1024;
+// PDF images smaller than this (in image pixels) are decoration, not figures
+export const MIN_PDF_FIGURE_PIXELS = 200 * 200;
+
+export const isLargeImage = (img) => (typeof img === "string" ? img.length * 0.75 : img.size) >= MIN_IMAGE_BYTES;
+
+// PDF pages are rendered in the extraction worker, where pdf.js has no document to make its
+// scratch canvases or SVG filters with, so it is given these instead
+export class OffscreenCanvasFactory {
+  create(width, height) {
+    const canvas = new OffscreenCanvas(width, height);
+    return { canvas, context: canvas.getContext("2d") };
+  }
+  reset(target, width, height) {
+    target.canvas.width = width;
+    target.canvas.height = height;
+  }
+  destroy(target) {
+    target.canvas.width = target.canvas.height = 0;
+    target.canvas = target.context = null;
+  }
+}
+
+export class NoFilterFactory {
+  addFilter() { return "none"; }
+  addHCMFilter() { return "none"; }
+  addAlphaFilter() { return "none"; }
+  addLuminosityFilter() { return "none"; }
+  addHighlightHCMFilter() { return "none"; }
+  destroy() {}
+}
+
+export async function renderPdfPage(page, scale) {
+  const viewport = page.getViewport({ scale });
+  const canvas = new OffscreenCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+  await page.render({ canvasContext: canvas.getContext("2d"), viewport }).promise;
+  return canvas;
+}
+
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+// A whole PDF page kept as a figure, rendered straight to the figure size
+export async function pdfPageFigure(page) {
+  const { width, height } = page.getViewport({ scale: 1 });
+  const canvas = await renderPdfPage(page, Math.min(1.5, MAX_FIGURE_SIZE / Math.max(width, height)));
+  try {
+    return await blobToDataUrl(await canvas.convertToBlob({ type: "image/jpeg", quality: JPEG_QUALITY }));
+  } finally {
+    canvas.width = canvas.height = 0;
+  }
+}
+
+// Accepts a canvas, Blob or data URL; resolves to a JPEG data URL no larger than MAX_FIGURE_SIZE
+export async function toFigureDataUrl(source) {
+  const image = source instanceof HTMLCanvasElement
+    ? source
+    : await createImageBitmap(typeof source === "string" ? await (await fetch(source)).blob() : source);
+  const scale = Math.min(1, MAX_FIGURE_SIZE / Math.max(image.width, image.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(image.width * scale);
+  canvas.height = Math.round(image.height * scale);
+  const ctx = canvas.getContext("2d");
+  // JPEG has no transparency; without a background transparent PNGs turn black
+  ctx.fillStyle = "white";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+  image.close?.();
+  return canvas.toDataURL("image/jpeg", JPEG_QUALITY);
+}
@@ -0,0 +1,106 @@
+// ─── GENERATION PLANNING ──────────────────────────────────────────────────
+// Large quizzes are split into small requests over neighbouring chunks of the
+// same file, run a few at a time, and merged. Each batch sees only its own
+// slice of the material, so prompts stay small and every part of a big deck
+// gets its share of questions instead of a random sample of 40 chunks.
+
+export const BATCH_QUESTIONS = 10;
+export const BATCH_CHUNKS = 20;
+
+const RETRY_DELAY = 1000;
+
+// Round-robin sample across files so no single file crowds out the rest
+function sampleAcrossFiles(chunks, limit) {
+  if (chunks.length <= limit) return chunks;
+  const byFile = groupByFile(chunks).map((group) => [...group]);
+  const sampled = [];
+  for (let i = 0; sampled.length < limit; i++) {
+    const group = byFile[i % byFile.length];
+    if (group.length > 0) sampled.push(group.splice(Math.floor(Math.random() * group.length), 1)[0]);
+  }
+  return sampled;
+}
+
+function groupByFile(chunks) {
+  const groups = new Map();
+  for (const c of chunks) {
+    if (!groups.has(c.fileName)) groups.set(c.fileName, []);
+    groups.get(c.fileName).push(c);
+  }
+  return [...groups.values()].map((group) => group.sort((a, b) => (a.index ?? 0) - (b.index ?? 0)));
+}
+
+// Splits chunks into file-contiguous runs, then deals out questionCount across them.
+// With `coverage` every chunk is used and each batch asks for one question per chunk.
+export function planBatches(chunks, questionCount, { coverage = false } = {}) {
+  if (chunks.length === 0) return [];
+  const batchCount = coverage
+    ? Math.ceil(chunks.length / BATCH_QUESTIONS)
+    : Math.max(1, Math.ceil(questionCount / BATCH_QUESTIONS));
+  const pool = coverage ? chunks : sampleAcrossFiles(chunks, batchCount * BATCH_CHUNKS);
+
+  // Keep each batch inside one file where possible so its questions share context
+  const ordered = groupByFile(pool).flat();
+  const size = Math.ceil(ordered.length / batchCount);
+  const batches = [];
+  for (let i = 0; i < ordered.length; i += size) batches.push({ chunks: ordered.slice(i, i + size), count: 0 });
+
+  if (coverage) {
+    for (const b of batches) b.count = b.chunks.length;
+  } else {
+    // Spread the questions as evenly as the batch sizes allow
+    batches.forEach((b, i) => { b.count = Math.floor(questionCount / batches.length) + (i < questionCount % batches.length ? 1 : 0); });
+  }
+  return batches.filter((b) => b.count > 0);
+}
+
+// Runs fn over items with at most `limit` calls in flight; results keep the input order
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+// Rate limits, server errors and dropped connections are worth another try; bad requests are not
+const isRetryable = (err) => err.name !== "AbortError" && (err.status === undefined || err.status === 429 || err.status >= 500);
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener("abort", () => { clearTimeout(timer); reject(new DOMException("Aborted", "AbortError")); }, { once: true });
+});
+
+// Exponential backoff with jitter: about 1s, 2s, 4s...
+export async function withRetry(fn, { retries = 2, signal } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt >= retries || !isRetryable(err) || signal?.aborted) throw err;
+      await wait(RETRY_DELAY * 2 ** attempt * (0.75 + Math.random() * 0.5), signal);
+    }
+  }
+}
+
+const promptWords = (prompt) => new Set(prompt.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+
+// Concurrent batches don't see each other's questions, so near-identical wordings slip past the exact-prompt check
+export function createDuplicateFilter(existingPrompts = []) {
+  const seen = existingPrompts.map(promptWords);
+  return (prompt) => {
+    const words = promptWords(prompt);
+    const duplicate = seen.some((other) => {
+      let shared = 0;
+      for (const w of words) if (other.has(w)) shared++;
+      return shared / (words.size + other.size - shared || 1) >= 0.8;
+    });
+    if (!duplicate) seen.push(words);
+    return duplicate;
+  };
+}
@@ -0,0 +1,112 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { BATCH_QUESTIONS, createDuplicateFilter, mapWithConcurrency, planBatches, withRetry } from "./generationPlan.js";
+
+const chunksOf = (fileName, n) => Array.from({ length: n }, (_, index) => ({ id: `${fileName}-${index}`, fileName, index }));
+const total = (batches) => batches.reduce((sum, b) => sum + b.count, 0);
+
+afterEach(() => vi.useRealTimers());
+
+describe("planBatches", () => {
+  it.each([
+    [1, 5], [10, 3], [25, 80], [37, 200], [50, 2], [100, 45],
+  ])("deals out %i questions over %i chunks exactly", (count, chunkCount) => {
+    const batches = planBatches([...chunksOf("a.pdf", Math.ceil(chunkCount / 2)), ...chunksOf("b.pdf", Math.floor(chunkCount / 2))], count);
+    expect(total(batches)).toBe(count);
+    for (const b of batches) {
+      expect(b.count).toBeGreaterThan(0);
+      expect(b.count).toBeLessThanOrEqual(Math.ceil(count / batches.length));
+    }
+  });
+
+  it("keeps batches inside a file and in page order where it can", () => {
+    const batches = planBatches([...chunksOf("b.pdf", 10), ...chunksOf("a.pdf", 10)].reverse(), 20);
+    expect(batches).toHaveLength(2);
+    for (const b of batches) {
+      expect(new Set(b.chunks.map((c) => c.fileName)).size).toBe(1);
+      expect(b.chunks.map((c) => c.index)).toEqual([...b.chunks.map((c) => c.index)].sort((x, y) => x - y));
+    }
+  });
+
+  it("asks for one question per chunk in coverage mode, using every chunk once", () => {
+    const chunks = [...chunksOf("a.pdf", 13), ...chunksOf("b.pdf", 14)];
+    const batches = planBatches(chunks, chunks.length, { coverage: true });
+    expect(batches).toHaveLength(Math.ceil(27 / BATCH_QUESTIONS));
+    expect(batches.every((b) => b.count === b.chunks.length)).toBe(true);
+    expect(batches.flatMap((b) => b.chunks.map((c) => c.id)).sort()).toEqual(chunks.map((c) => c.id).sort());
+  });
+
+  it("plans nothing without material", () => {
+    expect(planBatches([], 10)).toEqual([]);
+  });
+});
+
+describe("mapWithConcurrency", () => {
+  it("keeps at most `limit` calls in flight and results in input order", async () => {
+    let running = 0, peak = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 0, 5], 2, async (ms, i) => {
+      peak = Math.max(peak, ++running);
+      await new Promise((r) => setTimeout(r, ms));
+      running--;
+      return i;
+    });
+    expect(results).toEqual([0, 1, 2, 3, 4]);
+    expect(peak).toBe(2);
+  });
+});
+
+describe("withRetry", () => {
+  // Runs withRetry to the end without waiting out its backoff
+  async function settle(promise) {
+    const settled = promise.then((value) => ({ value }), (error) => ({ error }));
+    await vi.runAllTimersAsync();
+    return settled;
+  }
+
+  it("retries failures until one succeeds", async () => {
+    vi.useFakeTimers();
+    const fn = vi.fn(async (attempt) => {
+      if (attempt < 2) throw Object.assign(new Error("overloaded"), { status: 529 });
+      return "ok";
+    });
+    expect(await settle(withRetry(fn))).toEqual({ value: "ok" });
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  it("stops after the retry limit and surfaces the last error", async () => {
+    vi.useFakeTimers();
+    const fn = vi.fn(async (attempt) => { throw Object.assign(new Error(`attempt ${attempt} failed`), { status: 429 }); });
+    const { error } = await settle(withRetry(fn, { retries: 3 }));
+    expect(fn).toHaveBeenCalledTimes(4);
+    expect(error.message).toBe("attempt 3 failed");
+  });
+
+  it("doesn't retry bad requests or aborts", async () => {
+    const bad = vi.fn(async () => { throw Object.assign(new Error("bad request"), { status: 400 }); });
+    await expect(withRetry(bad)).rejects.toThrow("bad request");
+    expect(bad).toHaveBeenCalledTimes(1);
+    const aborted = vi.fn(async () => { throw new DOMException("Aborted", "AbortError"); });
+    await expect(withRetry(aborted)).rejects.toThrow("Aborted");
+    expect(aborted).toHaveBeenCalledTimes(1);
+  });
+
+  it("gives up waiting when aborted during the backoff", async () => {
+    const controller = new AbortController();
+    const fn = vi.fn(async () => {
+      setTimeout(() => controller.abort(), 0);
+      throw new Error("network down");
+    });
+    await expect(withRetry(fn, { signal: controller.signal })).rejects.toMatchObject({ name: "AbortError" });
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("createDuplicateFilter", () => {
+  it("drops near-duplicate prompts across batches and earlier quizzes", () => {
+    const isDuplicate = createDuplicateFilter(["Which enzyme is rate-limiting in glycolysis?"]);
+    expect(isDuplicate("Which enzyme is the rate limiting in glycolysis?")).toBe(true);
+    expect(isDuplicate("Where does furosemide act in the nephron?")).toBe(false);
+    // The first batch's question now counts against the next batch's
+    expect(isDuplicate("Where does furosemide act in the nephron")).toBe(true);
+    expect(isDuplicate("Where does spironolactone act in the nephron?")).toBe(false);
+  });
+});
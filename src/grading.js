@@ -0,0 +1,137 @@
+// ─── ANSWER GRADING ───────────────────────────────────────────────────────
+// One deterministic grader used by quiz submission, the results page and the
+// missed-question list so every screen agrees on what counts as correct.
+// Scores are 0..1 per question: select-all earns partial credit, free-text
+// answers are normalized and must name the key's words and nothing else, with
+// small typos forgiven; numeric answers allow a tolerance and need the unit.
+// Short answers can additionally carry an AI rubric grade, and the student's
+// manual override beats everything else.
+
+const ARTICLES = new Set(["a", "an", "the"]);
+const NEGATIONS = new Set(["no", "not", "non", "never", "without"]);
+// Words that join an answer without adding to it
+const FILLER = new Set(["of", "in", "on", "at", "to", "by", "for", "with", "from", "is", "are"]);
+const NUMERIC_TOLERANCE = 0.02;
+// Prefixes that flip or change a medical term's meaning; a typo allowance must not bridge two of them
+// ("hypokalemia" is not a misspelt "hyperkalemia"). Longest first, so "inter" is found before "in".
+const PREFIXES = ["hetero", "hyper", "inter", "intra", "extra", "infra", "supra", "super", "brady", "tachy", "micro", "macro", "hypo", "cata", "endo", "ecto", "post", "anti", "ante", "mono", "poly", "homo", "hemi", "ana", "exo", "pre", "pro", "sub", "uni", "dys", "dis", "non", "tri", "ab", "ad", "bi", "de", "eu", "ex", "in", "im", "un"];
+
+// Unit aliases mapped to [dimension, factor to the dimension's base unit]
+const UNITS = {
+  kg: ["mass", 1e3], g: ["mass", 1], gram: ["mass", 1], grams: ["mass", 1], mg: ["mass", 1e-3], mcg: ["mass", 1e-6], ug: ["mass", 1e-6], "µg": ["mass", 1e-6], ng: ["mass", 1e-9],
+  l: ["volume", 1], liter: ["volume", 1], liters: ["volume", 1], dl: ["volume", 0.1], ml: ["volume", 1e-3], ul: ["volume", 1e-6], "µl": ["volume", 1e-6],
+  m: ["length", 1], cm: ["length", 1e-2], mm: ["length", 1e-3], um: ["length", 1e-6], "µm": ["length", 1e-6], nm: ["length", 1e-9],
+  s: ["time", 1], sec: ["time", 1], secs: ["time", 1], seconds: ["time", 1], ms: ["time", 1e-3], min: ["time", 60], mins: ["time", 60], minutes: ["time", 60],
+  h: ["time", 3600], hr: ["time", 3600], hrs: ["time", 3600], hours: ["time", 3600], day: ["time", 86400], days: ["time", 86400],
+  "%": ["percent", 1], percent: ["percent", 1],
+  mmhg: ["pressure", 1], kpa: ["pressure", 7.50062],
+  meq: ["amount", 1], mmol: ["amount", 1e-3], mol: ["amount", 1],
+  bpm: ["rate", 1],
+};
+
+const singular = (w) => (w.length > 3 && /[^su]s$/.test(w) && !/(ss|is)$/.test(w) ? w.replace(/(ies)$/, "y").replace(/(ches|shes|xes)$/, (m) => m.slice(0, -2)).replace(/s$/, "") : w);
+
+export function normalizeAnswer(text) {
+  return String(text ?? "")
+    .toLowerCase()
+    .replace(/[’']/g, "")
+    .replace(/[^a-z0-9µ%\s]/g, " ")
+    .split(/\s+/)
+    .filter((w) => w && !ARTICLES.has(w))
+    .map(singular);
+}
+
+function editDistance(a, b) {
+  if (a === b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+const prefixOf = (w) => PREFIXES.find((p) => w.startsWith(p) && w.length > p.length + 2) || "";
+
+// Same word allowing for small typos in longer words, but not in the first letter or a meaningful prefix
+const tokensMatch = (a, b) => a === b || (Math.min(a.length, b.length) >= 5 && a[0] === b[0] && prefixOf(a) === prefixOf(b) && editDistance(a, b) <= (a.length >= 8 ? 2 : 1));
+const containsAll = (haystack, needles) => needles.every((n) => haystack.some((h) => tokensMatch(h, n)));
+const contentWords = (words) => words.filter((w) => !FILLER.has(w));
+
+function parseQuantity(text) {
+  const m = String(text ?? "").trim().toLowerCase().replace(/,/g, "").match(/^[~≈]?\s*(-?\d*\.?\d+)\s*([a-zµ%]+(?:\/[a-zµ]+)?)?\.?$/);
+  if (!m) return null;
+  return { value: parseFloat(m[1]), unit: m[2] || "" };
+}
+
+function quantitiesMatch(expected, given) {
+  // "120" isn't "120 mmHg": the unit is part of the answer
+  if (expected.unit && !given.unit) return false;
+  let a = expected.value, b = given.value;
+  if (expected.unit && given.unit && expected.unit !== given.unit) {
+    const ua = UNITS[expected.unit], ub = UNITS[given.unit];
+    if (!ua || !ub || ua[0] !== ub[0]) return false;
+    a *= ua[1];
+    b *= ub[1];
+  }
+  if (a === 0) return Math.abs(b) < 1e-9;
+  return Math.abs(a - b) / Math.abs(a) <= NUMERIC_TOLERANCE;
+}
+
+function textMatches(expected, given) {
+  const e = parseQuantity(expected);
+  if (e) {
+    const g = parseQuantity(given);
+    return !!g && quantitiesMatch(e, g);
+  }
+  const et = normalizeAnswer(expected);
+  const gt = normalizeAnswer(given);
+  if (gt.length === 0 || et.length === 0) return false;
+  if (et.join(" ") === gt.join(" ")) return true;
+  // A negation the key doesn't have flips the meaning ("not ACE inhibitors")
+  if (gt.some((w) => NEGATIONS.has(w)) !== et.some((w) => NEGATIONS.has(w))) return false;
+  // Hedging between alternatives ("left or right") isn't an answer
+  if (gt.includes("or") && !et.includes("or")) return false;
+  // Every key word named and nothing added, in any order; shorter wordings ("B12") belong in acceptedAnswers
+  const ec = contentWords(et), gc = contentWords(gt);
+  return ec.length > 0 && containsAll(gc, ec) && containsAll(ec, gc);
+}
+
+export const acceptedAnswers = (q) => [q.correct, ...(Array.isArray(q.acceptedAnswers) ? q.acceptedAnswers : [])].filter((a) => a !== null && a !== undefined && a !== "");
+
+// Key points a complete short answer should mention; older questions only have `correct`
+export const rubricPoints = (q) => (Array.isArray(q.rubric) && q.rubric.length > 0 ? q.rubric : [q.correct].filter(Boolean));
+
+export function gradeAnswer(q, userAns, { rubricGrade, override } = {}) {
+  if (override === 0 || override === 1) return { score: override, correct: override === 1, overridden: true };
+  if (q.type === "select_all") {
+    const correct = Array.isArray(q.correct) ? q.correct : [q.correct];
+    const picks = Array.isArray(userAns) ? userAns : [];
+    const hits = picks.filter((p) => correct.includes(p)).length;
+    const wrong = picks.length - hits;
+    const score = correct.length > 0 ? Math.max(0, (hits - wrong) / correct.length) : 0;
+    return { score: Math.round(score * 100) / 100, correct: hits === correct.length && wrong === 0 };
+  }
+  if (q.type === "fill_blank" || q.type === "short_answer") {
+    const ok = acceptedAnswers(q).some((a) => textMatches(a, userAns));
+    if (!ok && rubricGrade) return { score: rubricGrade.score, correct: rubricGrade.score >= 1 };
+    return { score: ok ? 1 : 0, correct: ok };
+  }
+  const ok = userAns !== undefined && userAns !== null && userAns === q.correct;
+  return { score: ok ? 1 : 0, correct: ok };
+}
+
+// `grading` is the attempt (or any object) holding rubricGrades and overrides keyed like answers
+export function gradeAttempt(questions, answers, grading = {}) {
+  const results = questions.map((q) => gradeAnswer(q, answers?.[q.id], {
+    rubricGrade: grading.rubricGrades?.[q.id],
+    override: grading.overrides?.[q.id],
+  }));
+  const score = Math.round(results.reduce((sum, r) => sum + r.score, 0) * 100) / 100;
+  return { score, results };
+}
+
+export const formatScore = (n) => (Number.isInteger(n) ? String(n) : n.toFixed(1));
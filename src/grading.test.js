@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import { gradeAnswer, gradeAttempt } from "./grading.js";
+
+const fill = (correct, acceptedAnswers) => ({ id: "q", type: "fill_blank", correct, acceptedAnswers });
+const isCorrect = (q, answer) => gradeAnswer(q, answer).correct;
+
+describe("free-text answers", () => {
+  it("forgives case, articles and small typos", () => {
+    expect(isCorrect(fill("left ventricle"), "the Left Ventricle")).toBe(true);
+    expect(isCorrect(fill("inflammation"), "inflamation")).toBe(true);
+    expect(isCorrect(fill("hyperthyroidism"), "hyperthyrodism")).toBe(true);
+    expect(isCorrect(fill("ACE inhibitor"), "inhibitor ACE")).toBe(true);
+  });
+
+  it("doesn't take an opposite prefix for a typo", () => {
+    expect(isCorrect(fill("hyperthyroidism"), "hypothyroidism")).toBe(false);
+    expect(isCorrect(fill("hyperkalemia"), "hypokalemia")).toBe(false);
+    expect(isCorrect(fill("increased"), "decreased")).toBe(false);
+    expect(isCorrect(fill("anabolic"), "catabolic")).toBe(false);
+    expect(isCorrect(fill("intracellular"), "intercellular")).toBe(false);
+  });
+
+  it("rejects answers that leave out part of the key", () => {
+    expect(isCorrect(fill("ACE inhibitor"), "inhibitor")).toBe(false);
+    expect(isCorrect(fill("vitamin B12"), "vitamin")).toBe(false);
+    expect(isCorrect(fill("left ventricle"), "left")).toBe(false);
+  });
+
+  it("accepts shorter wordings only when listed as accepted answers", () => {
+    expect(isCorrect(fill("vitamin B12"), "B12")).toBe(false);
+    expect(isCorrect(fill("vitamin B12", ["B12", "cobalamin"]), "B12")).toBe(true);
+    expect(isCorrect(fill("vitamin B12", ["B12", "cobalamin"]), "cobalamine")).toBe(true);
+  });
+
+  it("rejects answers that add content or hedge between alternatives", () => {
+    expect(isCorrect(fill("left"), "left or right")).toBe(false);
+    expect(isCorrect(fill("left ventricle"), "left ventricle and aorta")).toBe(false);
+    expect(isCorrect(fill("loop of Henle"), "loop Henle")).toBe(true);
+  });
+
+  it("rejects a negation the key doesn't have", () => {
+    expect(isCorrect(fill("ACE inhibitors"), "not ACE inhibitors")).toBe(false);
+  });
+});
+
+describe("numeric answers", () => {
+  it("requires the unit when the key has one", () => {
+    expect(isCorrect(fill("5 mg"), "5")).toBe(false);
+    expect(isCorrect(fill("120 mmHg"), "120")).toBe(false);
+    expect(isCorrect(fill("5 mg"), "5mg")).toBe(true);
+  });
+
+  it("converts units and allows a small tolerance", () => {
+    expect(isCorrect(fill("5 mg"), "0.005 g")).toBe(true);
+    expect(isCorrect(fill("120 mmHg"), "16 kPa")).toBe(true);
+    expect(isCorrect(fill("100"), "101")).toBe(true);
+    expect(isCorrect(fill("100"), "110")).toBe(false);
+    expect(isCorrect(fill("5 mg"), "5 ml")).toBe(false);
+  });
+});
+
+describe("gradeAttempt", () => {
+  it("gives select-all partial credit and lets overrides win", () => {
+    const questions = [
+      { id: "a", type: "select_all", options: ["x", "y", "z"], correct: ["x", "y"] },
+      { id: "b", type: "multiple_choice", options: ["x", "y"], correct: "x" },
+    ];
+    const { score, results } = gradeAttempt(questions, { a: ["x"], b: "y" }, { overrides: { b: 1 } });
+    expect(results[0]).toMatchObject({ score: 0.5, correct: false });
+    expect(results[1]).toMatchObject({ score: 1, overridden: true });
+    expect(score).toBe(1.5);
+  });
+});
@@ -0,0 +1,254 @@
+// ─── LLM PROVIDERS ────────────────────────────────────────────────────────
+// Every model call (quiz generation, flashcards, rubric grading) goes through
+// completeText() or streamText() with the user's provider settings from the
+// Settings page. Adapters share one shape:
+// { id, name, vision, defaults, complete(settings, prompt, opts), stream(settings, prompt, opts) }.
+// A prompt is a string, or for adapters with `vision` an array of
+// { type: "text", text } and { type: "image", dataUrl } parts.
+
+export const DEFAULT_LLM_SETTINGS = { provider: "anthropic", apiKey: "", model: "", baseUrl: "", maxTokens: 8000, concurrency: 3 };
+
+const promptParts = (prompt) => (typeof prompt === "string" ? [{ type: "text", text: prompt }] : prompt);
+const promptText = (prompt) => promptParts(prompt).filter((p) => p.type === "text").map((p) => p.text).join("\n\n");
+
+function anthropicContent(prompt) {
+  if (typeof prompt === "string") return prompt;
+  return prompt.map((p) => {
+    if (p.type !== "image") return p;
+    const [, mediaType, data] = p.dataUrl.match(/^data:([^;]+);base64,(.*)$/);
+    return { type: "image", source: { type: "base64", media_type: mediaType, data } };
+  });
+}
+
+const chatContent = (prompt) => (typeof prompt === "string" ? prompt : prompt.map((p) => (p.type === "image" ? { type: "image_url", image_url: { url: p.dataUrl } } : p)));
+
+async function readError(response) {
+  let detail = "";
+  try {
+    const body = await response.json();
+    detail = body.error?.message || body.error || body.message || "";
+  } catch {
+    // Not JSON; the status says what went wrong
+  }
+  const err = new Error(`Model request failed (${response.status})${detail ? `: ${detail}` : ""}`);
+  err.status = response.status;
+  return err;
+}
+
+// Calls onEvent with each JSON payload of a server-sent event stream
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let nl;
+    while ((nl = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, nl).trim();
+      buffer = buffer.slice(nl + 1);
+      if (!line.startsWith("data:")) continue;
+      const payload = line.slice(5).trim();
+      if (!payload || payload === "[DONE]") continue;
+      let event;
+      try { event = JSON.parse(payload); } catch { continue; }
+      onEvent(event);
+    }
+  }
+}
+
+function anthropicRequest(settings, prompt, { maxTokens, signal, stream = false }) {
+  const headers = { "Content-Type": "application/json" };
+  // Without a key the request relies on the hosting sandbox to authenticate it
+  if (settings.apiKey) {
+    headers["x-api-key"] = settings.apiKey;
+    headers["anthropic-version"] = "2023-06-01";
+    headers["anthropic-dangerous-direct-browser-access"] = "true";
+  }
+  return fetch(`${settings.baseUrl}/v1/messages`, {
+    method: "POST",
+    headers,
+    signal,
+    body: JSON.stringify({ model: settings.model, max_tokens: maxTokens, stream, messages: [{ role: "user", content: anthropicContent(prompt) }] }),
+  });
+}
+
+const anthropicAdapter = {
+  id: "anthropic",
+  name: "Anthropic",
+  vision: true,
+  defaults: { model: "claude-sonnet-4-20250514", baseUrl: "https://api.anthropic.com" },
+  async complete(settings, prompt, opts) {
+    const response = await anthropicRequest(settings, prompt, opts);
+    if (!response.ok) throw await readError(response);
+    const data = await response.json();
+    return data.content?.map((b) => b.text || "").join("") || "";
+  },
+  async stream(settings, prompt, { onText, ...opts }) {
+    const response = await anthropicRequest(settings, prompt, { ...opts, stream: true });
+    if (!response.ok) throw await readError(response);
+    let text = "";
+    await readEventStream(response, (event) => {
+      if (event.type === "error") throw new Error(`Model request failed: ${event.error?.message || "stream error"}`);
+      if (event.type === "content_block_delta" && event.delta?.text) {
+        text += event.delta.text;
+        onText(event.delta.text);
+      }
+    });
+    return text;
+  },
+};
+
+function chatCompletionsRequest(settings, prompt, { maxTokens, signal, stream = false }) {
+  const headers = { "Content-Type": "application/json" };
+  if (settings.apiKey) headers.Authorization = `Bearer ${settings.apiKey}`;
+  return fetch(`${settings.baseUrl}/chat/completions`, {
+    method: "POST",
+    headers,
+    signal,
+    body: JSON.stringify({ model: settings.model, max_tokens: maxTokens, stream, messages: [{ role: "user", content: chatContent(prompt) }] }),
+  });
+}
+
+const chatCompletions = {
+  async complete(settings, prompt, opts) {
+    const response = await chatCompletionsRequest(settings, prompt, opts);
+    if (!response.ok) throw await readError(response);
+    const data = await response.json();
+    return data.choices?.[0]?.message?.content || "";
+  },
+  async stream(settings, prompt, { onText, ...opts }) {
+    const response = await chatCompletionsRequest(settings, prompt, { ...opts, stream: true });
+    if (!response.ok) throw await readError(response);
+    let text = "";
+    await readEventStream(response, (event) => {
+      const delta = event.choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        onText(delta);
+      }
+    });
+    return text;
+  },
+};
+
+const openaiAdapter = {
+  id: "openai",
+  name: "OpenAI-compatible",
+  vision: true,
+  defaults: { model: "gpt-4o-mini", baseUrl: "https://api.openai.com/v1" },
+  ...chatCompletions,
+};
+
+// Ollama and llama.cpp's server both expose the OpenAI chat completions route.
+// Most local models are text-only, so figures are left out of their prompts.
+const localAdapter = {
+  id: "local",
+  name: "Local server (Ollama, llama.cpp)",
+  vision: false,
+  defaults: { model: "llama3.1", baseUrl: "http://localhost:11434/v1" },
+  ...chatCompletions,
+};
+
+// ─── MOCK PROVIDER ────────────────────────────────────────────────────────
+// Returns canned JSON shaped like whatever the prompt asks for, so the whole
+// generation flow runs offline.
+
+const MOCK_QUESTIONS = [
+  { type: "multiple_choice", topic: "Cell Biology", prompt: "Which organelle produces most of the cell's ATP?", options: ["Ribosome", "Mitochondrion", "Golgi apparatus", "Lysosome"], correct: "Mitochondrion", acceptedAnswers: null, rubric: null, explanation: "Oxidative phosphorylation takes place in the mitochondria." },
+  { type: "select_all", topic: "Cell Biology", prompt: "Which structures are found in both plant and animal cells?", options: ["Nucleus", "Cell wall", "Mitochondria", "Chloroplast"], correct: ["Nucleus", "Mitochondria"], acceptedAnswers: null, rubric: null, explanation: "Cell walls and chloroplasts are specific to plant cells." },
+  { type: "fill_blank", topic: "Metabolism", prompt: "The breakdown of glucose into pyruvate is called ____.", options: null, correct: "glycolysis", acceptedAnswers: ["glycolytic pathway"], rubric: null, explanation: "Glycolysis converts one glucose into two pyruvate." },
+  { type: "short_answer", topic: "Metabolism", prompt: "Why does anaerobic glycolysis produce lactate?", options: null, correct: "To regenerate NAD+ so glycolysis can continue", acceptedAnswers: null, rubric: ["Regenerates NAD+", "Allows glycolysis to continue without oxygen"], explanation: "Lactate dehydrogenase oxidizes NADH back to NAD+." },
+];
+
+const MOCK_CARDS = [
+  { front: "Glycolysis", back: "Breakdown of glucose into two pyruvate, yielding 2 ATP and 2 NADH" },
+  { front: "Mitochondrion", back: "Organelle where oxidative phosphorylation produces most ATP" },
+];
+
+function mockReply(parts) {
+  const prompt = promptText(parts);
+  const fileName = prompt.match(/File: ([^\]|\n]+)/)?.[1]?.trim() || prompt.match(/\[([^\]\n]+\.\w+)\]/)?.[1] || "notes.txt";
+  const citation = { fileName, excerpt: "Mock excerpt from the study material." };
+  if (prompt.includes('"grades"')) {
+    const count = (prompt.match(/^\d+\. QUESTION:/gm) || []).length;
+    return { grades: Array.from({ length: count }, (_, i) => ({ index: i + 1, pointsHit: [], pointsMissed: [], score: 0.5, justification: "Mock grade." })) };
+  }
+  if (prompt.includes('"cards"')) {
+    const count = parseInt(prompt.match(/Generate (\d+) flashcards/)?.[1] || "10", 10);
+    return { cards: Array.from({ length: count }, (_, i) => ({ ...MOCK_CARDS[i % MOCK_CARDS.length], citation })) };
+  }
+  const count = parseInt(prompt.match(/Generate exactly (\d+)/)?.[1] || "10", 10);
+  // Past the canned questions, blank out a word of a sentence from the material so citations check out
+  const sentences = (prompt.split("STUDY MATERIAL:")[1] || "").split(/(?<=[.!?])\s+/).map((s) => s.trim()).filter((s) => !s.startsWith("[") && s.split(/\s+/).length >= 6);
+  const questions = MOCK_QUESTIONS.slice(0, count).map((q) => ({ ...q, citation }));
+  for (const sentence of sentences.slice(0, count - questions.length)) {
+    const answer = sentence.split(/\s+/).map((w) => w.replace(/[^\p{L}\p{N}]/gu, "")).sort((a, b) => b.length - a.length)[0];
+    questions.push({ type: "fill_blank", topic: "General", prompt: sentence.replace(answer, "____"), options: null, correct: answer, acceptedAnswers: null, rubric: null, explanation: "Taken from the material.", citation: { fileName, excerpt: sentence } });
+  }
+  // Exercise the figure path when the prompt offers one
+  if (questions.length > 0 && /Figure F1\b/.test(prompt)) questions[0] = { ...questions[0], figure: "F1" };
+  return { questions };
+}
+
+const mockDelay = async (ms, signal) => {
+  await new Promise((r) => setTimeout(r, ms));
+  if (signal?.aborted) throw new DOMException("Aborted", "AbortError");
+};
+
+const mockAdapter = {
+  id: "mock",
+  name: "Mock (offline, canned answers)",
+  vision: true,
+  defaults: { model: "mock", baseUrl: "" },
+  async complete(_settings, prompt, { signal }) {
+    await mockDelay(300, signal);
+    return JSON.stringify(mockReply(prompt));
+  },
+  // Trickles the canned reply out in small pieces like a real stream
+  async stream(_settings, prompt, { signal, onText }) {
+    const text = JSON.stringify(mockReply(prompt), null, 2);
+    for (let i = 0; i < text.length; i += 120) {
+      await mockDelay(40, signal);
+      onText(text.slice(i, i + 120));
+    }
+    return text;
+  },
+};
+
+export const LLM_PROVIDERS = [anthropicAdapter, openaiAdapter, localAdapter, mockAdapter];
+
+export const supportsImages = (settings) => resolveLLMSettings(settings).adapter.vision;
+
+export function resolveLLMSettings(settings) {
+  const s = { ...DEFAULT_LLM_SETTINGS, ...settings };
+  const adapter = LLM_PROVIDERS.find((p) => p.id === s.provider) || anthropicAdapter;
+  return {
+    ...s,
+    adapter,
+    model: s.model || adapter.defaults.model,
+    baseUrl: (s.baseUrl || adapter.defaults.baseUrl).replace(/\/+$/, ""),
+  };
+}
+
+// maxTokens is what the caller wants; the user's setting caps it
+export async function completeText(settings, prompt, { maxTokens = 4000, signal } = {}) {
+  const resolved = resolveLLMSettings(settings);
+  const limit = Math.min(maxTokens, Number(resolved.maxTokens) || maxTokens);
+  return resolved.adapter.complete(resolved, prompt, { maxTokens: limit, signal });
+}
+
+// Like completeText, but onText receives each piece of the reply as it arrives
+export async function streamText(settings, prompt, { maxTokens = 4000, signal, onText = () => {} } = {}) {
+  const resolved = resolveLLMSettings(settings);
+  const limit = Math.min(maxTokens, Number(resolved.maxTokens) || maxTokens);
+  if (!resolved.adapter.stream) {
+    const text = await resolved.adapter.complete(resolved, prompt, { maxTokens: limit, signal });
+    onText(text);
+    return text;
+  }
+  return resolved.adapter.stream(resolved, prompt, { maxTokens: limit, signal, onText });
+}
+
+export const parseJsonReply = (text) => JSON.parse(text.replace(/```json|```/g, "").trim());
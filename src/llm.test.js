@@ -0,0 +1,133 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { completeText, parseJsonReply, resolveLLMSettings, streamText } from "./llm.js";
+
+const mock = { provider: "mock" };
+const openai = { provider: "openai", apiKey: "sk-test" };
+const anthropic = { provider: "anthropic", apiKey: "key" };
+
+// Runs a mock call to completion without waiting out its simulated latency
+async function withTimers(run) {
+  vi.useFakeTimers();
+  try {
+    const settled = run().then((value) => ({ value }), (error) => ({ error }));
+    await vi.runAllTimersAsync();
+    const { value, error } = await settled;
+    if (error) throw error;
+    return value;
+  } finally {
+    vi.useRealTimers();
+  }
+}
+
+// A streaming response whose body arrives in the given pieces, split wherever the test likes
+function sseResponse(pieces) {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    start(controller) {
+      for (const piece of pieces) controller.enqueue(encoder.encode(piece));
+      controller.close();
+    },
+  });
+  return new Response(body, { status: 200, headers: { "Content-Type": "text/event-stream" } });
+}
+
+const jsonResponse = (body, status = 200) => new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+
+afterEach(() => vi.unstubAllGlobals());
+
+describe("resolveLLMSettings", () => {
+  it("fills in the provider's defaults and trims the base URL", () => {
+    expect(resolveLLMSettings({ provider: "local", baseUrl: "http://box:8080/v1/" })).toMatchObject({ model: "llama3.1", baseUrl: "http://box:8080/v1" });
+    expect(resolveLLMSettings({ provider: "nope" }).adapter.id).toBe("anthropic");
+  });
+});
+
+describe("mock provider", () => {
+  it("answers a quiz prompt with the requested number of questions citing the file", async () => {
+    const prompt = "Generate exactly 5 questions.\nSTUDY MATERIAL:\n[cells.pdf] Cells are small. The mitochondrion is the powerhouse of the eukaryotic cell.";
+    const { questions } = parseJsonReply(await withTimers(() => completeText(mock, prompt)));
+    expect(questions).toHaveLength(5);
+    expect(questions[0].citation.fileName).toBe("cells.pdf");
+    expect(questions[4]).toMatchObject({ type: "fill_blank", correct: "mitochondrion", citation: { excerpt: expect.stringContaining("powerhouse") } });
+  });
+
+  it("answers flashcard and grading prompts in their own shapes", async () => {
+    const cards = parseJsonReply(await withTimers(() => completeText(mock, 'Generate 3 flashcards. Reply with {"cards": []}')));
+    expect(cards.cards).toHaveLength(3);
+    const grades = parseJsonReply(await withTimers(() => completeText(mock, 'Reply with {"grades": []}\n1. QUESTION: a\n2. QUESTION: b')));
+    expect(grades.grades.map((g) => g.index)).toEqual([1, 2]);
+  });
+
+  it("reads the text parts of a multimodal prompt and uses an offered figure", async () => {
+    const prompt = [{ type: "text", text: "Generate exactly 1 questions. Figure F1 shows a cell." }, { type: "image", dataUrl: "data:image/png;base64,AAAA" }];
+    const { questions } = parseJsonReply(await withTimers(() => completeText(mock, prompt)));
+    expect(questions[0].figure).toBe("F1");
+  });
+
+  it("streams the same reply it would return whole", async () => {
+    const pieces = [];
+    const text = await withTimers(() => streamText(mock, "Generate exactly 2 questions.", { onText: (t) => pieces.push(t) }));
+    expect(pieces.length).toBeGreaterThan(1);
+    expect(pieces.join("")).toBe(text);
+    expect(parseJsonReply(text).questions).toHaveLength(2);
+  });
+
+  it("stops when aborted", async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await expect(withTimers(() => completeText(mock, "Generate exactly 1 questions.", { signal: controller.signal }))).rejects.toThrow("Aborted");
+  });
+});
+
+describe("request errors", () => {
+  it("reports the status and the provider's message", async () => {
+    vi.stubGlobal("fetch", vi.fn(async () => jsonResponse({ error: { message: "invalid x-api-key" } }, 401)));
+    const err = await completeText(anthropic, "hi").catch((e) => e);
+    expect(err.message).toBe("Model request failed (401): invalid x-api-key");
+    expect(err.status).toBe(401);
+  });
+
+  it("accepts a plain string error or message field", async () => {
+    vi.stubGlobal("fetch", vi.fn(async () => jsonResponse({ error: "model not found" }, 404)));
+    await expect(completeText(openai, "hi")).rejects.toThrow("Model request failed (404): model not found");
+    vi.stubGlobal("fetch", vi.fn(async () => jsonResponse({ message: "slow down" }, 429)));
+    await expect(completeText(openai, "hi")).rejects.toMatchObject({ status: 429, message: "Model request failed (429): slow down" });
+  });
+
+  it("falls back to the bare status when the body isn't JSON", async () => {
+    vi.stubGlobal("fetch", vi.fn(async () => new Response("<html>Bad gateway</html>", { status: 502 })));
+    await expect(streamText(openai, "hi")).rejects.toMatchObject({ status: 502, message: "Model request failed (502)" });
+  });
+});
+
+describe("streamText", () => {
+  it("joins Anthropic deltas split across chunk boundaries", async () => {
+    const fetch = vi.fn(async () => sseResponse([
+      'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"text":"Hel"}}\n\n',
+      'data: {"type":"content_block_delta","del',
+      'ta":{"text":"lo"}}\n\ndata: {"type":"message_stop"}\n\n',
+    ]));
+    vi.stubGlobal("fetch", fetch);
+    const pieces = [];
+    expect(await streamText(anthropic, "hi", { onText: (t) => pieces.push(t) })).toBe("Hello");
+    expect(pieces).toEqual(["Hel", "lo"]);
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toMatchObject({ stream: true });
+  });
+
+  it("throws on an Anthropic error event", async () => {
+    vi.stubGlobal("fetch", vi.fn(async () => sseResponse(['data: {"type":"error","error":{"message":"overloaded"}}\n\n'])));
+    await expect(streamText(anthropic, "hi")).rejects.toThrow("Model request failed: overloaded");
+  });
+
+  it("reads chat completion deltas and skips [DONE], comments and malformed lines", async () => {
+    vi.stubGlobal("fetch", vi.fn(async () => sseResponse([
+      ': keep-alive\n',
+      'data: {"choices":[{"delta":{"role":"assistant"}}]}\n',
+      'data: {"choices":[{"delta":{"content":"4"}}]}\r\n',
+      'data: not json\n',
+      'data: {"choices":[{"delta":{"content":"2"}}]}\n',
+      'data: [DONE]\n',
+    ])));
+    expect(await streamText(openai, "hi")).toBe("42");
+  });
+});
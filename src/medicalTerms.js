@@ -0,0 +1,83 @@
+// ─── MEDICAL TERMS ────────────────────────────────────────────────────────
+// Curated biomedical vocabulary for topic extraction. A phrase on this list
+// counts as a topic even if it is rare in the material, and keeps the casing
+// written here ("ACE Inhibitors", "Loop of Henle"). Plurals match singulars.
+// Entries are at most three words, the longest phrase topics are built from.
+
+export const MEDICAL_TERMS = [
+  // Cardiovascular
+  "Heart Failure", "Myocardial Infarction", "Acute Coronary Syndrome", "Angina", "Atherosclerosis", "Hypertension", "Hypotension",
+  "Arrhythmia", "Atrial Fibrillation", "Atrial Flutter", "Ventricular Tachycardia", "Ventricular Fibrillation", "Heart Block", "Bradycardia", "Tachycardia",
+  "Cardiac Output", "Stroke Volume", "Preload", "Afterload", "Ejection Fraction", "Cardiac Cycle", "Action Potential", "Frank-Starling",
+  "Cardiomyopathy", "Pericarditis", "Endocarditis", "Myocarditis", "Valvular Disease", "Aortic Stenosis", "Mitral Regurgitation", "Mitral Stenosis",
+  "Aortic Dissection", "Aneurysm", "Shock", "Baroreceptor Reflex", "Electrocardiogram", "ECG", "Congenital Heart Disease",
+  // Respiratory
+  "Asthma", "COPD", "Emphysema", "Chronic Bronchitis", "Pneumonia", "Tuberculosis", "Pulmonary Embolism", "Pulmonary Fibrosis",
+  "Pulmonary Hypertension", "Pleural Effusion", "Pneumothorax", "ARDS", "Cystic Fibrosis", "Lung Cancer", "Ventilation", "Perfusion",
+  "V/Q Mismatch", "Lung Compliance", "Surfactant", "Spirometry", "Gas Exchange", "Oxygen Dissociation Curve", "Hypoxemia", "Hypercapnia",
+  // Renal and acid–base
+  "Nephron", "Glomerulus", "Glomerular Filtration Rate", "GFR", "Loop of Henle", "Proximal Tubule", "Distal Tubule", "Collecting Duct",
+  "Renin-Angiotensin-Aldosterone System", "RAAS", "Acute Kidney Injury", "Chronic Kidney Disease", "Nephrotic Syndrome", "Nephritic Syndrome",
+  "Glomerulonephritis", "Kidney Stones", "Urinary Tract Infection", "Diuretics", "Loop Diuretics", "Thiazide Diuretics", "Acid-Base Balance",
+  "Metabolic Acidosis", "Metabolic Alkalosis", "Respiratory Acidosis", "Respiratory Alkalosis", "Anion Gap", "Hyponatremia", "Hypernatremia",
+  "Hyperkalemia", "Hypokalemia", "Hypocalcemia", "Hypercalcemia", "Electrolytes", "Antidiuretic Hormone", "ADH",
+  // Gastrointestinal and hepatic
+  "Peptic Ulcer Disease", "Gastroesophageal Reflux", "GERD", "Helicobacter pylori", "Inflammatory Bowel Disease", "Crohn's Disease",
+  "Ulcerative Colitis", "Irritable Bowel Syndrome", "Celiac Disease", "Pancreatitis", "Cholecystitis", "Cirrhosis", "Hepatitis",
+  "Portal Hypertension", "Jaundice", "Bilirubin", "Liver Function Tests", "Colorectal Cancer", "Appendicitis", "Bowel Obstruction",
+  "Gastrointestinal Bleeding", "Malabsorption", "Digestion", "Absorption",
+  // Endocrine and metabolism
+  "Diabetes Mellitus", "Type 1 Diabetes", "Type 2 Diabetes", "Diabetic Ketoacidosis", "Insulin", "Glucagon", "Insulin Resistance",
+  "Hypoglycemia", "Hyperglycemia", "Thyroid", "Hyperthyroidism", "Hypothyroidism", "Graves' Disease", "Hashimoto's Thyroiditis",
+  "Adrenal Insufficiency", "Cushing's Syndrome", "Addison's Disease", "Hyperaldosteronism", "Pheochromocytoma", "Cortisol", "Aldosterone",
+  "Pituitary", "Hypothalamus", "Growth Hormone", "Prolactin", "Parathyroid Hormone", "Vitamin D", "Calcium Homeostasis", "Osteoporosis",
+  "Metabolic Syndrome", "Obesity", "Glycolysis", "Gluconeogenesis", "Glycogenolysis", "Krebs Cycle", "Citric Acid Cycle",
+  "Oxidative Phosphorylation", "Electron Transport Chain", "Beta Oxidation", "Fatty Acid Synthesis", "Urea Cycle", "Pentose Phosphate Pathway",
+  "Lipoproteins", "Cholesterol", "Ketone Bodies", "Lysosomal Storage Diseases", "Glycogen Storage Diseases",
+  // Hematology and oncology
+  "Anemia", "Iron Deficiency Anemia", "Megaloblastic Anemia", "Hemolytic Anemia", "Sickle Cell Disease", "Thalassemia", "Hemoglobin",
+  "Hemostasis", "Coagulation Cascade", "Platelets", "Thrombocytopenia", "Hemophilia", "Von Willebrand Disease", "Disseminated Intravascular Coagulation",
+  "DIC", "Thrombosis", "Deep Vein Thrombosis", "Anticoagulants", "Leukemia", "Lymphoma", "Multiple Myeloma", "Neutropenia",
+  "Blood Transfusion", "Blood Groups", "Carcinogenesis", "Oncogenes", "Tumor Suppressor Genes", "Metastasis", "Neoplasia", "Apoptosis",
+  "Cell Cycle", "Chemotherapy", "Breast Cancer", "Prostate Cancer", "Tumor Markers",
+  // Immunology and infection
+  "Innate Immunity", "Adaptive Immunity", "T Cells", "B Cells", "Antibodies", "Immunoglobulins", "Complement System", "Cytokines",
+  "Major Histocompatibility Complex", "MHC", "Hypersensitivity", "Anaphylaxis", "Autoimmunity", "Immunodeficiency", "HIV", "AIDS",
+  "Transplant Rejection", "Vaccination", "Inflammation", "Acute Inflammation", "Chronic Inflammation", "Sepsis", "Fever",
+  "Bacteria", "Gram-Positive Bacteria", "Gram-Negative Bacteria", "Viruses", "Fungi", "Parasites", "Malaria", "Staphylococcus aureus",
+  "Streptococcus", "Escherichia coli", "MRSA", "Antibiotic Resistance", "Meningitis", "Sexually Transmitted Infections", "Influenza",
+  // Neurology and psychiatry
+  "Stroke", "Ischemic Stroke", "Hemorrhagic Stroke", "Transient Ischemic Attack", "Epilepsy", "Seizures", "Parkinson's Disease",
+  "Alzheimer's Disease", "Dementia", "Multiple Sclerosis", "Myasthenia Gravis", "Guillain-Barré Syndrome", "Peripheral Neuropathy",
+  "Migraine", "Headache", "Spinal Cord", "Cranial Nerves", "Brainstem", "Cerebellum", "Basal Ganglia", "Cerebral Cortex", "Blood-Brain Barrier",
+  "Neurotransmitters", "Synapse", "Autonomic Nervous System", "Sympathetic Nervous System", "Parasympathetic Nervous System",
+  "Upper Motor Neuron", "Lower Motor Neuron", "Reflexes", "Intracranial Pressure", "Depression", "Bipolar Disorder", "Schizophrenia",
+  "Anxiety Disorders", "Substance Use Disorders", "Delirium",
+  // Musculoskeletal and skin
+  "Osteoarthritis", "Rheumatoid Arthritis", "Gout", "Systemic Lupus Erythematosus", "Ankylosing Spondylitis", "Fractures", "Osteomyelitis",
+  "Muscle Contraction", "Sliding Filament", "Neuromuscular Junction", "Bone Remodeling", "Psoriasis", "Eczema", "Melanoma", "Wound Healing", "Burns",
+  // Reproductive, obstetrics and pediatrics
+  "Menstrual Cycle", "Pregnancy", "Preeclampsia", "Gestational Diabetes", "Placenta", "Labor", "Infertility", "Contraception", "Menopause",
+  "Polycystic Ovary Syndrome", "Spermatogenesis", "Oogenesis", "Embryology", "Fetal Circulation", "Neonatal Jaundice", "Developmental Milestones",
+  // Pharmacology
+  "Pharmacokinetics", "Pharmacodynamics", "Bioavailability", "Half-Life", "Volume of Distribution", "Clearance", "First-Pass Metabolism",
+  "Drug Interactions", "Adverse Drug Reactions", "Cytochrome P450", "Therapeutic Index", "Dose-Response Curve", "Agonists", "Antagonists",
+  "Receptors", "ACE Inhibitors", "Angiotensin Receptor Blockers", "ARBs", "Beta Blockers", "Calcium Channel Blockers", "Statins", "Nitrates",
+  "Digoxin", "Antiarrhythmics", "Antiplatelets", "Aspirin", "Heparin", "Warfarin", "DOACs", "Thrombolytics", "Opioids", "NSAIDs",
+  "Corticosteroids", "Antibiotics", "Beta-Lactams", "Penicillins", "Cephalosporins", "Macrolides", "Aminoglycosides", "Fluoroquinolones",
+  "Tetracyclines", "Vancomycin", "Antivirals", "Antifungals", "Antidepressants", "SSRIs", "Antipsychotics", "Benzodiazepines",
+  "Anticonvulsants", "Anesthetics", "Local Anesthetics", "Muscle Relaxants", "Cholinergic Drugs", "Anticholinergics", "Adrenergic Drugs",
+  "Proton Pump Inhibitors", "Immunosuppressants", "Biologics", "Monoclonal Antibodies", "Insulin Therapy", "Metformin",
+  // Cell biology, genetics and biochemistry
+  "Cell Membrane", "Membrane Transport", "Ion Channels", "Signal Transduction", "G Protein-Coupled Receptors", "Second Messengers",
+  "Mitochondria", "Endoplasmic Reticulum", "Golgi Apparatus", "Cytoskeleton", "DNA Replication", "Transcription", "Translation",
+  "Gene Expression", "DNA Repair", "Mutations", "Mendelian Inheritance", "Autosomal Dominant", "Autosomal Recessive", "X-Linked",
+  "Chromosomal Abnormalities", "Down Syndrome", "Genetic Testing", "Epigenetics", "Enzymes", "Enzyme Kinetics", "Michaelis-Menten",
+  "Amino Acids", "Proteins", "Carbohydrates", "Lipids", "Nucleotides", "Vitamins", "Homeostasis", "Negative Feedback",
+  // Pathology and clinical practice
+  "Cell Injury", "Necrosis", "Hypertrophy", "Hyperplasia", "Atrophy", "Metaplasia", "Dysplasia", "Edema", "Ischemia", "Infarction",
+  "Embolism", "Hemorrhage", "Amyloidosis", "Fibrosis", "Differential Diagnosis", "History Taking", "Physical Examination", "Vital Signs",
+  "Sensitivity", "Specificity", "Positive Predictive Value", "Negative Predictive Value", "Incidence", "Prevalence", "Relative Risk",
+  "Odds Ratio", "Number Needed to Treat", "Study Design", "Randomized Controlled Trial", "Cohort Study", "Case-Control Study", "Bias",
+  "Confounding", "Screening", "Medical Ethics", "Informed Consent", "Confidentiality", "Resuscitation", "Triage", "Fluid Management",
+];
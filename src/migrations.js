@@ -0,0 +1,94 @@
+// ─── MIGRATIONS ───────────────────────────────────────────────────────────
+// Schema changes to stored data, applied in order by storage.js when it is
+// opened. Each runs once: the storage remembers the last version applied.
+// A migration gets the storage adapter and { legacy }, the host's
+// window.storage if there is one, where older versions of the app kept
+// every collection as one JSON value per key.
+
+import { gradeAnswer } from "./grading.js";
+import { newReviewState, scheduleReview } from "./srs.js";
+import { migrateQuestionIds } from "./questionIdentity.js";
+
+const newId = () => crypto.randomUUID?.() || Math.random().toString(36).slice(2);
+
+const byId = (records) => records.map((r) => [r.id, r]);
+
+// Keys the app used before storage had a schema
+const LEGACY_COLLECTIONS = ["courses", "exams", "documents", "quizzes", "attempts"];
+const LEGACY_SETTINGS = ["user", "llmSettings", "semanticSearch", "uploadLimits"];
+
+async function readLegacy(legacy, key) {
+  try {
+    const r = await legacy.get(key);
+    return r ? JSON.parse(r.value) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Data saved before review scheduling existed: every previously missed question is enrolled as of its
+// attempt date, under the prompt-keyed review key of the time (the next migration re-keys it)
+function enrolMissedQuestions(quizzes, attempts) {
+  const reviews = {};
+  for (const attempt of [...attempts].sort((a, b) => a.date - b.date)) {
+    const quiz = quizzes.find((q) => q.id === attempt.quizId);
+    for (const q of quiz?.questions || []) {
+      if (gradeAnswer(q, attempt.answers?.[q.prompt]).correct) continue;
+      const key = `q:${quiz.examId}:${q.prompt}`;
+      reviews[key] = scheduleReview(reviews[key] || newReviewState(key, quiz.examId, "question", q, attempt.date), "again", attempt.date);
+    }
+  }
+  return reviews;
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: "one record per item",
+    async up(db, { legacy }) {
+      if (!legacy) return;
+      const collections = {};
+      for (const store of LEGACY_COLLECTIONS) {
+        collections[store] = (await readLegacy(legacy, store)) || [];
+        await db.put(store, byId(collections[store]));
+      }
+      const progress = (await readLegacy(legacy, "savedProgress")) || {};
+      await db.put("progress", Object.entries(progress));
+      const reviews = (await readLegacy(legacy, "reviewState")) || enrolMissedQuestions(collections.quizzes, collections.attempts);
+      await db.put("reviews", Object.entries(reviews));
+      for (const key of LEGACY_SETTINGS) {
+        const value = await readLegacy(legacy, key);
+        if (value !== null) await db.put("settings", [[key, value]]);
+      }
+      // Figures were kept under "figure:<id>"
+      const figureKeys = ((await legacy.list("figure:").catch(() => null))?.keys || []).filter((k) => k.startsWith("figure:"));
+      for (const key of figureKeys) {
+        const dataUrl = await readLegacy(legacy, key);
+        if (dataUrl) await db.put("figures", [[key.slice("figure:".length), dataUrl]]);
+      }
+      // Stored in the same place, the old copies would only use up the host's quota
+      if (db.name === "window.storage") {
+        for (const key of [...LEGACY_COLLECTIONS, "savedProgress", "reviewState", ...LEGACY_SETTINGS, ...figureKeys]) await legacy.delete(key).catch(() => {});
+      }
+    },
+  },
+  {
+    version: 2,
+    name: "question ids",
+    async up(db) {
+      const values = async (store) => (await db.entries(store)).map(([, value]) => value);
+      const migrated = migrateQuestionIds({
+        quizzes: await values("quizzes"),
+        attempts: await values("attempts"),
+        savedProgress: Object.fromEntries(await db.entries("progress")),
+        reviewStates: Object.fromEntries(await db.entries("reviews")),
+      }, newId);
+      if (!migrated) return;
+      await db.put("quizzes", byId(migrated.quizzes));
+      await db.put("attempts", byId(migrated.attempts));
+      await db.put("progress", Object.entries(migrated.savedProgress));
+      await db.clear("reviews");
+      await db.put("reviews", Object.entries(migrated.reviewStates));
+    },
+  },
+];
@@ -0,0 +1,96 @@
+import { describe, expect, it } from "vitest";
+import { MIGRATIONS } from "./migrations.js";
+import { createMemoryAdapter, createStorage } from "./storage.js";
+import { questionHash } from "./questionIdentity.js";
+
+// The host's window.storage as older versions of the app left it: one JSON value per key
+function legacyStorage(values) {
+  const data = new Map(Object.entries(values).map(([key, value]) => [key, JSON.stringify(value)]));
+  return {
+    data,
+    get: async (key) => (data.has(key) ? { key, value: data.get(key) } : null),
+    list: async (prefix) => ({ keys: [...data.keys()].filter((k) => k.startsWith(prefix)) }),
+    delete: async (key) => { data.delete(key); },
+  };
+}
+
+const entriesOf = async (adapter, store) => Object.fromEntries(await adapter.entries(store));
+
+const question = { type: "multiple_choice", topic: "Renal", prompt: "Where does furosemide act?", options: ["PCT", "Loop of Henle"], correct: "Loop of Henle", explanation: "" };
+
+describe("v1: one record per item", () => {
+  it("imports every legacy collection, setting and figure", async () => {
+    const legacy = legacyStorage({
+      courses: [{ id: "c1", name: "Pharm" }],
+      exams: [{ id: "e1", courseId: "c1", name: "Block 1" }],
+      documents: [],
+      quizzes: [{ id: "z1", examId: "e1", questions: [question], created: 1 }],
+      attempts: [{ id: "t1", quizId: "z1", answers: { [question.prompt]: "PCT" }, date: Date.UTC(2024, 0, 1) }],
+      savedProgress: { z1: { answers: {}, currentQ: 0 } },
+      llmSettings: { provider: "mock" },
+      "figure:f1": "data:image/jpeg;base64,AAAA",
+    });
+    const adapter = createMemoryAdapter();
+    await createStorage(() => adapter, { migrations: MIGRATIONS.slice(0, 1), context: { legacy } }).open();
+
+    expect(await entriesOf(adapter, "courses")).toEqual({ c1: { id: "c1", name: "Pharm" } });
+    expect(Object.keys(await entriesOf(adapter, "quizzes"))).toEqual(["z1"]);
+    expect(await entriesOf(adapter, "progress")).toEqual({ z1: { answers: {}, currentQ: 0 } });
+    expect(await entriesOf(adapter, "settings")).toEqual({ llmSettings: { provider: "mock" } });
+    expect(await entriesOf(adapter, "figures")).toEqual({ f1: "data:image/jpeg;base64,AAAA" });
+    // Missed questions are enrolled for review under the prompt-keyed key of the time
+    const reviews = await entriesOf(adapter, "reviews");
+    expect(Object.keys(reviews)).toEqual([`q:e1:${question.prompt}`]);
+    expect(reviews[`q:e1:${question.prompt}`]).toMatchObject({ kind: "question", lapses: 1 });
+    // The legacy copies stay where they are unless they share the new storage
+    expect(legacy.data.has("quizzes")).toBe(true);
+  });
+
+  it("keeps a legacy review queue instead of rebuilding it, and does nothing without legacy data", async () => {
+    const legacy = legacyStorage({ reviewState: { "q:e1:x": { key: "q:e1:x", kind: "question" } } });
+    const adapter = createMemoryAdapter();
+    await createStorage(() => adapter, { migrations: MIGRATIONS.slice(0, 1), context: { legacy } }).open();
+    expect(Object.keys(await entriesOf(adapter, "reviews"))).toEqual(["q:e1:x"]);
+
+    const empty = createMemoryAdapter();
+    await createStorage(() => empty, { migrations: MIGRATIONS.slice(0, 1) }).open();
+    expect(await empty.get("meta", "schemaVersion")).toBe(1);
+    expect(await entriesOf(empty, "quizzes")).toEqual({});
+  });
+});
+
+describe("v2: question ids", () => {
+  it("gives questions ids and re-keys answers, progress and reviews by them", async () => {
+    const adapter = createMemoryAdapter();
+    await adapter.put("meta", [["schemaVersion", 1]]);
+    await adapter.put("quizzes", [["z1", { id: "z1", examId: "e1", questions: [question] }], ["z2", { id: "z2", examId: "e1", questions: [question] }]]);
+    await adapter.put("attempts", [["t1", { id: "t1", quizId: "z1", answers: { [question.prompt]: "PCT" }, overrides: { [question.prompt]: 1 } }]]);
+    await adapter.put("progress", [["z2", { answers: { [question.prompt]: "Loop of Henle" } }]]);
+    const reviewKey = `q:e1:${question.prompt}`;
+    await adapter.put("reviews", [[reviewKey, { key: reviewKey, examId: "e1", kind: "question", item: question, lapses: 1 }]]);
+
+    await createStorage(() => adapter, { migrations: MIGRATIONS }).open();
+
+    const quizzes = await entriesOf(adapter, "quizzes");
+    const { id, hash } = quizzes.z1.questions[0];
+    expect(id).toEqual(expect.any(String));
+    expect(hash).toBe(questionHash(question));
+    // The same question in a retake of the exam keeps its id
+    expect(quizzes.z2.questions[0].id).toBe(id);
+    expect((await entriesOf(adapter, "attempts")).t1).toMatchObject({ answers: { [id]: "PCT" }, overrides: { [id]: 1 } });
+    expect((await entriesOf(adapter, "progress")).z2.answers).toEqual({ [id]: "Loop of Henle" });
+    const reviews = await entriesOf(adapter, "reviews");
+    expect(Object.keys(reviews)).toEqual([`q:e1:${id}`]);
+    expect(reviews[`q:e1:${id}`]).toMatchObject({ key: `q:e1:${id}`, lapses: 1, item: { id } });
+    expect(await adapter.get("meta", "schemaVersion")).toBe(2);
+  });
+
+  it("leaves data that already has ids alone", async () => {
+    const adapter = createMemoryAdapter();
+    await adapter.put("meta", [["schemaVersion", 1]]);
+    const quiz = { id: "z1", examId: "e1", questions: [{ ...question, id: "q1", hash: questionHash(question) }] };
+    await adapter.put("quizzes", [["z1", quiz]]);
+    await createStorage(() => adapter, { migrations: MIGRATIONS }).open();
+    expect(await adapter.get("quizzes", "z1")).toEqual(quiz);
+  });
+});
@@ -0,0 +1,98 @@
+// ─── LEARNING OBJECTIVES ──────────────────────────────────────────────────
+// An exam's objectives are a list of { id, text, added }, typed or pasted by the
+// student or picked out of a syllabus or lecture's "Learning objectives"
+// section. Generated questions are tagged with the objectives they assess;
+// for questions written before an objective was added, their wording is
+// matched against it instead, so the coverage report counts them too.
+
+import { tokenize } from "./retrieval.js";
+import { gradeAttempt } from "./grading.js";
+
+// Lines that introduce a list of objectives rather than being one
+const OBJECTIVES_HEADING = /^(?:(?:specific\s+)?learning\s+(?:objectives|outcomes|goals)|(?:session|lecture|course)?\s*objectives|outcomes|by the end of (?:this|the) .*|students? (?:will|should) be able to.*|you (?:will|should) be able to.*)[:.]?$/i;
+const LIST_MARKER = /^\s*(?:[-•*▪◦‣–]|\(?(?:\d{1,2}|[a-z]|[ivx]{1,4})[.)]|(?:LO|O)\s*\d+[.:)]?)\s+/i;
+// Objectives usually open with an action verb
+const OBJECTIVE_VERB = /^(?:analy[sz]e|apply|appraise|assess|calculate|classify|compare|construct|contrast|define|demonstrate|describe|determine|diagnose|differentiate|discuss|distinguish|evaluate|explain|identify|interpret|justify|label|list|manage|name|outline|predict|recall|recogni[sz]e|relate|select|state|summari[sz]e|understand|use)\b/i;
+// Words every objective has, so they say nothing about which one a question tests
+const OBJECTIVE_WORDS = new Set(tokenize("analyse analyze apply appraise assess calculate classify compare construct contrast define demonstrate describe determine diagnose differentiate discuss distinguish evaluate explain identify interpret justify label list manage name outline predict recall recognise recognize relate select state summarise summarize understand use able students should will key main role including between their"));
+// Share of an objective's content words a question has to mention to count as assessing it
+const MATCH_SHARE = 0.5;
+
+const cleanItem = (line) => line.replace(LIST_MARKER, "").replace(/\s+/g, " ").trim();
+
+// One objective per list item or line; wrapped lines that continue an item are joined to it
+export function parseObjectives(text) {
+  const items = [];
+  for (const raw of String(text || "").split("\n")) {
+    const line = raw.trim();
+    if (!line || OBJECTIVES_HEADING.test(line)) continue;
+    if (items.length > 0 && !LIST_MARKER.test(line) && /^[a-z(]/.test(line)) items[items.length - 1] += " " + line;
+    else items.push(cleanItem(line));
+  }
+  return [...new Set(items.filter((item) => item.length >= 8))];
+}
+
+// The objectives listed in a document: the items under an objectives heading, whether that's a
+// section heading or a line of text ("By the end of this lecture you should be able to:")
+export function findObjectives(chunks) {
+  const found = [];
+  let collecting = false;
+  let lastHeading = "";
+  for (const chunk of chunks) {
+    const heading = [...(chunk.headings || []), chunk.title].filter(Boolean).join(" › ");
+    if (heading !== lastHeading) collecting = OBJECTIVES_HEADING.test(heading.split(" › ").pop() || "");
+    lastHeading = heading;
+    for (const raw of chunk.text.split("\n")) {
+      const line = raw.trim();
+      if (OBJECTIVES_HEADING.test(line)) { collecting = true; continue; }
+      if (!collecting) continue;
+      if (LIST_MARKER.test(line) || OBJECTIVE_VERB.test(line)) found.push(cleanItem(line));
+      else if (found.length > 0 && /^[a-z(]/.test(line)) found[found.length - 1] += " " + line;
+      else if (found.length > 0) collecting = false;
+    }
+  }
+  return [...new Set(found.filter((item) => item.length >= 8))];
+}
+
+// Keeps the ids of objectives whose text is unchanged, so questions stay tagged with them
+export const mergeObjectives = (texts, previous = [], newId) => texts.map((text) => previous.find((o) => o.text === text) || { id: newId(), text, added: Date.now() });
+
+const contentWords = (text) => new Set(tokenize(text).filter((w) => w.length > 2 && !OBJECTIVE_WORDS.has(w)));
+
+// The objectives a question assesses: of those that existed when it was written (`created`), the ones
+// it was tagged with; of the others, the ones most of whose content words it mentions
+export function questionObjectives(question, objectives, created = 0) {
+  const tagged = Array.isArray(question.objectiveIds);
+  let words;
+  return objectives.filter((o) => {
+    if (tagged && (o.added || 0) <= created) return question.objectiveIds.includes(o.id);
+    words ||= contentWords([question.topic, question.prompt, question.explanation, question.citation?.excerpt].join(" "));
+    const wanted = [...contentWords(o.text)];
+    return wanted.length > 0 && wanted.filter((w) => words.has(w)).length >= Math.max(1, Math.ceil(wanted.length * MATCH_SHARE));
+  }).map((o) => o.id);
+}
+
+// Per objective: how many questions assess it, how often they were answered, the share of points
+// earned on them (mastery) and when it was last tested. `tested` is false until a question is answered.
+export function objectiveCoverage(objectives, quizzes, attempts) {
+  const report = new Map(objectives.map((o) => [o.id, { objective: o, questions: 0, answered: 0, score: 0, lastTested: null }]));
+  const tags = new Map();
+  for (const quiz of quizzes) {
+    tags.set(quiz.id, (quiz.questions || []).map((q) => questionObjectives(q, objectives, quiz.created)));
+    for (const ids of tags.get(quiz.id)) for (const id of ids) report.get(id).questions++;
+  }
+  for (const attempt of attempts) {
+    const quiz = quizzes.find((q) => q.id === attempt.quizId);
+    if (!quiz || attempt.gradingPending) continue;
+    const { results } = gradeAttempt(quiz.questions || [], attempt.answers, attempt);
+    results.forEach((result, i) => {
+      for (const id of tags.get(quiz.id)[i]) {
+        const r = report.get(id);
+        r.answered++;
+        r.score += result.score;
+        r.lastTested = Math.max(r.lastTested || 0, attempt.date);
+      }
+    });
+  }
+  return [...report.values()].map((r) => ({ ...r, tested: r.answered > 0, mastery: r.answered > 0 ? r.score / r.answered : null }));
+}
@@ -0,0 +1,62 @@
+// ─── OCR ──────────────────────────────────────────────────────────────────
+// Scanned PDF pages, screenshot slides and pictures of text have no text
+// layer. They are rendered or decoded to images and read with tesseract.js,
+// which does the recognition in its own worker. Extraction only calls this
+// for pages and sections with less text than MIN_TEXT_LAYER; PDF pages are
+// rendered in the extraction worker and read here from the image. The
+// tesseract.js worker, its wasm engine and the English model are bundled, so
+// OCR works offline and under a strict CSP.
+
+import { renderPdfPage } from "./figures.js";
+
+export const MIN_TEXT_LAYER = 40;
+// Tesseract misses small print at the PDF's native size
+const RENDER_SCALE = 2;
+// Photos and diagrams come back as low-confidence noise
+const MIN_CONFIDENCE = 50;
+
+let ocrWorker = null;
+
+async function createTesseractWorker() {
+  const [{ default: Tesseract }, { default: workerUrl }, { default: coreUrl }, { default: langUrl }] = await Promise.all([
+    import("tesseract.js"),
+    import("tesseract.js/dist/worker.min.js?url"),
+    // The SIMD build; every current browser supports WebAssembly SIMD
+    import("tesseract.js-core/tesseract-core-simd-lstm.wasm.js?url"),
+    import("@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz?url"),
+  ]);
+  // The worker loads the engine with importScripts, which needs absolute URLs
+  const absolute = (url) => new URL(url, import.meta.url).href;
+  return Tesseract.createWorker("eng", Tesseract.OEM.LSTM_ONLY, {
+    workerPath: absolute(workerUrl),
+    corePath: absolute(coreUrl),
+    langPath: absolute(langUrl).replace(/\/[^/]*$/, ""),
+    workerBlobURL: false,
+  });
+}
+
+function getWorker() {
+  ocrWorker ||= createTesseractWorker().catch((err) => {
+    ocrWorker = null;
+    throw err;
+  });
+  return ocrWorker;
+}
+
+// Text recognized in an image (canvas, Blob or data URL), or "" if nothing legible
+export async function recognizeImage(image) {
+  const worker = await getWorker();
+  const { data } = await worker.recognize(image);
+  const text = data.text.replace(/[ \t]+/g, " ").replace(/\n{3,}/g, "\n\n").trim();
+  return data.confidence >= MIN_CONFIDENCE && /[\p{L}\p{N}]{2,}/u.test(text) ? text : "";
+}
+
+// A scanned PDF page as a PNG Blob for recognizeImage
+export async function scanPdfPage(page) {
+  const canvas = await renderPdfPage(page, RENDER_SCALE);
+  try {
+    return await canvas.convertToBlob();
+  } finally {
+    canvas.width = canvas.height = 0;
+  }
+}
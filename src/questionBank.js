@@ -0,0 +1,120 @@
+// ─── QUESTION BANK ────────────────────────────────────────────────────────
+// An exam's questions in one place: every question of its quizzes, once
+// each, and the ones the student wrote by hand (kept on the exam). Editing a
+// question changes every copy of it and regrades the attempts that answered
+// it, so a wrong answer key can be fixed after the fact. Deleted questions
+// stay in the quizzes that asked them, so past scores still add up, but
+// leave the bank and the review queue.
+
+import { gradeAttempt } from "./grading.js";
+import { QUESTION_TYPES } from "./quizValidation.js";
+import { questionHash } from "./questionIdentity.js";
+
+// Entries: { question, ids, quizIds, authored, lastUsed }. Copies of a question (retakes reuse its id;
+// the same content generated twice has two ids) make one entry showing the latest version.
+export function bankEntries(quizzes, authored = [], removedIds = []) {
+  const removed = new Set(removedIds);
+  const entries = [];
+  const byKey = new Map();
+  const add = (q, quiz) => {
+    if (removed.has(q.id)) return;
+    const hash = q.hash || questionHash(q);
+    let entry = byKey.get(q.id) || byKey.get(hash);
+    if (!entry) {
+      entry = { question: q, ids: [], quizIds: [], authored: !quiz, lastUsed: q.created || 0 };
+      entries.push(entry);
+    }
+    if (!entry.ids.includes(q.id)) entry.ids.push(q.id);
+    if (quiz) {
+      if (!entry.quizIds.includes(quiz.id)) entry.quizIds.push(quiz.id);
+      if (quiz.created >= entry.lastUsed) Object.assign(entry, { question: q, lastUsed: quiz.created });
+    }
+    byKey.set(q.id, entry);
+    byKey.set(hash, entry);
+  };
+  for (const q of authored) add(q, null);
+  for (const quiz of [...quizzes].sort((a, b) => a.created - b.created)) for (const q of quiz.questions || []) add(q, quiz);
+  return entries.sort((a, b) => b.lastUsed - a.lastUsed);
+}
+
+const trimmed = (list) => (Array.isArray(list) ? list.map((s) => String(s).trim()).filter(Boolean) : []);
+
+// Checks a question written or edited by hand. `draft` has the question's fields, with options,
+// acceptedAnswers and rubric as lists; the other fields of `original` (id, figure, objectives) are kept,
+// and so is its citation while the source and excerpt are unchanged. Returns { question } or { error }.
+export function checkAuthoredQuestion(draft, original = {}) {
+  if (!QUESTION_TYPES.includes(draft.type)) return { error: "Choose a question type." };
+  const prompt = String(draft.prompt || "").trim();
+  if (!prompt) return { error: "Write the question." };
+  const q = { ...original, type: draft.type, topic: String(draft.topic || "").trim() || "General", prompt, options: null, correct: null, acceptedAnswers: null, rubric: null, explanation: String(draft.explanation || "").trim() };
+
+  if (q.type === "multiple_choice" || q.type === "select_all") {
+    const options = trimmed(draft.options);
+    if (options.length < 2) return { error: "Add at least two options." };
+    if (new Set(options).size !== options.length) return { error: "Two options say the same thing." };
+    q.options = options;
+    if (q.type === "multiple_choice") {
+      if (!options.includes(draft.correct)) return { error: "Mark the correct option." };
+      q.correct = draft.correct;
+    } else {
+      q.correct = options.filter((o) => trimmed(draft.correct).includes(o));
+      if (q.correct.length === 0) return { error: "Mark at least one correct option." };
+    }
+  } else {
+    q.correct = String(draft.correct || "").trim();
+    if (!q.correct) return { error: "Write the answer." };
+    if (q.type === "fill_blank" && trimmed(draft.acceptedAnswers).length > 0) q.acceptedAnswers = trimmed(draft.acceptedAnswers);
+    if (q.type === "short_answer" && trimmed(draft.rubric).length > 0) q.rubric = trimmed(draft.rubric);
+  }
+
+  const fileName = String(draft.citation?.fileName || "").trim();
+  const excerpt = String(draft.citation?.excerpt || "").trim();
+  if (!fileName && !excerpt) q.citation = null;
+  else if (fileName !== (original.citation?.fileName || "") || excerpt !== (original.citation?.excerpt || "")) q.citation = { fileName, excerpt };
+  return { question: { ...q, hash: questionHash(q) } };
+}
+
+// Answers name the option they chose, so an option reworded by an edit must be renamed in them. Options
+// are matched by position, and only where the old text is gone and the new text is new: removing or
+// reordering options shifts positions without renaming anything.
+function renamedOptions(before, after) {
+  if (!before.options || !after.options) return new Map();
+  return new Map(before.options
+    .map((option, i) => [option, after.options[i]])
+    .filter(([option, renamed]) => renamed !== undefined && !after.options.includes(option) && !before.options.includes(renamed)));
+}
+
+const renameAnswer = (answer, renamed) => (Array.isArray(answer) ? answer.map((a) => renamed.get(a) ?? a) : renamed.get(answer) ?? answer);
+
+// Puts `question` in place of every copy of it (`ids`, each copy keeping its own id) in the quizzes, the
+// authored questions and the review queue, renames reworded options in the answers of attempts and
+// saved progress, and regrades the attempts at quizzes that asked it
+export function updateBankQuestion({ quizzes, attempts, savedProgress = {}, reviewStates, authored }, ids, question) {
+  const idSet = new Set(ids);
+  const replace = (q) => (idSet.has(q.id) ? { ...question, id: q.id } : q);
+  const changed = new Map();
+  // Quiz id → question id → renamed options, since each copy may be a different version of the question
+  const renames = new Map();
+  const nextQuizzes = quizzes.map((quiz) => {
+    if (!(quiz.questions || []).some((q) => idSet.has(q.id))) return quiz;
+    const next = { ...quiz, questions: quiz.questions.map(replace) };
+    changed.set(quiz.id, next);
+    renames.set(quiz.id, new Map(quiz.questions.filter((q) => idSet.has(q.id)).map((q) => [q.id, renamedOptions(q, question)])));
+    return next;
+  });
+  const renameAnswers = (quizId, answers) => answers && Object.fromEntries(Object.entries(answers).map(([id, answer]) => {
+    const renamed = renames.get(quizId).get(id);
+    return [id, renamed ? renameAnswer(answer, renamed) : answer];
+  }));
+  const regrade = (a) => {
+    const answers = renameAnswers(a.quizId, a.answers);
+    return { ...a, answers, score: gradeAttempt(changed.get(a.quizId).questions, answers, a).score };
+  };
+  return {
+    quizzes: nextQuizzes,
+    attempts: attempts.map((a) => (changed.has(a.quizId) ? regrade(a) : a)),
+    savedProgress: Object.fromEntries(Object.entries(savedProgress).map(([quizId, p]) => [quizId, changed.has(quizId) ? { ...p, answers: renameAnswers(quizId, p.answers) } : p])),
+    reviewStates: Object.fromEntries(Object.entries(reviewStates).map(([key, s]) => [key, s.kind === "question" && idSet.has(s.item.id) ? { ...s, item: replace(s.item) } : s])),
+    authored: authored.map(replace),
+  };
+}
@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import { bankEntries, checkAuthoredQuestion, updateBankQuestion } from "./questionBank.js";
+
+const mc = { id: "q1", type: "multiple_choice", prompt: "Which drug is a loop diuretic?", options: ["Furosemid", "Spironolactone", "Mannitol"], correct: "Furosemid" };
+const sata = { id: "q2", type: "select_all", prompt: "Which act on the kidney?", options: ["Furosemid", "Aspirin", "Mannitol"], correct: ["Furosemid", "Mannitol"] };
+
+const state = () => ({
+  quizzes: [{ id: "z1", examId: "e1", created: 1, questions: [mc, sata] }],
+  attempts: [{ id: "t1", quizId: "z1", answers: { q1: "Furosemid", q2: ["Furosemid", "Mannitol"] }, score: 2 }],
+  savedProgress: { z1: { answers: { q1: "Furosemid" }, currentQ: 1 } },
+  reviewStates: {},
+  authored: [],
+});
+
+describe("updateBankQuestion", () => {
+  it("renames a reworded option in past answers and saved progress, so scores stay", () => {
+    const next = updateBankQuestion(state(), ["q1"], { ...mc, options: ["Furosemide", "Spironolactone", "Mannitol"], correct: "Furosemide" });
+    expect(next.attempts[0].answers).toEqual({ q1: "Furosemide", q2: ["Furosemid", "Mannitol"] });
+    expect(next.attempts[0].score).toBe(2);
+    expect(next.savedProgress.z1).toEqual({ answers: { q1: "Furosemide" }, currentQ: 1 });
+  });
+
+  it("renames options inside select-all answers", () => {
+    const next = updateBankQuestion(state(), ["q2"], { ...sata, options: ["Furosemide", "Aspirin", "Mannitol"], correct: ["Furosemide", "Mannitol"] });
+    expect(next.attempts[0].answers.q2).toEqual(["Furosemide", "Mannitol"]);
+    expect(next.attempts[0].score).toBe(2);
+  });
+
+  it("doesn't rename anything when options are only removed or reordered", () => {
+    const removed = updateBankQuestion(state(), ["q1"], { ...mc, options: ["Spironolactone", "Mannitol"], correct: "Mannitol" });
+    expect(removed.attempts[0].answers.q1).toBe("Furosemid");
+    expect(removed.attempts[0].score).toBe(1);
+    const reordered = updateBankQuestion(state(), ["q1"], { ...mc, options: ["Mannitol", "Furosemid", "Spironolactone"] });
+    expect(reordered.attempts[0].answers.q1).toBe("Furosemid");
+    expect(reordered.attempts[0].score).toBe(2);
+  });
+
+  it("regrades attempts when the answer key changes", () => {
+    const next = updateBankQuestion(state(), ["q1"], { ...mc, correct: "Mannitol" });
+    expect(next.attempts[0].score).toBe(1);
+    expect(next.quizzes[0].questions[0]).toMatchObject({ id: "q1", correct: "Mannitol" });
+  });
+
+  it("leaves other quizzes' attempts and progress alone", () => {
+    const s = state();
+    s.quizzes.push({ id: "z2", examId: "e1", created: 2, questions: [{ ...mc, id: "q9", prompt: "Another?" }] });
+    s.savedProgress.z2 = { answers: { q9: "Furosemid" } };
+    const next = updateBankQuestion(s, ["q1"], { ...mc, options: ["Furosemide", "Spironolactone", "Mannitol"], correct: "Furosemide" });
+    expect(next.savedProgress.z2).toBe(s.savedProgress.z2);
+    expect(next.quizzes[1]).toBe(s.quizzes[1]);
+  });
+});
+
+describe("bankEntries", () => {
+  it("lists each question once, latest version first, without removed ones", () => {
+    const quizzes = [
+      { id: "z1", created: 1, questions: [mc, sata] },
+      { id: "z2", created: 2, questions: [{ ...mc, explanation: "edited" }] },
+    ];
+    const entries = bankEntries(quizzes, [], ["q2"]);
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({ ids: ["q1"], quizIds: ["z1", "z2"], question: { explanation: "edited" } });
+  });
+});
+
+describe("checkAuthoredQuestion", () => {
+  it("requires a marked answer among distinct options", () => {
+    expect(checkAuthoredQuestion({ type: "multiple_choice", prompt: "Q?", options: ["A", "A"], correct: "A" }).error).toBe("Two options say the same thing.");
+    expect(checkAuthoredQuestion({ type: "multiple_choice", prompt: "Q?", options: ["A", "B"], correct: "C" }).error).toBe("Mark the correct option.");
+    const { question } = checkAuthoredQuestion({ type: "select_all", prompt: " Q? ", options: ["A", " B ", ""], correct: ["B"] });
+    expect(question).toMatchObject({ prompt: "Q?", options: ["A", "B"], correct: ["B"], topic: "General", hash: expect.any(String) });
+  });
+});
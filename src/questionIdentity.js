@@ -0,0 +1,83 @@
+// ─── QUESTION IDENTITY ────────────────────────────────────────────────────
+// Every question has an id that answers, attempts, saved progress and review
+// states are keyed by, and a hash of its content (type, prompt, options and
+// answer). The id stays when a question is edited or reused in a retake; the
+// hash tells whether two questions are the same. Data saved before questions
+// had ids was keyed by prompt text and is re-keyed by a storage migration.
+
+import { questionReviewKey } from "./srs.js";
+
+// 53-bit string hash (cyrb53), hex encoded
+function hashString(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, "0");
+}
+
+export const questionHash = (q) => hashString(JSON.stringify([q.type, q.prompt.trim(), q.options || null, q.correct]));
+
+export const withQuestionId = (q, newId) => ({ ...q, id: q.id || newId(), hash: questionHash(q) });
+
+// Re-keys an object keyed by prompt (answers, rubricGrades, overrides) by question id; keys that are already ids stay
+function rekey(values, questions) {
+  if (!values) return values;
+  const out = {};
+  for (const [key, value] of Object.entries(values)) {
+    const byPrompt = questions.filter((q) => q.prompt === key && !(q.id in values));
+    if (byPrompt.length === 0) out[key] = value;
+    for (const q of byPrompt) out[q.id] = value;
+  }
+  return out;
+}
+
+// Gives stored questions without an id one and re-keys whatever referred to them by prompt. Questions of
+// an exam with the same content (a retake reusing a missed question) get the same id, except within a quiz.
+// Returns null when everything already has ids.
+export function migrateQuestionIds({ quizzes, attempts, savedProgress, reviewStates }, newId) {
+  const needsIds = (q) => !q.id || !q.hash;
+  const legacyReviews = Object.values(reviewStates || {}).filter((s) => s.kind === "question" && needsIds(s.item));
+  if (!quizzes.some((quiz) => (quiz.questions || []).some(needsIds)) && legacyReviews.length === 0) return null;
+
+  const ids = new Map();
+  const idFor = (examId, q) => {
+    const key = `${examId}:${questionHash(q)}`;
+    if (!ids.has(key)) ids.set(key, newId());
+    return ids.get(key);
+  };
+
+  const migratedQuizzes = quizzes.map((quiz) => {
+    const used = new Set();
+    const questions = (quiz.questions || []).map((q) => {
+      let id = q.id || idFor(quiz.examId, q);
+      if (used.has(id)) id = newId();
+      used.add(id);
+      return { ...q, id, hash: questionHash(q) };
+    });
+    return { ...quiz, questions };
+  });
+  const questionsOf = (quizId) => migratedQuizzes.find((q) => q.id === quizId)?.questions || [];
+
+  const migratedAttempts = attempts.map((a) => {
+    const questions = questionsOf(a.quizId);
+    return { ...a, answers: rekey(a.answers, questions), rubricGrades: rekey(a.rubricGrades, questions), overrides: rekey(a.overrides, questions) };
+  });
+
+  const migratedProgress = Object.fromEntries(Object.entries(savedProgress || {}).map(([quizId, saved]) => [quizId, { ...saved, answers: rekey(saved.answers, questionsOf(quizId)) }]));
+
+  const migratedReviews = {};
+  for (const [key, state] of Object.entries(reviewStates || {})) {
+    if (state.kind !== "question" || !needsIds(state.item)) { migratedReviews[key] = state; continue; }
+    const item = { ...state.item, id: state.item.id || idFor(state.examId, state.item), hash: questionHash(state.item) };
+    const newKey = questionReviewKey(state.examId, item);
+    migratedReviews[newKey] = { ...state, key: newKey, item };
+  }
+
+  return { quizzes: migratedQuizzes, attempts: migratedAttempts, savedProgress: migratedProgress, reviewStates: migratedReviews };
+}
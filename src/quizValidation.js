@@ -0,0 +1,179 @@
+// ─── GENERATED QUIZ VALIDATION ────────────────────────────────────────────
+// Model replies are checked question by question against the schema for
+// their type. Fixable problems (option letters or indexes instead of option
+// text, a select-all answer given as a string, stray whitespace) are
+// repaired; anything else, an unknown question type included, is dropped. Truncated replies keep every complete question.
+
+export const QUESTION_TYPES = ["multiple_choice", "select_all", "fill_blank", "short_answer"];
+
+const TYPE_ALIASES = {
+  mcq: "multiple_choice", multiple_choice: "multiple_choice", multiplechoice: "multiple_choice", single_choice: "multiple_choice",
+  select_all: "select_all", select_all_that_apply: "select_all", multi_select: "select_all", multiple_select: "select_all", multiple_response: "select_all",
+  fill_blank: "fill_blank", fill_in_the_blank: "fill_blank", fill_in_blank: "fill_blank", cloze: "fill_blank",
+  short_answer: "short_answer", free_response: "short_answer", open_ended: "short_answer",
+};
+
+const str = (v) => (typeof v === "string" ? v.trim() : typeof v === "number" ? String(v) : "");
+const strList = (v) => (Array.isArray(v) ? v.map(str).filter(Boolean) : null);
+
+// Incremental scanner for the "questions" array of a reply that is still streaming in (or was cut off).
+// push() takes the next piece of text and returns every question object completed by it.
+export function createQuestionStreamParser() {
+  let text = "";
+  let pos = -1, depth = 0, inString = false, escaped = false, objStart = -1, done = false;
+  return {
+    push(delta) {
+      text += delta;
+      const found = [];
+      if (pos === -1) {
+        const m = text.match(/"questions"\s*:\s*\[/);
+        if (!m) return found;
+        pos = m.index + m[0].length;
+      }
+      for (; pos < text.length && !done; pos++) {
+        const ch = text[pos];
+        if (inString) {
+          if (escaped) escaped = false;
+          else if (ch === "\\") escaped = true;
+          else if (ch === '"') inString = false;
+          continue;
+        }
+        if (ch === '"') inString = true;
+        else if (ch === "{") { if (depth === 0) objStart = pos; depth++; }
+        else if (ch === "}") {
+          depth--;
+          if (depth === 0 && objStart !== -1) {
+            try { found.push(JSON.parse(text.slice(objStart, pos + 1))); } catch { /* a malformed question is skipped */ }
+            objStart = -1;
+          }
+        } else if (ch === "]" && depth === 0) done = true;
+      }
+      return found;
+    },
+  };
+}
+
+const salvageQuestions = (text) => createQuestionStreamParser().push(text);
+
+export function parseQuizReply(text) {
+  const cleaned = String(text || "").replace(/```json|```/g, "").trim();
+  try {
+    const parsed = JSON.parse(cleaned.slice(Math.max(0, cleaned.search(/[[{]/))));
+    if (Array.isArray(parsed)) return { questions: parsed, truncated: false };
+    return { questions: Array.isArray(parsed?.questions) ? parsed.questions : [], truncated: false };
+  } catch {
+    return { questions: salvageQuestions(cleaned), truncated: true };
+  }
+}
+
+// A type the model names must be one we know; only a missing type is guessed from the answer's shape
+function normalizeType(raw) {
+  const key = str(raw.type).toLowerCase().replace(/[^a-z]+/g, "_").replace(/^_|_$/g, "");
+  if (key) return TYPE_ALIASES[key] || null;
+  if (Array.isArray(raw.options) && raw.options.length > 0) return Array.isArray(raw.correct) ? "select_all" : "multiple_choice";
+  return str(raw.correct).split(/\s+/).length > 4 ? "short_answer" : "fill_blank";
+}
+
+// Map an answer to the option it names: exact text, case-insensitive text, a letter like "B" / "B)",
+// or a JSON number as a 0-based index
+function matchOption(answer, options) {
+  const a = str(answer);
+  if (!a) return null;
+  if (options.includes(a)) return a;
+  const ci = options.find((o) => o.toLowerCase() === a.toLowerCase());
+  if (ci) return ci;
+  if (typeof answer === "number") return Number.isInteger(answer) ? options[answer] ?? null : null;
+  const letter = a.match(/^\(?([A-Ha-h])[).:]?$/)?.[1];
+  if (letter) return options[letter.toUpperCase().charCodeAt(0) - 65] || null;
+  const prefixed = a.match(/^\(?([A-Ha-h])[).:]\s+(.+)$/);
+  if (prefixed) return matchOption(prefixed[2], options);
+  return null;
+}
+
+function matchFileName(name, fileNames) {
+  if (!name || fileNames.length === 0) return name;
+  if (fileNames.includes(name)) return name;
+  const lower = name.toLowerCase();
+  return fileNames.find((f) => f.toLowerCase() === lower || f.toLowerCase().startsWith(lower.replace(/\.\w+$/, ""))) || name;
+}
+
+// Returns the repaired question, or { error } explaining why it was dropped
+export function validateQuestion(raw, { fileNames = [] } = {}) {
+  if (!raw || typeof raw !== "object") return { error: "not an object" };
+  const type = normalizeType(raw);
+  if (!type) return { error: "unknown question type" };
+  const prompt = str(raw.prompt || raw.question).replace(/\s*\(?select all that apply\.?\)?\s*/gi, " ").trim();
+  if (!prompt) return { error: "missing prompt" };
+
+  const q = {
+    type,
+    topic: str(raw.topic) || "General",
+    prompt,
+    options: null,
+    correct: null,
+    acceptedAnswers: strList(raw.acceptedAnswers),
+    rubric: type === "short_answer" ? strList(raw.rubric) : null,
+    explanation: str(raw.explanation),
+  };
+
+  if (type === "multiple_choice" || type === "select_all") {
+    const options = [...new Set(strList(raw.options) || [])];
+    if (options.length < 2) return { error: "fewer than two options" };
+    q.options = options;
+    q.acceptedAnswers = null;
+    if (type === "multiple_choice") {
+      const answer = matchOption(Array.isArray(raw.correct) && raw.correct.length === 1 ? raw.correct[0] : raw.correct, options);
+      if (!answer) return { error: "correct answer is not one of the options" };
+      q.correct = answer;
+    } else {
+      let answers = Array.isArray(raw.correct) ? raw.correct : [raw.correct];
+      // "A, C" or "Option 1; Option 3" given as a single string
+      if (answers.length === 1 && typeof answers[0] === "string" && !matchOption(answers[0], options)) answers = answers[0].split(/\s*[,;]\s*/);
+      const matched = [...new Set(answers.map((a) => matchOption(a, options)).filter(Boolean))];
+      if (matched.length === 0) return { error: "no correct answers among the options" };
+      q.correct = matched;
+    }
+  } else {
+    const correct = Array.isArray(raw.correct) ? strList(raw.correct).join(", ") : str(raw.correct);
+    if (!correct) return { error: "missing answer" };
+    q.correct = correct;
+  }
+
+  // Label of the figure the question is about ("F1"); the generator maps it to the stored figure
+  if (str(raw.figure)) q.figure = str(raw.figure).toUpperCase();
+  // Labels of the learning objectives it assesses ("O2"); the generator maps them to the exam's objectives
+  const objectives = strList(raw.objectives);
+  if (objectives) q.objectives = objectives.map((o) => o.toUpperCase());
+
+  const citation = raw.citation && typeof raw.citation === "object" ? raw.citation : null;
+  const excerpt = str(citation?.excerpt);
+  if (!excerpt) return { error: "missing citation" };
+  const fileName = matchFileName(str(citation.fileName), fileNames) || (fileNames.length === 1 ? fileNames[0] : "");
+  q.citation = { fileName, excerpt };
+  return { question: q };
+}
+
+// Validates questions one at a time (as they stream in) and drops duplicates of `existingPrompts`
+// or of each other. accept() returns the repaired question, or null with the reason in `dropped`.
+export function createQuestionValidator({ fileNames = [], existingPrompts = [] } = {}) {
+  const seen = new Set(existingPrompts.map((p) => p.toLowerCase()));
+  const dropped = [];
+  return {
+    dropped,
+    accept(item) {
+      const { question, error } = validateQuestion(item, { fileNames });
+      if (error) { dropped.push(error); return null; }
+      const key = question.prompt.toLowerCase();
+      if (seen.has(key)) { dropped.push("duplicate question"); return null; }
+      seen.add(key);
+      return question;
+    },
+  };
+}
+
+export function validateQuizReply(text, options) {
+  const { questions: raw, truncated } = parseQuizReply(text);
+  const validator = createQuestionValidator(options);
+  const questions = raw.map((item) => validator.accept(item)).filter(Boolean);
+  return { questions, dropped: validator.dropped, truncated };
+}
@@ -0,0 +1,106 @@
+import { describe, expect, it } from "vitest";
+import { createQuestionStreamParser, createQuestionValidator, parseQuizReply, validateQuestion, validateQuizReply } from "./quizValidation.js";
+
+const citation = { fileName: "renal.pdf", excerpt: "Furosemide acts on the thick ascending limb." };
+const mc = { type: "multiple_choice", topic: "Renal", prompt: "Where does furosemide act?", options: ["PCT", "Thick ascending limb", "Collecting duct"], correct: "Thick ascending limb", explanation: "Loop diuretic.", citation };
+const fill = { type: "fill_blank", prompt: "Furosemide is a ____ diuretic.", correct: "loop", citation };
+
+describe("createQuestionStreamParser", () => {
+  it("hands over each question as soon as it is complete, however the text is split", () => {
+    const text = JSON.stringify({ questions: [mc, { ...fill, prompt: 'Say "loop" {twice}' }, fill] });
+    const parser = createQuestionStreamParser();
+    const found = [];
+    for (let i = 0; i < text.length; i += 7) found.push(...parser.push(text.slice(i, i + 7)));
+    expect(found).toEqual([mc, { ...fill, prompt: 'Say "loop" {twice}' }, fill]);
+  });
+
+  it("ignores text before the questions array and after it ends", () => {
+    const parser = createQuestionStreamParser();
+    expect(parser.push('{"note": {"a": 1}, "questions": [')).toEqual([]);
+    expect(parser.push(`${JSON.stringify(fill)}], "extra": {"b": 2}}`)).toEqual([fill]);
+  });
+});
+
+describe("parseQuizReply", () => {
+  it("reads a fenced reply or a bare array", () => {
+    expect(parseQuizReply("```json\n" + JSON.stringify({ questions: [mc] }) + "\n```")).toEqual({ questions: [mc], truncated: false });
+    expect(parseQuizReply("Here you go: " + JSON.stringify([fill]))).toEqual({ questions: [fill], truncated: false });
+  });
+
+  it("salvages the complete questions before a cut-off", () => {
+    const text = JSON.stringify({ questions: [mc, fill, mc] });
+    const cut = text.slice(0, text.lastIndexOf('"options"'));
+    expect(parseQuizReply(cut)).toEqual({ questions: [mc, fill], truncated: true });
+  });
+
+  it("skips a malformed question in a truncated reply and keeps the rest", () => {
+    const text = `{"questions": [${JSON.stringify(mc)}, {"type": "fill_blank", "prompt": oops}, ${JSON.stringify(fill)}, {"type":`;
+    expect(parseQuizReply(text)).toEqual({ questions: [mc, fill], truncated: true });
+  });
+});
+
+describe("validateQuestion", () => {
+  it("keeps a well-formed question", () => {
+    expect(validateQuestion(mc).question).toMatchObject({ type: "multiple_choice", correct: "Thick ascending limb", citation });
+  });
+
+  it.each([
+    ["a letter", "B"],
+    ["a letter with a bracket", "(b)"],
+    ["a letter and the text", "B) thick ascending limb"],
+    ["a 0-based index", 1],
+    ["a one-item list", ["B"]],
+  ])("maps a correct answer given as %s to the option text", (_, correct) => {
+    expect(validateQuestion({ ...mc, correct }).question.correct).toBe("Thick ascending limb");
+  });
+
+  it("maps select-all answers given as letters, indexes or one string", () => {
+    const sata = { ...mc, type: "select all that apply" };
+    expect(validateQuestion({ ...sata, correct: ["A", "C"] }).question).toMatchObject({ type: "select_all", correct: ["PCT", "Collecting duct"] });
+    expect(validateQuestion({ ...sata, correct: [0, 2] }).question.correct).toEqual(["PCT", "Collecting duct"]);
+    expect(validateQuestion({ ...sata, correct: "A, C" }).question.correct).toEqual(["PCT", "Collecting duct"]);
+  });
+
+  it("drops answers that name no option", () => {
+    expect(validateQuestion({ ...mc, correct: "E" }).error).toBe("correct answer is not one of the options");
+    expect(validateQuestion({ ...mc, correct: 5 }).error).toBe("correct answer is not one of the options");
+    expect(validateQuestion({ ...mc, type: "select_all", correct: ["Loop"] }).error).toBe("no correct answers among the options");
+  });
+
+  it("merges duplicate options and drops questions left with fewer than two", () => {
+    expect(validateQuestion({ ...mc, options: ["PCT", " PCT ", "Thick ascending limb"] }).question.options).toEqual(["PCT", "Thick ascending limb"]);
+    expect(validateQuestion({ ...mc, options: ["PCT", "PCT"], correct: "PCT" }).error).toBe("fewer than two options");
+  });
+
+  it("accepts type aliases and guesses a missing type, but rejects unknown types", () => {
+    expect(validateQuestion({ ...fill, type: "Fill in the blank" }).question.type).toBe("fill_blank");
+    expect(validateQuestion({ ...mc, type: "MCQ" }).question.type).toBe("multiple_choice");
+    expect(validateQuestion({ ...mc, type: undefined, correct: ["PCT"] }).question.type).toBe("select_all");
+    expect(validateQuestion({ ...fill, type: undefined, correct: "It blocks the Na-K-2Cl cotransporter" }).question.type).toBe("short_answer");
+    expect(validateQuestion({ ...fill, type: "essay" }).error).toBe("unknown question type");
+    expect(validateQuestion({ ...mc, type: "matching" }).error).toBe("unknown question type");
+  });
+
+  it("requires a prompt, an answer and a cited excerpt, matching the file name to an upload", () => {
+    expect(validateQuestion({ ...fill, prompt: " " }).error).toBe("missing prompt");
+    expect(validateQuestion({ ...fill, correct: "" }).error).toBe("missing answer");
+    expect(validateQuestion({ ...fill, citation: { fileName: "renal.pdf" } }).error).toBe("missing citation");
+    expect(validateQuestion({ ...fill, citation: { ...citation, fileName: "Renal" } }, { fileNames: ["renal.pdf", "cardio.pdf"] }).question.citation.fileName).toBe("renal.pdf");
+  });
+});
+
+describe("createQuestionValidator", () => {
+  it("drops repeats of earlier prompts and of each other, saying why", () => {
+    const validator = createQuestionValidator({ existingPrompts: [mc.prompt.toUpperCase()] });
+    expect(validator.accept(mc)).toBeNull();
+    expect(validator.accept(fill)).not.toBeNull();
+    expect(validator.accept(fill)).toBeNull();
+    expect(validator.accept({ ...fill, type: "essay", prompt: "New?" })).toBeNull();
+    expect(validator.dropped).toEqual(["duplicate question", "duplicate question", "unknown question type"]);
+  });
+
+  it("validates a whole reply", () => {
+    const text = JSON.stringify({ questions: [mc, { ...mc, options: ["only one"] }, fill] }).slice(0, -3);
+    expect(validateQuizReply(text)).toMatchObject({ questions: [{ prompt: mc.prompt }], dropped: ["fewer than two options"], truncated: true });
+  });
+});
@@ -0,0 +1,91 @@
+// ─── CHUNK RETRIEVAL ──────────────────────────────────────────────────────
+// Ranks chunks for drill mode, focus topics, flashcards and missed-question
+// retakes. Keyword ranking is BM25 over whole words, so "MI" matches "MI" and
+// "renal" no longer matches "adrenal". When the document vectors from the
+// embedding worker are available, cosine similarity to the query is blended
+// in so passages that say the same thing in other words rank too. If the
+// query can't be embedded (the model failed to download, say), ranking falls
+// back to keywords alone.
+
+const K1 = 1.2;
+const B = 0.75;
+const SEMANTIC_WEIGHT = 0.6;
+// Below this cosine similarity a passage only counts if it also matches keywords
+const MIN_SIMILARITY = 0.35;
+
+const STOP_WORDS = new Set(["the", "a", "an", "and", "or", "of", "in", "on", "at", "to", "for", "with", "by", "is", "are", "was", "were", "be", "it", "its", "as", "that", "this", "from", "which", "what", "how", "why", "does", "do"]);
+
+const stem = (w) => (w.length > 3 && /[^su]s$/.test(w) ? w.slice(0, -1) : w);
+
+export const tokenize = (text) => (String(text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter((w) => !STOP_WORDS.has(w)).map(stem);
+
+export function buildIndex(chunks) {
+  const df = new Map();
+  const docs = chunks.map((chunk) => {
+    const tf = new Map();
+    const words = tokenize(chunk.text);
+    for (const w of words) tf.set(w, (tf.get(w) || 0) + 1);
+    for (const w of tf.keys()) df.set(w, (df.get(w) || 0) + 1);
+    return { chunk, tf, len: words.length };
+  });
+  const avgLen = docs.reduce((sum, d) => sum + d.len, 0) / (docs.length || 1);
+  return { docs, df, avgLen };
+}
+
+function bm25Scores(index, query) {
+  const terms = [...new Set(tokenize(query))];
+  const n = index.docs.length;
+  return index.docs.map(({ tf, len }) => {
+    let score = 0;
+    for (const t of terms) {
+      const f = tf.get(t);
+      if (!f) continue;
+      const df = index.df.get(t);
+      const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+      score += idf * (f * (K1 + 1)) / (f + K1 * (1 - B + B * len / (index.avgLen || 1)));
+    }
+    return score;
+  });
+}
+
+// Vectors from the embedding worker are already normalized, so the dot product is the cosine
+const dot = (a, b) => {
+  let s = 0;
+  for (let i = 0; i < a.length; i++) s += a[i] * b[i];
+  return s;
+};
+
+// `vectors` maps chunk id → embedding; `embed(texts)` resolves to one vector per text
+export function createRetriever(chunks, { vectors, embed } = {}) {
+  const index = buildIndex(chunks);
+  let semantic = embed && vectors && chunks.some((c) => vectors[c.id]);
+  return {
+    async search(query, topK = 5) {
+      const keyword = bm25Scores(index, query);
+      const maxKeyword = Math.max(0, ...keyword);
+      let similarity = null;
+      if (semantic) {
+        try {
+          const [q] = await embed([query]);
+          similarity = chunks.map((c) => (vectors[c.id] ? dot(q, vectors[c.id]) : 0));
+        } catch (err) {
+          // Not retried for later searches: a model that won't load would slow every one of them down
+          semantic = false;
+          console.warn("Semantic search unavailable, using keywords only:", err);
+        }
+      }
+      return chunks
+        .map((chunk, i) => {
+          const k = maxKeyword > 0 ? keyword[i] / maxKeyword : 0;
+          if (!similarity) return { chunk, score: k };
+          const s = similarity[i];
+          if (k === 0 && s < MIN_SIMILARITY) return { chunk, score: 0 };
+          return { chunk, score: (1 - SEMANTIC_WEIGHT) * k + SEMANTIC_WEIGHT * Math.max(0, s) };
+        })
+        .filter((r) => r.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK)
+        .map((r) => r.chunk);
+    },
+  };
+}
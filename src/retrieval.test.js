@@ -0,0 +1,34 @@
+import { describe, expect, it, vi } from "vitest";
+import { createRetriever, tokenize } from "./retrieval.js";
+
+const chunks = [
+  { id: "a", text: "Adrenal glands sit on top of the kidneys and make cortisol." },
+  { id: "b", text: "Renal blood flow is autoregulated by the afferent arteriole." },
+  { id: "c", text: "Myocardial infarction presents with crushing chest pain." },
+];
+const ids = (found) => found.map((c) => c.id);
+
+describe("keyword search", () => {
+  it("matches whole words only", async () => {
+    expect(tokenize("The Kidneys' renal tubules")).toEqual(["kidney", "renal", "tubule"]);
+    expect(ids(await createRetriever(chunks).search("renal"))).toEqual(["b"]);
+  });
+});
+
+describe("semantic search", () => {
+  const vectors = { a: [1, 0], b: [0, 1], c: [0.6, 0.8] };
+
+  it("ranks passages that say the same thing in other words", async () => {
+    const embed = vi.fn(async () => [[0, 1]]);
+    expect(ids(await createRetriever(chunks, { vectors, embed }).search("kidney perfusion", 2))).toEqual(["b", "c"]);
+  });
+
+  it("falls back to keywords when the query can't be embedded, and stops trying", async () => {
+    const embed = vi.fn(async () => { throw new Error("Failed to fetch model"); });
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const retriever = createRetriever(chunks, { vectors, embed });
+    expect(ids(await retriever.search("renal"))).toEqual(["b"]);
+    expect(ids(await retriever.search("chest pain"))).toEqual(["c"]);
+    expect(embed).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,75 @@
+// ─── SPACED REPETITION SCHEDULER ──────────────────────────────────────────
+// SM-2 style scheduling. Every missed question and flashcard gets its own
+// review state (ease, interval in days, due date, lapses) that is updated
+// after each answer. Due dates are snapped to the start of a day so the
+// study page can show a simple "due today" queue.
+
+export const REVIEW_GRADES = [
+  { id: "again", label: "Again" },
+  { id: "hard", label: "Hard" },
+  { id: "good", label: "Good" },
+  { id: "easy", label: "Easy" },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+const startOfDay = (t) => { const d = new Date(t); d.setHours(0, 0, 0, 0); return d.getTime(); };
+
+export const questionReviewKey = (examId, q) => `q:${examId}:${q.id}`;
+export const flashcardReviewKey = (examId, card) => `f:${examId}:${card.id}`;
+
+export function newReviewState(key, examId, kind, item, now = Date.now()) {
+  return { key, examId, kind, item, ease: DEFAULT_EASE, interval: 0, reps: 0, lapses: 0, due: startOfDay(now), lastReviewed: null };
+}
+
+export function scheduleReview(state, grade, now = Date.now()) {
+  let { ease, interval, reps, lapses } = state;
+  if (grade === "again") {
+    lapses++;
+    reps = 0;
+    interval = 1;
+    ease = Math.max(MIN_EASE, ease - 0.2);
+  } else {
+    reps++;
+    if (grade === "hard") ease = Math.max(MIN_EASE, ease - 0.15);
+    if (grade === "easy") ease += 0.15;
+    if (reps === 1) interval = grade === "easy" ? 4 : 1;
+    else if (reps === 2) interval = grade === "hard" ? 3 : grade === "easy" ? 8 : 6;
+    else {
+      const factor = grade === "hard" ? 1.2 : grade === "easy" ? ease * 1.3 : ease;
+      interval = Math.max(interval + 1, Math.round(interval * factor));
+    }
+  }
+  return {
+    ...state,
+    ease: Math.round(ease * 100) / 100,
+    interval,
+    reps,
+    lapses,
+    due: startOfDay(now) + interval * DAY_MS,
+    lastReviewed: now,
+  };
+}
+
+export const isDue = (state, now = Date.now()) => state.due < startOfDay(now) + DAY_MS;
+
+export function dueReviews(states, examId, kind, now = Date.now()) {
+  return Object.values(states)
+    .filter((s) => s.examId === examId && s.kind === kind && isDue(s, now))
+    .sort((a, b) => a.due - b.due);
+}
+
+// Number of items falling due on each of the next `days` days (today excluded)
+export function reviewForecast(states, examId, days = 7, now = Date.now()) {
+  const today = startOfDay(now);
+  const forecast = Array.from({ length: days }, (_, i) => ({ date: today + (i + 1) * DAY_MS, questions: 0, flashcards: 0 }));
+  for (const s of Object.values(states)) {
+    if (s.examId !== examId) continue;
+    const offset = Math.round((startOfDay(s.due) - today) / DAY_MS) - 1;
+    if (offset < 0 || offset >= days) continue;
+    forecast[offset][s.kind === "flashcard" ? "flashcards" : "questions"]++;
+  }
+  return forecast;
+}
@@ -0,0 +1,248 @@
+// ─── STORAGE ──────────────────────────────────────────────────────────────
+// Persistent storage, one record per course, exam, document, quiz, attempt,
+// review state and figure, so saving a change writes only the records that
+// changed. The data lives in IndexedDB; the host's window.storage and an
+// in-memory store are available as adapters for sandboxes without IndexedDB
+// and for tests. The schema has a version, and migrations bring older data
+// up to it in order when storage is opened. Errors, quota errors especially,
+// are reported to listeners instead of being swallowed.
+
+// Every adapter has these stores, each a map from key to a JSON-compatible value
+export const STORES = ["meta", "settings", "courses", "exams", "documents", "quizzes", "attempts", "progress", "reviews", "figures"];
+
+const DB_NAME = "med-track-quizzer";
+
+const isQuotaError = (err) => err?.name === "QuotaExceededError" || /quota|exceed|too large/i.test(String(err?.message || err));
+
+// ── Adapters ──
+// An adapter has async get(store, key), entries(store) → [[key, value]], put(store, [[key, value]]),
+// delete(store, keys) and clear(store).
+
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+export function createIndexedDBAdapter(name = DB_NAME, factory = globalThis.indexedDB) {
+  let db = null;
+  const open = () => {
+    db ||= new Promise((resolve, reject) => {
+      const req = factory.open(name, 1);
+      req.onupgradeneeded = () => {
+        for (const store of STORES) if (!req.result.objectStoreNames.contains(store)) req.result.createObjectStore(store);
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+      req.onblocked = () => reject(new Error("The database is open in an older version of the app in another tab"));
+    }).catch((err) => {
+      db = null;
+      throw err;
+    });
+    return db;
+  };
+  const transaction = async (store, mode, run) => {
+    const tx = (await open()).transaction(store, mode);
+    const result = run(tx.objectStore(store));
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+    });
+    return result;
+  };
+  return {
+    name: "IndexedDB",
+    open,
+    async get(store, key) {
+      return (await transaction(store, "readonly", (s) => request(s.get(key)))) ?? null;
+    },
+    async entries(store) {
+      const [keys, values] = await transaction(store, "readonly", (s) => Promise.all([request(s.getAllKeys()), request(s.getAll())]));
+      return keys.map((key, i) => [key, values[i]]);
+    },
+    put: (store, entries) => transaction(store, "readwrite", (s) => { for (const [key, value] of entries) s.put(value, key); }),
+    delete: (store, keys) => transaction(store, "readwrite", (s) => { for (const key of keys) s.delete(key); }),
+    clear: (store) => transaction(store, "readwrite", (s) => { s.clear(); }),
+  };
+}
+
+// The host's key-value storage, with each record under "store:key" as JSON
+export function createWindowStorageAdapter(storage = globalThis.window?.storage) {
+  const storageKey = (store, key) => `${store}:${key}`;
+  const keysOf = async (store) => ((await storage.list(`${store}:`))?.keys || []).filter((k) => k.startsWith(`${store}:`));
+  return {
+    name: "window.storage",
+    async get(store, key) {
+      const r = await storage.get(storageKey(store, key));
+      return r ? JSON.parse(r.value) : null;
+    },
+    async entries(store) {
+      const out = [];
+      for (const k of await keysOf(store)) {
+        const r = await storage.get(k);
+        if (r) out.push([k.slice(store.length + 1), JSON.parse(r.value)]);
+      }
+      return out;
+    },
+    async put(store, entries) {
+      for (const [key, value] of entries) await storage.set(storageKey(store, key), JSON.stringify(value));
+    },
+    async delete(store, keys) {
+      for (const key of keys) await storage.delete(storageKey(store, key));
+    },
+    async clear(store) {
+      for (const k of await keysOf(store)) await storage.delete(k);
+    },
+  };
+}
+
+// Keeps copies, as IndexedDB does, so callers can't change stored records by mutating their objects
+export function createMemoryAdapter() {
+  const stores = new Map(STORES.map((s) => [s, new Map()]));
+  const copy = (value) => (value === undefined ? null : structuredClone(value));
+  return {
+    name: "memory",
+    stores,
+    get: async (store, key) => copy(stores.get(store).get(key)),
+    entries: async (store) => [...stores.get(store)].map(([key, value]) => [key, copy(value)]),
+    put: async (store, entries) => { for (const [key, value] of entries) stores.get(store).set(key, copy(value)); },
+    delete: async (store, keys) => { for (const key of keys) stores.get(store).delete(key); },
+    clear: async (store) => { stores.get(store).clear(); },
+  };
+}
+
+// IndexedDB where the browser allows it, otherwise the host's storage, otherwise memory (nothing is kept)
+export async function defaultAdapter() {
+  if (globalThis.indexedDB) {
+    const idb = createIndexedDBAdapter();
+    try {
+      await idb.open();
+      return idb;
+    } catch (err) {
+      console.warn("IndexedDB unavailable:", err);
+    }
+  }
+  if (globalThis.window?.storage) return createWindowStorageAdapter();
+  return createMemoryAdapter();
+}
+
+// ── Storage ──
+// `migrations` are [{ version, name, up(adapter, context) }] in version order; the schema version is the
+// last one's. save() compares records by reference with what it last loaded or saved, so with immutable
+// state updates only new and changed records are written and missing ones deleted. A record only counts
+// as saved once its write succeeds, so the next save retries a failed one.
+export function createStorage(getAdapter, { migrations = [], context = {} } = {}) {
+  const listeners = new Set();
+  const saved = new Map();
+  let ready = null;
+  let queue = Promise.resolve();
+
+  // The error listeners get says what failed in words for the UI; `quota` is set when storage is full
+  const report = (err, action) => {
+    const quota = isQuotaError(err);
+    const error = Object.assign(new Error(quota
+      ? `Storage is full, so the app couldn't ${action}. Delete old documents or quizzes to free up space.`
+      : `Couldn't ${action}: ${err?.message || err}`, { cause: err }), { quota });
+    console.error(error);
+    for (const listener of listeners) listener(error);
+    return error;
+  };
+
+  const open = () => {
+    ready ||= (async () => {
+      const adapter = await getAdapter();
+      const version = (await adapter.get("meta", "schemaVersion")) || 0;
+      for (const migration of migrations.filter((m) => m.version > version)) {
+        try {
+          await migration.up(adapter, context);
+        } catch (err) {
+          throw new Error(`updating saved data to version ${migration.version} (${migration.name}) failed: ${err.message}`, { cause: err });
+        }
+        await adapter.put("meta", [["schemaVersion", migration.version]]);
+      }
+      return adapter;
+    })();
+    return ready;
+  };
+
+  // Writes run one after another so a later save never lands before an earlier one
+  const write = (action, run) => {
+    queue = queue.then(async () => {
+      try {
+        await run(await open());
+      } catch (err) {
+        report(err, action);
+      }
+    });
+    return queue;
+  };
+
+  return {
+    open,
+    schemaVersion: migrations.at(-1)?.version || 0,
+    async adapterName() {
+      return (await open()).name;
+    },
+
+    // Listeners get an error for every failed read or write; returns an unsubscribe function
+    onError(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    async get(store, key) {
+      try {
+        return await (await open()).get(store, key);
+      } catch (err) {
+        report(err, `read ${store}`);
+        return null;
+      }
+    },
+
+    put: (store, key, value) => write(`save ${store}`, (adapter) => adapter.put(store, [[key, value]])),
+    delete: (store, key) => write(`delete from ${store}`, (adapter) => adapter.delete(store, [key])),
+
+    // Every record in the store as [key, value], remembered as saved
+    async load(store) {
+      try {
+        const entries = await (await open()).entries(store);
+        saved.set(store, new Map(entries));
+        return entries;
+      } catch (err) {
+        report(err, `load ${store}`);
+        return [];
+      }
+    },
+
+    // Makes the store hold exactly `entries` ([key, value]); `serialize` shapes a value for storage.
+    // The comparison waits for earlier writes, so it is made against what they actually stored.
+    save(store, entries, serialize = (value) => value) {
+      const next = new Map(entries);
+      return write(`save ${store}`, async (adapter) => {
+        const previous = saved.get(store) || new Map();
+        const changed = entries.filter(([key, value]) => previous.get(key) !== value);
+        const removed = [...previous.keys()].filter((key) => !next.has(key));
+        if (changed.length > 0) await adapter.put(store, changed.map(([key, value]) => [key, serialize(value)]));
+        if (removed.length > 0) await adapter.delete(store, removed);
+        saved.set(store, next);
+      });
+    },
+
+    clear(stores) {
+      for (const store of stores) saved.delete(store);
+      return write("delete your data", async (adapter) => {
+        for (const store of stores) await adapter.clear(store);
+      });
+    },
+  };
+}
+
+// Bytes used and available for this site, where the browser reports them
+export async function storageEstimate() {
+  try {
+    const { usage, quota } = (await navigator.storage?.estimate?.()) || {};
+    return usage !== undefined && quota ? { usage, quota } : null;
+  } catch {
+    return null;
+  }
+}
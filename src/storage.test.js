@@ -0,0 +1,111 @@
+import { describe, expect, it } from "vitest";
+import { createMemoryAdapter, createStorage } from "./storage.js";
+
+// A memory adapter that records its writes and can be told to fail the next one
+function recordingAdapter() {
+  const adapter = createMemoryAdapter();
+  const writes = [];
+  let failNext = false;
+  const record = (op, fn) => async (store, arg) => {
+    if (failNext) {
+      failNext = false;
+      throw new Error("disk on fire");
+    }
+    writes.push([op, store, op === "put" ? arg.map(([key]) => key) : arg]);
+    return fn(store, arg);
+  };
+  return {
+    ...adapter,
+    put: record("put", adapter.put),
+    delete: record("delete", adapter.delete),
+    writes,
+    failNextWrite: () => { failNext = true; },
+  };
+}
+
+describe("migrations", () => {
+  const tracked = (versions, ran) => versions.map((version) => ({ version, name: `v${version}`, up: async () => { ran.push(version); } }));
+
+  it("runs the ones newer than the stored version, in order, and records each", async () => {
+    const adapter = createMemoryAdapter();
+    await adapter.put("meta", [["schemaVersion", 1]]);
+    const ran = [];
+    const storage = createStorage(() => adapter, { migrations: tracked([1, 2, 3], ran) });
+    await storage.open();
+    expect(ran).toEqual([2, 3]);
+    expect(await adapter.get("meta", "schemaVersion")).toBe(3);
+    expect(storage.schemaVersion).toBe(3);
+  });
+
+  it("runs each one only once", async () => {
+    const adapter = createMemoryAdapter();
+    const ran = [];
+    await createStorage(() => adapter, { migrations: tracked([1, 2], ran) }).open();
+    await createStorage(() => adapter, { migrations: tracked([1, 2], ran) }).open();
+    expect(ran).toEqual([1, 2]);
+  });
+
+  it("stops at a failed migration and keeps the version before it", async () => {
+    const adapter = createMemoryAdapter();
+    const ran = [];
+    const migrations = [...tracked([1], ran), { version: 2, name: "broken", up: async () => { throw new Error("bad record"); } }, ...tracked([3], ran)];
+    await expect(createStorage(() => adapter, { migrations }).open()).rejects.toThrow("updating saved data to version 2 (broken) failed: bad record");
+    expect(ran).toEqual([1]);
+    expect(await adapter.get("meta", "schemaVersion")).toBe(1);
+  });
+});
+
+describe("save", () => {
+  it("writes only new and changed records and deletes missing ones", async () => {
+    const adapter = recordingAdapter();
+    const storage = createStorage(() => adapter);
+    const a = { id: "a" }, b = { id: "b" }, c = { id: "c" };
+    await storage.save("quizzes", [["a", a], ["b", b]]);
+    await storage.save("quizzes", [["a", a], ["b", b]]);
+    const b2 = { id: "b", title: "renamed" };
+    await storage.save("quizzes", [["b", b2], ["c", c]]);
+    expect(adapter.writes).toEqual([
+      ["put", "quizzes", ["a", "b"]],
+      ["put", "quizzes", ["b", "c"]],
+      ["delete", "quizzes", ["a"]],
+    ]);
+    expect(Object.fromEntries(await adapter.entries("quizzes"))).toEqual({ b: b2, c });
+  });
+
+  it("compares with what was loaded and stores the serialized value", async () => {
+    const adapter = recordingAdapter();
+    await adapter.put("documents", [["d", { id: "d", text: "old" }]]);
+    adapter.writes.length = 0;
+    const storage = createStorage(() => adapter);
+    const loaded = await storage.load("documents");
+    await storage.save("documents", loaded);
+    expect(adapter.writes).toEqual([]);
+    await storage.save("documents", [["d", { id: "d", text: "new", cache: [1, 2] }]], ({ cache, ...doc }) => doc);
+    expect(await adapter.get("documents", "d")).toEqual({ id: "d", text: "new" });
+  });
+
+  it("retries a failed write on the next save and reports the failure", async () => {
+    const adapter = recordingAdapter();
+    const storage = createStorage(() => adapter);
+    const errors = [];
+    storage.onError((err) => errors.push(err.message));
+    const a = { id: "a" };
+    adapter.failNextWrite();
+    await storage.save("attempts", [["a", a]]);
+    expect(errors).toEqual(["Couldn't save attempts: disk on fire"]);
+    expect(await adapter.get("attempts", "a")).toBeNull();
+    await storage.save("attempts", [["a", a]]);
+    expect(await adapter.get("attempts", "a")).toEqual(a);
+  });
+
+  it("flags quota errors", async () => {
+    const adapter = createMemoryAdapter();
+    adapter.put = async () => { throw Object.assign(new Error("full"), { name: "QuotaExceededError" }); };
+    const storage = createStorage(() => adapter);
+    const errors = [];
+    storage.onError((err) => errors.push(err));
+    await storage.save("figures", [["f", "data:image/jpeg;base64,AAAA"]]);
+    expect(errors[0].quota).toBe(true);
+    expect(errors[0].message).toMatch(/^Storage is full/);
+  });
+});
@@ -0,0 +1,190 @@
+// ─── TOPICS ───────────────────────────────────────────────────────────────
+// The topics an exam's material covers, each tied to the chunks it comes up
+// in. Candidates are headings and slide titles, terms from the medical
+// vocabulary and recurring phrases of one to three words. Phrases are scored
+// TF-IDF style across chunks, so a term that is everywhere ranks below one
+// that a few sections are about. Students' renames, merges, deletions and
+// additions are stored per exam and applied on top of what was detected.
+
+import { MEDICAL_TERMS } from "./medicalTerms.js";
+
+const MAX_TOPICS = 30;
+const MAX_WORDS = 3;
+// A phrase has to come up in this many chunks unless it is a heading or a medical term
+const MIN_CHUNKS = 2;
+// Headings over more than this share of the chunks are document titles, too broad to study by
+const MAX_HEADING_SHARE = 0.5;
+// A phrase inside a higher-ranked one is dropped when they mostly share chunks ("Loop" under "Loop Diuretics")
+const SUBSUMED_OVERLAP = 0.8;
+const HEADING_BOOST = 2;
+const TERM_BOOST = 2;
+
+const STOP_WORDS = new Set(["the", "a", "an", "and", "or", "but", "in", "on", "at", "to", "for", "of", "with", "by", "is", "it", "as", "was", "were", "are", "be", "this", "that", "from", "not", "has", "have", "had", "will", "can", "do", "does", "did", "been", "being", "would", "could", "should", "may", "might", "shall", "into", "than", "then", "these", "those", "their", "there", "them", "they", "its", "our", "we", "you", "your", "he", "she", "his", "her", "him", "all", "each", "every", "both", "few", "more", "most", "other", "some", "such", "no", "any", "only", "same", "so", "very", "just", "also", "about", "up", "out", "if", "when", "where", "how", "what", "which", "who", "whom", "why", "after", "before", "during", "between", "through", "under", "over", "above", "below", "because", "while", "since", "until", "although", "though", "whether", "either", "neither", "nor", "per", "via", "vs", "etc", "eg", "ie", "i", "ii", "iii", "iv", "one", "two", "three", "first", "second", "new", "many", "much", "often", "usually", "well", "like", "due", "less", "high", "low", "increased", "decreased", "increase", "decrease", "release", "cause", "causes", "caused", "leads", "result", "results", "include", "includes", "including", "used", "use", "using", "called", "known", "seen", "see", "shows", "shown", "show", "type", "types", "patient", "patients", "common", "normal"]);
+// Words on slides and in headings that don't name a subject
+const GENERIC_WORDS = new Set(["figure", "fig", "slide", "slides", "lecture", "lectures", "page", "table", "chapter", "section", "part", "unit", "module", "week", "session", "objectives", "objective", "learning", "outcomes", "summary", "overview", "introduction", "intro", "review", "questions", "question", "answers", "answer", "notes", "note", "example", "examples", "case", "key", "points", "point", "contents", "references", "reference", "continued", "cont", "today", "outline", "agenda", "recap", "conclusion", "conclusions", "thank", "thanks", "image", "diagram", "source", "copyright", "reserved", "rights", "university", "department", "professor", "dr"]);
+// Single words only count on their own when they look like a disease, process, enzyme or drug class
+const MEDICAL_SUFFIX = /(itis|osis|emia|aemia|oma|kinase|ase|lysis|pathy|plasia|trophy|ectomy|otomy|ostomy|genesis|algia|uria|penia|cytosis|cytes?|blasts?|mab|nib|pril|sartan|olol|statin|azole|mycin|cillin|floxacin|vir)$/;
+const ACRONYM = /^[A-Z][A-Z0-9]{1,5}s?$/;
+const ROMAN_NUMERAL = /^[IVXLC]+$/;
+
+const WORD = /[\p{L}\p{N}][\p{L}\p{N}'’/+-]*/gu;
+// Phrases never run across punctuation or line breaks
+const PHRASE_BREAK = /[\n.,;:!?()[\]{}"“”•·|–—]+|\s-\s/;
+
+const normalize = (word) => word.toLowerCase().replace(/’/g, "'").replace(/['/+-]+$/, "");
+const stem = (w) => (w.length > 3 && /[^su']s$/.test(w) ? w.slice(0, -1) : w);
+const phraseKey = (words) => words.map((w) => stem(normalize(w))).join(" ");
+const wordsOf = (text) => text.match(WORD) || [];
+const isBoundaryWord = (w) => STOP_WORDS.has(normalize(w)) || GENERIC_WORDS.has(normalize(w)) || /^\d/.test(w) || w.length < 2;
+
+const TERMS = new Map(MEDICAL_TERMS.map((term) => [phraseKey(wordsOf(term)), term]));
+
+const titleCase = (phrase) => phrase.split(" ").map((w, i) => (i > 0 && STOP_WORDS.has(w) ? w : w[0].toUpperCase() + w.slice(1))).join(" ");
+
+// "2.1 Heart failure:" and "Slide 4 - Heart failure" both name "Heart failure"
+function cleanHeading(heading) {
+  return heading
+    .replace(/^\s*(?:(?:slide|page|part|chapter|section|lecture|week)\s+)?[\dIVX]+(?:\.\d+)*[.):-]?\s+/i, "")
+    .replace(/[\s:.-]+$/, "")
+    .trim();
+}
+
+function usefulHeading(heading) {
+  const words = wordsOf(heading);
+  return words.length > 0 && words.length <= 6 && heading.length <= 60 && words.some((w) => !isBoundaryWord(w));
+}
+
+// In all-caps text every short word looks like an acronym
+function singleWordTopic(word, shouting) {
+  const key = normalize(word);
+  return TERMS.has(stem(key)) || (!shouting && ACRONYM.test(word) && !ROMAN_NUMERAL.test(word)) || (key.length >= 6 && MEDICAL_SUFFIX.test(key));
+}
+
+const displayName = (form) => (form === form.toLowerCase() || (form.includes(" ") && form === form.toUpperCase()) ? titleCase(form.toLowerCase()) : form);
+
+// Topics found in the chunks, best first: [{ name, chunkIds, source: "heading" | "term" | "phrase" }]
+export function extractTopics(chunks) {
+  const stats = new Map();
+  const statsFor = (key) => {
+    if (!stats.has(key)) stats.set(key, { count: 0, chunkIds: new Set(), forms: new Map(), heading: false, headingChunks: null });
+    return stats.get(key);
+  };
+
+  const headingChunks = new Map();
+  for (const chunk of chunks) {
+    for (const heading of [...(chunk.headings || []), chunk.title].filter(Boolean)) {
+      const name = cleanHeading(heading);
+      if (!usefulHeading(name)) continue;
+      const key = phraseKey(wordsOf(name));
+      if (!headingChunks.has(key)) headingChunks.set(key, { name, chunkIds: new Set() });
+      headingChunks.get(key).chunkIds.add(chunk.id);
+    }
+
+    for (const phrase of chunk.text.split(PHRASE_BREAK)) {
+      const words = wordsOf(phrase);
+      const shouting = phrase === phrase.toUpperCase();
+      for (let i = 0; i < words.length; i++) {
+        if (isBoundaryWord(words[i])) continue;
+        for (let n = 1; n <= MAX_WORDS && i + n <= words.length; n++) {
+          const gram = words.slice(i, i + n);
+          if (isBoundaryWord(gram[n - 1])) continue;
+          if (n === 1 && !singleWordTopic(gram[0], shouting)) continue;
+          const s = statsFor(phraseKey(gram));
+          s.count++;
+          s.chunkIds.add(chunk.id);
+          const form = gram.join(" ");
+          s.forms.set(form, (s.forms.get(form) || 0) + 1);
+        }
+      }
+    }
+  }
+
+  for (const [key, { name, chunkIds }] of headingChunks) {
+    if (chunks.length > 4 && chunkIds.size > chunks.length * MAX_HEADING_SHARE) continue;
+    const s = statsFor(key);
+    s.heading = true;
+    s.headingChunks = chunkIds;
+    s.forms.set(name, Infinity);
+  }
+
+  const candidates = [];
+  for (const [key, s] of stats) {
+    const term = TERMS.get(key);
+    const chunkIds = s.headingChunks ? new Set([...s.headingChunks, ...s.chunkIds]) : s.chunkIds;
+    if (!s.heading && !term && (chunkIds.size < MIN_CHUNKS || s.count < 2)) continue;
+    if (!s.heading && term && s.count < 2 && chunks.length > 1) continue;
+    const idf = Math.log(1 + chunks.length / chunkIds.size);
+    const words = key.split(" ").length;
+    const score = (s.count + (s.headingChunks?.size || 0)) * idf * (1 + (words - 1) / 2) * (s.heading ? HEADING_BOOST : 1) * (term ? TERM_BOOST : 1);
+    const [form] = [...s.forms].sort((a, b) => b[1] - a[1])[0];
+    const name = term || displayName(form);
+    candidates.push({ key, name, chunkIds, score, source: s.heading ? "heading" : term ? "term" : "phrase" });
+  }
+  candidates.sort((a, b) => b.score - a.score);
+
+  const kept = [];
+  const contains = (outer, inner) => ` ${outer} `.includes(` ${inner} `);
+  for (const c of candidates) {
+    if (kept.length >= MAX_TOPICS) break;
+    const subsumed = kept.some((k) => {
+      if (!contains(k.key, c.key) && !contains(c.key, k.key)) return false;
+      const shared = [...c.chunkIds].filter((id) => k.chunkIds.has(id)).length;
+      return shared >= SUBSUMED_OVERLAP * Math.min(c.chunkIds.size, k.chunkIds.size);
+    });
+    if (!subsumed && !kept.some((k) => k.name.toLowerCase() === c.name.toLowerCase())) kept.push(c);
+  }
+  return kept.map(({ name, chunkIds, source }) => ({ name, chunkIds: [...chunkIds], source }));
+}
+
+// ─── TOPIC EDITS ──────────────────────────────────────────────────────────
+// An exam's edits are { renamed: { "Detected name": "Their name" }, removed: [names], added: [names] }.
+// Merging is renaming one topic onto another's name; the merged topic keeps both topics' chunks.
+
+const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// Chunks that mention an added topic: the whole phrase if any chunk has it, otherwise all of its words
+export function topicChunkIds(name, chunks) {
+  const words = wordsOf(name).map((w) => stem(normalize(w)));
+  if (words.length === 0) return [];
+  const escaped = words.map((w) => w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  const phrase = new RegExp(`(^|[^\\p{L}\\p{N}])${escaped.join("\\S*\\s+")}`, "iu");
+  const matches = chunks.filter((c) => phrase.test(c.text));
+  if (matches.length > 0 || words.length === 1) return matches.map((c) => c.id);
+  const each = escaped.map((w) => new RegExp(`(^|[^\\p{L}\\p{N}])${w}`, "iu"));
+  return chunks.filter((c) => each.every((re) => re.test(c.text))).map((c) => c.id);
+}
+
+export function applyTopicEdits(topics, { renamed = {}, removed = [], added = [] } = {}, chunks = []) {
+  const byName = new Map();
+  const put = (name, chunkIds, source) => {
+    if (removed.some((r) => sameName(r, name))) return;
+    const existing = byName.get(name.toLowerCase());
+    if (existing) {
+      for (const id of chunkIds) existing.chunkIds.add(id);
+      existing.source = "edited";
+    } else {
+      byName.set(name.toLowerCase(), { name, chunkIds: new Set(chunkIds), source });
+    }
+  };
+  for (const t of topics) put(renamed[t.name] || t.name, t.chunkIds, renamed[t.name] ? "edited" : t.source);
+  for (const name of added) put(name, topicChunkIds(name, chunks), "added");
+  return [...byName.values()].map((t) => ({ ...t, chunkIds: [...t.chunkIds] }));
+}
+
+// Renames whatever the student sees as `from`, which is also how topics are merged
+export function renameTopic(edits = {}, from, to) {
+  const renamed = Object.fromEntries(Object.entries(edits.renamed || {}).map(([k, v]) => [k, sameName(v, from) ? to : v]));
+  renamed[from] = to;
+  const added = (edits.added || []).map((a) => (sameName(a, from) ? to : a));
+  return { ...edits, renamed, removed: (edits.removed || []).filter((r) => !sameName(r, to)), added: [...new Set(added)] };
+}
+
+export function removeTopic(edits = {}, name) {
+  return { ...edits, removed: [...(edits.removed || []).filter((r) => !sameName(r, name)), name], added: (edits.added || []).filter((a) => !sameName(a, name)) };
+}
+
+export function addTopic(edits = {}, name) {
+  const removed = (edits.removed || []).filter((r) => !sameName(r, name));
+  const added = (edits.added || []).some((a) => sameName(a, name)) ? edits.added : [...(edits.added || []), name];
+  return { ...edits, removed, added };
+}
@@ -0,0 +1,92 @@
+// ─── WEB PAGES ────────────────────────────────────────────────────────────
+// Study material added by URL. HTML pages are cut down to their main content
+// the way reader modes do it: paragraphs score their parent and grandparent,
+// class names and link-heavy blocks adjust the score, and the best block is
+// kept along with siblings that look like part of the same article. Other
+// responses (a linked PDF, slides) are passed on as the file they are.
+
+const UNLIKELY = /banner|breadcrumb|combx|comment|community|cookie|disqus|extra|footer|gdpr|header|menu|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|ad-break|agegate|pagination|pager|popup|subscribe|newsletter|promo/i;
+const MAYBE = /and|article|body|column|content|main|shadow/i;
+const POSITIVE = /article|body|content|entry|h-entry|main|page|post|text|blog|story|lesson|chapter/i;
+const NEGATIVE = /hidden|banner|combx|comment|com-|contact|foot|footer|footnote|masthead|media|meta|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+const TAG_SCORES = { ARTICLE: 10, MAIN: 10, SECTION: 5, DIV: 5, PRE: 3, TD: 3, BLOCKQUOTE: 3 };
+// Below this much text the "article" is probably a teaser, so the whole page is kept instead
+const MIN_ARTICLE_LENGTH = 200;
+
+const hint = (el) => `${typeof el.className === "string" ? el.className : ""} ${el.id}`;
+const cleanText = (el) => el.textContent.replace(/\s+/g, " ").trim();
+const linkDensity = (el) => [...el.querySelectorAll("a")].reduce((n, a) => n + a.textContent.length, 0) / (el.textContent.length || 1);
+
+// Resolves to { title, html } with html holding just the page's main content under its title
+export function extractMainContent(html, url) {
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  const title = (doc.querySelector('meta[property="og:title"]')?.getAttribute("content") || doc.title || doc.querySelector("h1")?.textContent || new URL(url).hostname).replace(/\s+/g, " ").trim();
+
+  doc.querySelectorAll("script, style, noscript, iframe, form, button, nav, header, footer, aside, svg, [role=navigation], [role=banner], [role=contentinfo], [role=complementary], [aria-hidden=true]").forEach((el) => el.remove());
+  for (const el of [...doc.body.querySelectorAll("*")]) {
+    if (UNLIKELY.test(hint(el)) && !MAYBE.test(hint(el)) && el.tagName !== "ARTICLE" && el.tagName !== "MAIN") el.remove();
+  }
+
+  const scores = new Map();
+  const addScore = (el, score) => {
+    if (!scores.has(el)) scores.set(el, (TAG_SCORES[el.tagName] || 0) + (POSITIVE.test(hint(el)) ? 25 : 0) - (NEGATIVE.test(hint(el)) ? 25 : 0));
+    scores.set(el, scores.get(el) + score);
+  };
+  for (const p of doc.body.querySelectorAll("p, pre, td, blockquote, li")) {
+    const text = cleanText(p);
+    if (text.length < 25) continue;
+    // Longer, comma-rich paragraphs are prose; short ones are captions and link labels
+    const score = 1 + text.split(",").length + Math.min(3, Math.floor(text.length / 100));
+    if (p.parentElement) addScore(p.parentElement, score);
+    if (p.parentElement?.parentElement) addScore(p.parentElement.parentElement, score / 2);
+  }
+
+  let best = null;
+  let bestScore = 0;
+  for (const [el, score] of scores) {
+    const adjusted = score * (1 - linkDensity(el));
+    if (adjusted > bestScore) { best = el; bestScore = adjusted; }
+  }
+  let parts = [doc.body];
+  if (best && cleanText(best).length >= MIN_ARTICLE_LENGTH) {
+    const threshold = Math.max(10, bestScore * 0.2);
+    parts = best.parentElement && best !== doc.body
+      ? [...best.parentElement.children].filter((el) => el === best || (scores.get(el) || 0) >= threshold || (el.tagName === "P" && cleanText(el).length > 80 && linkDensity(el) < 0.25))
+      : [best];
+  }
+
+  const heading = doc.createElement("h1");
+  heading.textContent = title;
+  const hasHeading = parts.some((el) => el.tagName === "H1" || el.querySelector("h1"));
+  return { title, html: (hasHeading ? "" : heading.outerHTML) + parts.map((el) => el.outerHTML).join("\n") };
+}
+
+// A malformed escape like "%E0%A4%A" is kept as typed
+const decodePathPart = (s) => {
+  try {
+    return decodeURIComponent(s);
+  } catch {
+    return s;
+  }
+};
+
+// Downloads the URL as a File: a web page becomes its main content as HTML, anything else is kept as is.
+// The URL must be absolute and valid.
+export async function fileFromUrl(url) {
+  const { hostname, pathname } = new URL(url);
+  let response;
+  try {
+    response = await fetch(url);
+  } catch {
+    throw new Error(`Couldn't load ${hostname}. Many sites don't let other pages read them; save the page from your browser and upload the file instead.`);
+  }
+  if (!response.ok) throw new Error(`${hostname} answered ${response.status} ${response.statusText}`.trim());
+  const type = (response.headers.get("content-type") || "").split(";")[0].trim().toLowerCase();
+  const blob = await response.blob();
+  if (type === "text/html" || type === "application/xhtml+xml") {
+    const { title, html } = extractMainContent(await blob.text(), url);
+    return new File([html], `${title.replace(/[\\/:*?"<>|]+/g, " ").slice(0, 80).trim() || hostname}.html`, { type: "text/html" });
+  }
+  const name = decodePathPart(pathname.split("/").pop() || "") || hostname;
+  return new File([blob], name, { type });
+}
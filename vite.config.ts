@@ -4,4 +4,14 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // The extraction worker lazy-loads its parsers, which needs code splitting
+  worker: { format: 'es' },
+  build: {
+    rollupOptions: {
+      output: {
+        // tesseract.js fetches "<langPath>/eng.traineddata.gz", so the OCR model keeps its file name
+        assetFileNames: (asset) => (asset.names.some((name) => name.endsWith('.traineddata.gz')) ? 'assets/ocr/[name][extname]' : 'assets/[name]-[hash][extname]'),
+      },
+    },
+  },
 })